@@ -1,6 +1,7 @@
 // CycleManager.js
 import EventEmitter from 'events';
-import { delay } from '../utils/helpers.js';
+import { systemClock } from '../utils/determinism.js';
+import { intervalToMs } from '../utils/helpers.js';
 
 /**
  * Gère les cycles de trading du bot
@@ -17,6 +18,9 @@ export class CycleManager extends EventEmitter {
    * @param {Object} positionManager - Gestionnaire de positions
    * @param {Object} portfolioManager - Gestionnaire de portefeuille
    * @param {Object} logger - Service de journalisation
+   * @param {Object} [options={}] - Dépendances injectables
+   * @param {Object} [options.clock] - Horloge { now(), sleep(ms) } (horloge système par défaut,
+   *   horloge virtuelle pour le rejeu de marché)
    */
   constructor(
     config,
@@ -25,10 +29,12 @@ export class CycleManager extends EventEmitter {
     riskManager,
     positionManager,
     portfolioManager,
-    logger
+    logger,
+    options = {}
   ) {
     super();
     this.config = config;
+    this.clock = options.clock || systemClock;
     this.marketData = marketData;
     this.strategy = strategy;
     this.riskManager = riskManager;
@@ -142,7 +148,7 @@ export class CycleManager extends EventEmitter {
       return false;
     }
 
-    const cycleStartTime = Date.now();
+    const cycleStartTime = this.clock.now();
     this.metrics.cycleCount++;
     this.metrics.lastCycleTime = cycleStartTime;
     
@@ -233,7 +239,7 @@ export class CycleManager extends EventEmitter {
       
       // Petite pause entre les lots pour éviter de surcharger l'API
       if (i + batchSize < tokensToProcess.length && !this.isStopping) {
-        await delay(200);
+        await this.clock.sleep(200);
       }
     }
   }
@@ -292,15 +298,19 @@ export class CycleManager extends EventEmitter {
         return;
       }
 
+      // Échelles de temps de confirmation (si configurées)
+      const timeframes = await this.getTimeframePrices(token.token_mint);
+
       // Analyser avec la stratégie
-      const signal = await this.strategy.analyze(token.token_mint, prices, volumes, token);
+      const signal = await this.strategy.analyze(token.token_mint, prices, volumes, token, timeframes);
       
       if (signal.type !== 'NONE') {
         this.metrics.signalsGenerated++;
       }
 
-      // Si on a un signal clair et que le risk manager autorise
-      if (signal.type !== 'NONE' && signal.confidence >= this.config.trading.minConfidenceThreshold) {
+      // Si on a un signal d'achat clair et que le risk manager autorise
+      // (le bot ne prend que des positions longues)
+      if (signal.type === 'BUY' && signal.confidence >= this.config.trading.minConfidenceThreshold) {
         if (this.riskManager.canTrade(this.portfolioManager)) {
           // Calculer la taille de position
           const currentPrice = prices[prices.length - 1];
@@ -311,7 +321,8 @@ export class CycleManager extends EventEmitter {
             token.token_mint,
             currentPrice,
             positionSize,
-            signal
+            signal,
+            { liquidity: token.liquidity }
           );
 
           if (position) {
@@ -341,6 +352,12 @@ export class CycleManager extends EventEmitter {
       // Pas de prix, pas de vérification
       if (!currentPrices || currentPrices.size === 0) return;
 
+      // Stops suiveurs proposés par la stratégie
+      await this.updateTrailingStops(positions);
+
+      // Sorties décidées par la stratégie (règles de sortie)
+      await this.requestStrategyExits(positions);
+
       // Vérifier les positions
       const closedPositions = await this.positionManager.checkPositions(currentPrices);
       
@@ -348,6 +365,9 @@ export class CycleManager extends EventEmitter {
       for (const position of closedPositions) {
         // Mettre à jour le portfolio
         this.portfolioManager.updatePortfolio(position);
+
+        // Résultat du signal d'entrée (suivi de performance de la stratégie)
+        this.strategy.updateSignalOutcome(position.token, position.profit > 0 ? 'CORRECT' : 'INCORRECT', position.profit);
         
         // Logger la transaction
         const tradeLog = this.logger.logTrade(position);
@@ -362,6 +382,47 @@ export class CycleManager extends EventEmitter {
     }
   }
 
+  /**
+   * Remonte les stops des positions ouvertes selon la stratégie
+   * Sans effet si la stratégie ne propose pas de stop suiveur (getTrailingStop)
+   * @private
+   * @param {Array<Object>} positions - Positions ouvertes
+   */
+  async updateTrailingStops(positions) {
+    if (typeof this.strategy.getTrailingStop !== 'function') return;
+
+    for (const position of positions) {
+      const prices = await this.getHistoricalPrices(position.token);
+      const stopPrice = this.strategy.getTrailingStop(position.token, prices, position);
+
+      if (stopPrice && this.positionManager.trailStopLoss(position.token, stopPrice)) {
+        this.emit('debug', `Trailing stop for ${position.token} raised to ${stopPrice}`);
+      }
+    }
+  }
+
+  /**
+   * Demande la clôture des positions dont la stratégie signale la sortie
+   * Sans effet si la stratégie ne propose pas de sortie (getExitSignal)
+   * @private
+   * @param {Array<Object>} positions - Positions ouvertes
+   */
+  async requestStrategyExits(positions) {
+    if (typeof this.strategy.getExitSignal !== 'function') return;
+
+    for (const position of positions) {
+      const [prices, volumes] = await Promise.all([
+        this.getHistoricalPrices(position.token),
+        this.getHistoricalVolumes(position.token)
+      ]);
+      const exitSignal = this.strategy.getExitSignal(position.token, prices, volumes, position);
+
+      if (exitSignal && this.positionManager.requestExit(position.token, exitSignal.reasons)) {
+        this.emit('info', `Strategy exit for ${position.token}: ${exitSignal.reasons.join(', ')}`);
+      }
+    }
+  }
+
   /**
    * Récupère les prix actuels pour tous les tokens en position ouverte
    * Utilise un cache pour éviter des appels API redondants
@@ -370,7 +431,7 @@ export class CycleManager extends EventEmitter {
    */
   async getCachedCurrentPrices() {
     try {
-      const now = Date.now();
+      const now = this.clock.now();
       const positions = this.positionManager.getOpenPositions();
       if (positions.length === 0) return new Map();
 
@@ -429,6 +490,37 @@ export class CycleManager extends EventEmitter {
     }
   }
 
+  /**
+   * Récupère l'historique des prix pour chaque échelle de temps configurée
+   * (strategy.timeframes.intervals), par exemple 15m, 1h et 4h
+   * @private
+   * @param {string} tokenMint - Adresse du token
+   * @returns {Promise<Object<string, Array<number>>|undefined>} Prix par intervalle, ou undefined sans configuration
+   */
+  async getTimeframePrices(tokenMint) {
+    const { intervals = [], lookback = 100 } = this.config.strategy?.timeframes || {};
+    if (intervals.length === 0) return undefined;
+
+    const endTime = this.clock.now();
+    const timeframes = {};
+
+    await Promise.all(intervals.map(async (interval) => {
+      try {
+        const priceData = await this.marketData.getHistoricalPrices(
+          tokenMint,
+          endTime - lookback * intervalToMs(interval),
+          endTime,
+          interval
+        );
+        timeframes[interval] = priceData.map(d => d.price);
+      } catch (error) {
+        this.emit('error', new Error(`Error getting ${interval} prices for ${tokenMint}: ${error.message}`));
+      }
+    }));
+
+    return timeframes;
+  }
+
   /**
    * Récupère les données historiques de prix pour un token
    * @private
@@ -438,7 +530,7 @@ export class CycleManager extends EventEmitter {
   async getHistoricalPrices(tokenMint) {
     try {
       // Récupérer l'historique des 7 derniers jours avec intervalle de 1h
-      const endTime = Date.now();
+      const endTime = this.clock.now();
       const startTime = endTime - (7 * 24 * 60 * 60 * 1000);
       
       const priceData = await this.marketData.getHistoricalPrices(
@@ -464,7 +556,7 @@ export class CycleManager extends EventEmitter {
   async getHistoricalVolumes(tokenMint) {
     try {
       // Récupérer l'historique des 7 derniers jours avec intervalle de 1h
-      const endTime = Date.now();
+      const endTime = this.clock.now();
       const startTime = endTime - (7 * 24 * 60 * 60 * 1000);
       
       const volumeData = await this.marketData.getHistoricalVolumes(
@@ -490,7 +582,7 @@ export class CycleManager extends EventEmitter {
     if (!this.circuitBreaker.tripped) return false;
 
     // Vérifier si le temps de cooldown est écoulé
-    if (this.circuitBreaker.cooldownUntil && Date.now() > this.circuitBreaker.cooldownUntil) {
+    if (this.circuitBreaker.cooldownUntil && this.clock.now() > this.circuitBreaker.cooldownUntil) {
       this.resetCircuitBreaker();
       this.emit('info', 'Circuit breaker reset after cooldown period');
       return false;
@@ -514,7 +606,7 @@ export class CycleManager extends EventEmitter {
       
       // Définir le temps de cooldown
       const cooldownMs = this.config.errorHandling?.circuitBreakerTimeout || 300000; // 5 minutes par défaut
-      this.circuitBreaker.cooldownUntil = Date.now() + cooldownMs;
+      this.circuitBreaker.cooldownUntil = this.clock.now() + cooldownMs;
       
       this.emit('warning', `Circuit breaker tripped after ${this.circuitBreaker.consecutiveErrors} consecutive errors. Cooling down for ${cooldownMs/1000} seconds`);
     }
@@ -539,7 +631,7 @@ export class CycleManager extends EventEmitter {
    * @returns {boolean} Succès ou échec
    */
   completeCycle(startTime, success) {
-    const cycleDuration = Date.now() - startTime;
+    const cycleDuration = this.clock.now() - startTime;
     
     // Mettre à jour les métriques de durée
     this.metrics.totalCycleDuration += cycleDuration;
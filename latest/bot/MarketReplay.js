@@ -0,0 +1,303 @@
+// bot/MarketReplay.js
+import EventEmitter from 'events';
+import { CycleManager } from './CycleManager.js';
+import { StrategyFactory } from '../strategies/StrategyFactory.js';
+import { RiskManager } from '../trading/riskManager.js';
+import { PositionManager } from '../trading/positionManager.js';
+import { PortfolioManager } from '../trading/portfolioManager.js';
+import { TradeLogger } from '../trading/tradeLogger.js';
+import { TransactionManager } from '../trading/TransactionManager.js';
+import { ReplayDataSource } from '../services/ReplayDataSource.js';
+import { performanceMetrics } from '../utils/performanceMetrics.js';
+import { createDeterministicRun } from '../utils/determinism.js';
+import { deepMerge } from '../utils/helpers.js';
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Rejeu accéléré d'une période enregistrée à travers le vrai CycleManager
+ * Contrairement au SimulationEngine, chaque pas exécute runTradingCycle() tel qu'en
+ * production (sélection des tokens, traitement par lots, circuit breaker, exécution
+ * paper via le TransactionManager) ; seules la source de données et l'horloge sont
+ * remplacées par une source de rejeu et une horloge virtuelle
+ */
+export class MarketReplay extends EventEmitter {
+  /**
+   * @param {Object} config - Configuration globale
+   * @param {Object} simulationEngine - Moteur de simulation (chargement des données enregistrées)
+   */
+  constructor(config, simulationEngine) {
+    super();
+    this.config = config;
+    this.simulationEngine = simulationEngine;
+  }
+
+  /**
+   * Rejoue une période à travers la boucle de trading live
+   * @param {Date|string|number} startDate - Date de début
+   * @param {Date|string|number} endDate - Date de fin
+   * @param {Object} [options={}] - Options de rejeu
+   * @param {number|string} [options.speed='max'] - Vitesse : 1 (temps réel), 10, ... ou 'max' (sans attente)
+   * @param {number} [options.cycleInterval] - Durée virtuelle entre deux cycles (ms, trading.cycleInterval par défaut)
+   * @param {Object} [options.config] - Surcharges de configuration
+   * @param {string} [options.interval] - Intervalle des bougies enregistrées
+   * @param {Array<string|Object>} [options.tokens] - Univers de tokens
+   * @param {string} [options.dataSource] - Source de données enregistrée
+   * @param {string} [options.runId] - Identifiant de l'exécution
+   * @param {number|string} [options.seed] - Graine de l'aléa (exécutions paper reproductibles)
+   * @param {AbortSignal} [options.signal] - Signal d'annulation
+   * @param {Function} [options.onProgress] - Rappel de progression { percentage, timestamp, trades }
+   * @returns {Promise<Object>} Trades, métriques de cycles, circuit breaker et performance
+   */
+  async run(startDate, endDate, options = {}) {
+    const startTime = new Date(startDate).getTime();
+    const endTime = new Date(endDate).getTime();
+
+    if (isNaN(startTime) || isNaN(endTime) || startTime >= endTime) {
+      throw new Error('Invalid replay date range');
+    }
+
+    const speed = this._parseSpeed(options.speed ?? 'max');
+    const runConfig = deepMerge(this.config, options.config);
+    const cycleInterval = options.cycleInterval || runConfig.trading?.cycleInterval || 60000;
+
+    const data = options.data || await this.simulationEngine.loadHistoricalData(startTime, endTime, {
+      ...options,
+      config: runConfig
+    });
+    if (data.series.size === 0) {
+      throw new Error('No historical data available for replay');
+    }
+
+    const run = createDeterministicRun({ runId: options.runId, seed: options.seed, startTime });
+    const components = this._createComponents(runConfig, data, run);
+    const { cycleManager, positionManager, portfolioManager, transactionManager, source } = components;
+
+    const totalCycles = Math.floor((endTime - startTime) / cycleInterval) + 1;
+    const progressStep = Math.max(1, Math.floor(totalCycles / 100));
+    const closedPositions = [];
+    const equityCurve = [];
+    let circuitBreakerTrips = 0;
+    let skippedCycles = 0;
+
+    positionManager.on('position_closed', (position) => closedPositions.push(position));
+
+    this.emit('info', `Starting replay ${run.runId}: ${totalCycles} cycles at ${speed === Infinity ? 'max' : `${speed}x`} speed`);
+
+    try {
+      for (let cycle = 0; cycle < totalCycles; cycle++) {
+        this._throwIfCancelled(options.signal);
+
+        const cycleTime = startTime + cycle * cycleInterval;
+        const wallStart = Date.now();
+        const wasTripped = cycleManager.circuitBreaker.tripped;
+        const cyclesBefore = cycleManager.metrics.cycleCount;
+
+        run.clock.set(cycleTime);
+        await cycleManager.runTradingCycle();
+
+        // Cycle ignoré par le circuit breaker (ou pendant l'arrêt)
+        if (cycleManager.metrics.cycleCount === cyclesBefore) {
+          skippedCycles++;
+        }
+        if (!wasTripped && cycleManager.circuitBreaker.tripped) {
+          circuitBreakerTrips++;
+        }
+
+        equityCurve.push({
+          timestamp: cycleTime,
+          equity: await this._getEquity(portfolioManager, positionManager, source)
+        });
+
+        if (cycle % progressStep === 0 || cycle === totalCycles - 1) {
+          options.onProgress?.({
+            percentage: ((cycle + 1) / totalCycles) * 100,
+            timestamp: cycleTime,
+            trades: closedPositions.length
+          });
+        }
+
+        // Cadence : à la vitesse x, un cycle virtuel dure cycleInterval / x en temps réel
+        if (speed !== Infinity) {
+          await this._wait(cycleInterval / speed - (Date.now() - wallStart), options.signal);
+        } else if (cycle % progressStep === 0) {
+          await new Promise(resolve => setImmediate(resolve));
+        }
+      }
+
+      // Les positions encore ouvertes sont clôturées au dernier prix rejoué
+      const finalPrices = new Map(Object.entries(
+        await source.getBatchTokenPrices(positionManager.getOpenPositions().map(position => position.token))
+      ));
+      for (const position of await positionManager.closeAllPositions(finalPrices)) {
+        portfolioManager.updatePortfolio(position);
+        components.logger.logTrade(position);
+      }
+    } finally {
+      transactionManager.stop();
+      cycleManager.cleanup();
+      components.riskManager.cleanup();
+      cycleManager.removeAllListeners();
+      positionManager.removeAllListeners();
+    }
+
+    const initialCapital = runConfig.simulation?.initialCapital || 10000;
+    if (equityCurve.length > 0) {
+      equityCurve[equityCurve.length - 1].equity = portfolioManager.currentCapital;
+    }
+
+    return {
+      success: true,
+      mode: 'replay',
+      runId: run.runId,
+      seed: run.seed,
+      startDate: new Date(startTime).toISOString(),
+      endDate: new Date(endTime).toISOString(),
+      speed: speed === Infinity ? 'max' : speed,
+      cycleInterval,
+      interval: data.interval,
+      tokens: data.tokens.map(token => token.token_mint),
+      cycles: {
+        ...cycleManager.getMetrics(),
+        scheduled: totalCycles,
+        skipped: skippedCycles
+      },
+      circuitBreaker: {
+        trips: circuitBreakerTrips,
+        tripped: cycleManager.circuitBreaker.tripped,
+        lastError: cycleManager.circuitBreaker.lastError?.message || null
+      },
+      initialCapital,
+      finalCapital: portfolioManager.currentCapital,
+      metrics: performanceMetrics.summarize(closedPositions, equityCurve, initialCapital, {
+        periodsPerYear: YEAR_MS / cycleInterval
+      }),
+      trades: components.logger.tradeLogs,
+      equityCurve
+    };
+  }
+
+  /**
+   * Crée les composants live branchés sur la source de rejeu et l'horloge virtuelle
+   * @private
+   * @param {Object} runConfig - Configuration du rejeu
+   * @param {Object} data - Données enregistrées
+   * @param {Object} run - Aléa et horloge virtuelle (createDeterministicRun)
+   * @returns {Object} Composants (cycleManager, positionManager, ...)
+   */
+  _createComponents(runConfig, data, run) {
+    const { random, clock } = run;
+    const source = new ReplayDataSource(data, clock);
+
+    const strategy = StrategyFactory.createStrategy(runConfig.strategy?.type || 'ENHANCED_MOMENTUM', runConfig);
+    strategy.setClock(clock);
+
+    // Exécution paper : mêmes validations et modèle de coûts qu'en production
+    const transactionManager = new TransactionManager(runConfig, source, { mode: 'paper', random, clock });
+    const riskManager = new RiskManager(runConfig, { clock });
+    const positionManager = new PositionManager(runConfig, transactionManager, { random, clock });
+    const portfolioManager = new PortfolioManager(runConfig.simulation?.initialCapital || 10000);
+    const logger = new TradeLogger({
+      ...runConfig,
+      logging: { ...runConfig.logging, persistentStorage: false }
+    }, { random, clock });
+
+    const cycleManager = new CycleManager(
+      runConfig,
+      source,
+      strategy,
+      riskManager,
+      positionManager,
+      portfolioManager,
+      logger,
+      { clock }
+    );
+
+    // Les erreurs de cycle font partie de ce que l'on rejoue : elles sont remontées sans interrompre
+    cycleManager.on('error', (error) => this.emit('warning', `[replay] ${error.message}`));
+    cycleManager.on('warning', (message) => this.emit('warning', `[replay] ${message}`));
+    cycleManager.on('info', (message) => this.emit('debug', `[replay] ${message}`));
+    cycleManager.on('debug', (message) => this.emit('debug', `[replay] ${message}`));
+    cycleManager.on('trade', (trade) => this.emit('replay_trade', trade));
+    positionManager.on('error', (error) => this.emit('warning', `[replay] ${error.message}`));
+
+    return { source, strategy, transactionManager, riskManager, positionManager, portfolioManager, logger, cycleManager };
+  }
+
+  /**
+   * Valeur du portefeuille : capital réalisé plus plus-values latentes
+   * @private
+   * @param {Object} portfolioManager - Gestionnaire de portefeuille
+   * @param {Object} positionManager - Gestionnaire de positions
+   * @param {Object} source - Source de rejeu
+   * @returns {Promise<number>} Équité
+   */
+  async _getEquity(portfolioManager, positionManager, source) {
+    let unrealized = 0;
+
+    for (const position of positionManager.getOpenPositions()) {
+      const price = await source.getTokenPrice(position.token) ?? position.entryPrice;
+      unrealized += (price - position.entryPrice) * position.amount;
+    }
+
+    return portfolioManager.currentCapital + unrealized;
+  }
+
+  /**
+   * Normalise la vitesse de rejeu
+   * @private
+   * @param {number|string} speed - Vitesse (nombre > 0 ou 'max')
+   * @returns {number} Facteur d'accélération (Infinity pour 'max')
+   */
+  _parseSpeed(speed) {
+    if (String(speed).toLowerCase() === 'max') {
+      return Infinity;
+    }
+
+    const factor = Number(speed);
+    if (!(factor > 0)) {
+      throw new Error(`Invalid replay speed: ${speed}`);
+    }
+
+    return factor;
+  }
+
+  /**
+   * Attente réelle interrompue par l'annulation
+   * @private
+   * @param {number} ms - Durée (ms)
+   * @param {AbortSignal} [signal] - Signal d'annulation
+   * @returns {Promise<void>}
+   */
+  _wait(ms, signal) {
+    if (ms <= 0 || signal?.aborted) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Interrompt le rejeu s'il a été annulé
+   * @private
+   * @param {AbortSignal} [signal] - Signal d'annulation
+   * @throws {Error} Si le signal est déclenché
+   */
+  _throwIfCancelled(signal) {
+    if (signal?.aborted) {
+      throw new Error('Replay cancelled');
+    }
+  }
+}
+
+export default MarketReplay;
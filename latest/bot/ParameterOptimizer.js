@@ -0,0 +1,489 @@
+// bot/ParameterOptimizer.js
+import { setValueByPath } from '../utils/helpers.js';
+
+/**
+ * Objectifs d'optimisation disponibles et sens de classement
+ */
+const OBJECTIVES = {
+  netProfit: { metric: 'netProfit', direction: 'maximize' },
+  sharpeRatio: { metric: 'sharpeRatio', direction: 'maximize' },
+  profitFactor: { metric: 'profitFactor', direction: 'maximize' },
+  maxDrawdown: { metric: 'maxDrawdown', direction: 'minimize' }
+};
+
+const METHODS = ['grid', 'random', 'genetic'];
+
+/**
+ * Optimiseur de paramètres de stratégie
+ * Génère les jeux de paramètres à tester (grille, tirage aléatoire ou algorithme
+ * génétique) sur des chemins de configuration imbriqués et classe les résultats
+ * selon l'objectif choisi
+ */
+export class ParameterOptimizer {
+  /**
+   * Crée une instance de ParameterOptimizer
+   * @param {Object} parametersToOptimize - Plages par chemin de configuration, ex:
+   *   { 'indicators.rsi.period': { min: 10, max: 20, step: 2 }, 'trading.stopLoss': [3, 5, 7] }
+   * @param {Object} [options={}] - Options d'optimisation
+   * @param {string} [options.method='grid'] - Méthode de recherche ('grid', 'random' ou 'genetic')
+   * @param {string} [options.objective='netProfit'] - Objectif (netProfit, sharpeRatio, profitFactor, maxDrawdown)
+   * @param {number} [options.iterations=50] - Nombre de tirages en recherche aléatoire
+   * @param {number} [options.maxRuns=1000] - Nombre maximum de combinaisons en grille
+   * @param {number} [options.minTrades=1] - Nombre minimum de trades pour qu'un résultat soit classé
+   * @param {Function} [options.random=Math.random] - Générateur aléatoire [0, 1)
+   * @param {number} [options.populationSize=20] - Taille de la population (génétique)
+   * @param {number} [options.generations=10] - Nombre maximum de générations (génétique)
+   * @param {number} [options.crossoverRate=0.8] - Probabilité de croisement de deux parents
+   * @param {number} [options.mutationRate=0.2] - Probabilité de mutation de chaque gène
+   * @param {number} [options.elitism=2] - Nombre de meilleurs individus conservés tels quels
+   * @param {number} [options.tournamentSize=3] - Taille des tournois de sélection
+   * @param {number} [options.patience=3] - Générations sans amélioration avant arrêt anticipé (0 pour désactiver)
+   */
+  constructor(parametersToOptimize, options = {}) {
+    this.parameters = ParameterOptimizer.normalizeParameterSpace(parametersToOptimize);
+    this.method = (options.method || 'grid').toLowerCase();
+    this.objectiveName = options.objective || 'netProfit';
+    this.objective = OBJECTIVES[this.objectiveName];
+    this.iterations = options.iterations || 50;
+    this.maxRuns = options.maxRuns || 1000;
+    this.minTrades = options.minTrades ?? 1;
+    this.random = options.random || Math.random;
+
+    // Paramètres de l'algorithme génétique
+    this.populationSize = Math.max(2, options.populationSize || 20);
+    this.generations = Math.max(1, options.generations || 10);
+    this.crossoverRate = options.crossoverRate ?? 0.8;
+    this.mutationRate = options.mutationRate ?? 0.2;
+    this.elitism = Math.min(options.elitism ?? 2, this.populationSize - 1);
+    this.tournamentSize = Math.max(1, options.tournamentSize || 3);
+    this.patience = options.patience ?? 3;
+
+    if (!this.objective) {
+      throw new Error(`Unknown optimization objective: ${this.objectiveName}`);
+    }
+
+    if (!METHODS.includes(this.method)) {
+      throw new Error(`Unknown optimization method: ${this.method}`);
+    }
+  }
+
+  /**
+   * Liste les objectifs d'optimisation disponibles
+   * @static
+   * @returns {Object} Objectifs avec métrique et sens de classement
+   */
+  static getObjectives() {
+    return { ...OBJECTIVES };
+  }
+
+  /**
+   * Normalise la description des plages de paramètres
+   * @static
+   * @param {Object} parametersToOptimize - Plages par chemin de configuration
+   * @returns {Array<Object>} Paramètres { path, type, values | min/max/step }
+   */
+  static normalizeParameterSpace(parametersToOptimize) {
+    if (!parametersToOptimize || typeof parametersToOptimize !== 'object' ||
+        Object.keys(parametersToOptimize).length === 0) {
+      throw new Error('At least one parameter to optimize is required');
+    }
+
+    return Object.entries(parametersToOptimize).map(([path, spec]) => {
+      // Liste de valeurs explicite
+      if (Array.isArray(spec) || Array.isArray(spec?.values)) {
+        const values = Array.isArray(spec) ? spec : spec.values;
+        if (values.length === 0) {
+          throw new Error(`Parameter ${path} has no values`);
+        }
+        return { path, type: 'enum', values: [...values] };
+      }
+
+      const min = Number(spec?.min);
+      const max = Number(spec?.max);
+      if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+        throw new Error(`Invalid range for parameter ${path}`);
+      }
+
+      const isInteger = spec.type
+        ? spec.type === 'int'
+        : Number.isInteger(min) && Number.isInteger(max) && (spec.step === undefined || Number.isInteger(spec.step));
+      const step = spec.step !== undefined
+        ? Number(spec.step)
+        : (isInteger ? 1 : (max - min) / 10 || 1);
+
+      if (!(step > 0)) {
+        throw new Error(`Invalid step for parameter ${path}`);
+      }
+
+      return { path, type: isInteger ? 'int' : 'float', min, max, step };
+    });
+  }
+
+  /**
+   * Liste les valeurs discrètes d'un paramètre (utilisées par la grille)
+   * @param {Object} parameter - Paramètre normalisé
+   * @returns {Array<*>} Valeurs possibles
+   */
+  getParameterValues(parameter) {
+    if (parameter.type === 'enum') {
+      return parameter.values;
+    }
+
+    const values = [];
+    const count = Math.floor((parameter.max - parameter.min) / parameter.step + 1e-9);
+    for (let i = 0; i <= count; i++) {
+      values.push(Number((parameter.min + i * parameter.step).toFixed(10)));
+    }
+    return values;
+  }
+
+  /**
+   * Tire une valeur aléatoire pour un paramètre
+   * @param {Object} parameter - Paramètre normalisé
+   * @returns {*} Valeur tirée
+   */
+  sampleParameterValue(parameter) {
+    if (parameter.type === 'enum') {
+      return parameter.values[Math.floor(this.random() * parameter.values.length)];
+    }
+
+    if (parameter.type === 'int') {
+      const values = this.getParameterValues(parameter);
+      return values[Math.floor(this.random() * values.length)];
+    }
+
+    return Number((parameter.min + this.random() * (parameter.max - parameter.min)).toFixed(10));
+  }
+
+  /**
+   * Génère les jeux de paramètres à évaluer selon la méthode choisie
+   * (population initiale pour l'algorithme génétique)
+   * @returns {Array<Object>} Jeux de paramètres { chemin: valeur }
+   */
+  generateCandidates() {
+    if (this.method === 'genetic') {
+      return this._generateRandomCandidates(this.populationSize);
+    }
+
+    return this.method === 'random'
+      ? this._generateRandomCandidates()
+      : this._generateGridCandidates();
+  }
+
+  /**
+   * Produit la génération suivante à partir d'une population évaluée et classée :
+   * élitisme, sélection par tournoi, croisement puis mutation
+   * @param {Array<Object>} rankedPopulation - Population classée par rank()
+   * @returns {Array<Object>} Jeux de paramètres de la nouvelle génération
+   */
+  evolve(rankedPopulation) {
+    const next = [];
+    const seen = new Set();
+    const add = (candidate) => {
+      const key = JSON.stringify(candidate);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      next.push(candidate);
+      return true;
+    };
+
+    // Élitisme : les meilleurs individus valides passent tels quels
+    rankedPopulation
+      .filter(individual => individual.valid)
+      .slice(0, this.elitism)
+      .forEach(individual => add({ ...individual.parameters }));
+
+    const maxAttempts = this.populationSize * 20;
+    for (let attempt = 0; attempt < maxAttempts && next.length < this.populationSize; attempt++) {
+      const first = this._tournamentSelect(rankedPopulation);
+      const second = this._tournamentSelect(rankedPopulation);
+
+      const child = this.random() < this.crossoverRate
+        ? this._crossover(first.parameters, second.parameters)
+        : { ...first.parameters };
+
+      add(this._mutate(child));
+    }
+
+    // Espace trop petit pour une population distincte : compléter par des tirages
+    if (next.length < this.populationSize) {
+      // Les tirages sont déjà dédoublonnés contre `seen`, qu'ils complètent au passage
+      next.push(...this._generateRandomCandidates(this.populationSize - next.length, seen));
+    }
+
+    return next;
+  }
+
+  /**
+   * Indique si l'algorithme génétique doit s'arrêter
+   * @param {Array<Object>} history - Meilleur résultat de chaque génération ({ bestScore })
+   * @returns {boolean} True si la dernière génération est atteinte ou si le score stagne
+   */
+  shouldStop(history) {
+    if (history.length >= this.generations) return true;
+    if (!this.patience || history.length <= this.patience) return false;
+
+    const scores = history.map(generation => generation.bestScore);
+    const recent = scores.slice(-this.patience);
+    const reference = scores[scores.length - this.patience - 1];
+
+    if (reference === null) return false;
+    return !recent.some(score => score !== null && this._isBetter(score, reference));
+  }
+
+  /**
+   * Construit les surcharges de configuration correspondant à un jeu de paramètres
+   * @static
+   * @param {Object} parameters - Jeu de paramètres { chemin: valeur }
+   * @returns {Object} Configuration partielle imbriquée
+   */
+  static buildConfigOverrides(parameters) {
+    const overrides = {};
+    for (const [path, value] of Object.entries(parameters)) {
+      setValueByPath(overrides, path, value);
+    }
+    return overrides;
+  }
+
+  /**
+   * Extrait le score d'un résultat selon l'objectif
+   * @param {Object} metrics - Métriques de simulation
+   * @returns {number} Valeur de l'objectif
+   */
+  getScore(metrics) {
+    const value = metrics?.[this.objective.metric];
+    return typeof value === 'number' && !isNaN(value) ? value : null;
+  }
+
+  /**
+   * Classe les résultats du meilleur au moins bon
+   * Les résultats sans assez de trades ou sans score sont classés en dernier
+   * @param {Array<Object>} results - Résultats { parameters, metrics }
+   * @returns {Array<Object>} Résultats classés avec score et rang
+   */
+  rank(results) {
+    const direction = this.objective.direction === 'minimize' ? 1 : -1;
+
+    return results
+      .map(result => {
+        const score = this.getScore(result.metrics);
+        return {
+          ...result,
+          score,
+          valid: score !== null && (result.metrics?.totalTrades || 0) >= this.minTrades
+        };
+      })
+      .sort((a, b) => {
+        if (a.valid !== b.valid) return a.valid ? -1 : 1;
+        if (a.score === b.score) return 0;
+        if (a.score === null) return 1;
+        if (b.score === null) return -1;
+        return direction * (a.score - b.score);
+      })
+      .map((result, index) => ({ rank: index + 1, ...result }));
+  }
+
+  /**
+   * Voisins à ±1 pas de chaque paramètre d'un jeu donné, les autres restant fixes
+   * (valeur précédente/suivante de la liste pour une énumération)
+   * @param {Object} parameters - Jeu de paramètres de référence (en général l'optimum)
+   * @returns {Array<Object>} { path, value, lower, upper } ; lower/upper valent null hors plage
+   */
+  getNeighbors(parameters) {
+    return this.parameters.map(parameter => {
+      const value = parameters[parameter.path];
+      let lowerValue;
+      let upperValue;
+
+      if (parameter.type === 'enum') {
+        const index = parameter.values.findIndex(candidate => JSON.stringify(candidate) === JSON.stringify(value));
+        lowerValue = index > 0 ? parameter.values[index - 1] : undefined;
+        upperValue = index >= 0 && index < parameter.values.length - 1 ? parameter.values[index + 1] : undefined;
+      } else {
+        const lower = Number((value - parameter.step).toFixed(10));
+        const upper = Number((value + parameter.step).toFixed(10));
+        lowerValue = lower >= parameter.min - 1e-9 ? lower : undefined;
+        upperValue = upper <= parameter.max + 1e-9 ? upper : undefined;
+      }
+
+      return {
+        path: parameter.path,
+        value,
+        lower: lowerValue !== undefined ? { ...parameters, [parameter.path]: lowerValue } : null,
+        upper: upperValue !== undefined ? { ...parameters, [parameter.path]: upperValue } : null
+      };
+    });
+  }
+
+  /**
+   * Grille 2D sur une paire de paramètres, les autres étant fixés à un jeu de référence
+   * @param {Object} parameters - Jeu de paramètres de référence
+   * @param {string} xPath - Paramètre en abscisse
+   * @param {string} yPath - Paramètre en ordonnée
+   * @returns {Object} { x, y, xValues, yValues, candidates[ligne y][colonne x] }
+   */
+  buildHeatmapCandidates(parameters, xPath, yPath) {
+    const xParameter = this.parameters.find(parameter => parameter.path === xPath);
+    const yParameter = this.parameters.find(parameter => parameter.path === yPath);
+
+    if (!xParameter || !yParameter || xPath === yPath) {
+      throw new Error(`Invalid heatmap parameter pair: ${xPath}, ${yPath}`);
+    }
+
+    const xValues = this.getParameterValues(xParameter);
+    const yValues = this.getParameterValues(yParameter);
+
+    if (xValues.length * yValues.length > this.maxRuns) {
+      throw new Error(`Heatmap ${xPath} x ${yPath} has ${xValues.length * yValues.length} cells, exceeding maxRuns (${this.maxRuns})`);
+    }
+
+    return {
+      x: xPath,
+      y: yPath,
+      xValues,
+      yValues,
+      candidates: yValues.map(yValue =>
+        xValues.map(xValue => ({ ...parameters, [xPath]: xValue, [yPath]: yValue }))
+      )
+    };
+  }
+
+  /**
+   * Compare deux scores selon le sens de l'objectif
+   * @private
+   * @param {number} score - Score candidat
+   * @param {number} reference - Score de référence
+   * @returns {boolean} True si le score candidat est strictement meilleur
+   */
+  _isBetter(score, reference) {
+    return this.objective.direction === 'minimize' ? score < reference : score > reference;
+  }
+
+  /**
+   * Sélection par tournoi : le mieux classé de quelques individus tirés au hasard
+   * @private
+   * @param {Array<Object>} rankedPopulation - Population classée
+   * @returns {Object} Individu sélectionné
+   */
+  _tournamentSelect(rankedPopulation) {
+    let best = null;
+    for (let i = 0; i < this.tournamentSize; i++) {
+      const individual = rankedPopulation[Math.floor(this.random() * rankedPopulation.length)];
+      if (!best || individual.rank < best.rank) {
+        best = individual;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Croisement uniforme ; les gènes réels sont mélangés linéairement
+   * @private
+   * @param {Object} first - Paramètres du premier parent
+   * @param {Object} second - Paramètres du second parent
+   * @returns {Object} Paramètres de l'enfant
+   */
+  _crossover(first, second) {
+    const child = {};
+
+    for (const parameter of this.parameters) {
+      const a = first[parameter.path];
+      const b = second[parameter.path];
+
+      if (parameter.type === 'float') {
+        const weight = this.random();
+        child[parameter.path] = Number((a * weight + b * (1 - weight)).toFixed(10));
+      } else {
+        child[parameter.path] = this.random() < 0.5 ? a : b;
+      }
+    }
+
+    return child;
+  }
+
+  /**
+   * Mutation : chaque gène est modifié avec la probabilité mutationRate
+   * (décalage d'un ou deux pas pour les entiers, perturbation de ±10 % de la plage
+   * pour les réels, nouvelle valeur pour les énumérations)
+   * @private
+   * @param {Object} candidate - Paramètres à muter
+   * @returns {Object} Paramètres mutés
+   */
+  _mutate(candidate) {
+    const mutated = { ...candidate };
+
+    for (const parameter of this.parameters) {
+      if (this.random() >= this.mutationRate) continue;
+
+      if (parameter.type === 'enum') {
+        mutated[parameter.path] = this.sampleParameterValue(parameter);
+      } else if (parameter.type === 'int') {
+        const steps = (this.random() < 0.5 ? -1 : 1) * (1 + Math.floor(this.random() * 2));
+        const value = mutated[parameter.path] + steps * parameter.step;
+        mutated[parameter.path] = Number(Math.min(parameter.max, Math.max(parameter.min, value)).toFixed(10));
+      } else {
+        const delta = (this.random() * 2 - 1) * (parameter.max - parameter.min) * 0.1;
+        const value = mutated[parameter.path] + delta;
+        mutated[parameter.path] = Number(Math.min(parameter.max, Math.max(parameter.min, value)).toFixed(10));
+      }
+    }
+
+    return mutated;
+  }
+
+  /**
+   * Génère toutes les combinaisons de la grille
+   * @private
+   * @returns {Array<Object>} Jeux de paramètres
+   */
+  _generateGridCandidates() {
+    const valueLists = this.parameters.map(parameter => this.getParameterValues(parameter));
+    const totalRuns = valueLists.reduce((total, values) => total * values.length, 1);
+
+    if (totalRuns > this.maxRuns) {
+      throw new Error(`Grid search would require ${totalRuns} runs (limit ${this.maxRuns}), use random search or narrow the ranges`);
+    }
+
+    let candidates = [{}];
+    this.parameters.forEach((parameter, index) => {
+      const next = [];
+      for (const candidate of candidates) {
+        for (const value of valueLists[index]) {
+          next.push({ ...candidate, [parameter.path]: value });
+        }
+      }
+      candidates = next;
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Tire des jeux de paramètres aléatoires distincts
+   * @private
+   * @param {number} [count=this.iterations] - Nombre de jeux à tirer
+   * @param {Set<string>} [seen] - Jeux déjà présents (clés JSON) à ne pas retirer
+   * @returns {Array<Object>} Jeux de paramètres
+   */
+  _generateRandomCandidates(count = this.iterations, seen = new Set()) {
+    const candidates = [];
+    const maxAttempts = count * 10;
+
+    for (let attempt = 0; attempt < maxAttempts && candidates.length < count; attempt++) {
+      const candidate = {};
+      for (const parameter of this.parameters) {
+        candidate[parameter.path] = this.sampleParameterValue(parameter);
+      }
+
+      const key = JSON.stringify(candidate);
+      if (!seen.has(key)) {
+        seen.add(key);
+        candidates.push(candidate);
+      }
+    }
+
+    return candidates;
+  }
+}
+
+export default ParameterOptimizer;
@@ -0,0 +1,1393 @@
+// bot/SimulationEngine.js
+import EventEmitter from 'events';
+import { StrategyFactory } from '../strategies/StrategyFactory.js';
+import { RiskManager } from '../trading/riskManager.js';
+import { PositionManager } from '../trading/positionManager.js';
+import { PortfolioManager } from '../trading/portfolioManager.js';
+import { TradeLogger } from '../trading/tradeLogger.js';
+import { createCostModel } from '../trading/costModels.js';
+import { technicalAnalysis } from '../utils/indicators.js';
+import { performanceMetrics } from '../utils/performanceMetrics.js';
+import { monteCarloAnalysis } from '../utils/monteCarlo.js';
+import { ParameterOptimizer } from './ParameterOptimizer.js';
+import { createDeterministicRun, createSeededRandom } from '../utils/determinism.js';
+import { deepMerge, intervalToMs, resampleCandles } from '../utils/helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+/**
+ * Moteur de simulation événementiel (backtest)
+ * Rejoue les bougies historiques dans l'ordre chronologique à travers la même
+ * stratégie (StrategyFactory), le RiskManager, le PositionManager et le
+ * PortfolioManager que le bot en production
+ */
+export class SimulationEngine extends EventEmitter {
+  /**
+   * Crée une instance de SimulationEngine
+   * Les instances live ne sont jamais modifiées : chaque simulation crée ses
+   * propres gestionnaires à partir de la configuration
+   * @param {Object} config - Configuration globale
+   * @param {Object} strategy - Stratégie de trading du bot
+   * @param {Object} riskManager - Gestionnaire de risque du bot
+   * @param {Object} dataManager - Gestionnaire de données
+   * @param {Object} logger - Journal des trades du bot
+   */
+  constructor(config, strategy, riskManager, dataManager, logger) {
+    super();
+    this.config = config;
+    this.strategy = strategy;
+    this.riskManager = riskManager;
+    this.dataManager = dataManager;
+    this.logger = logger;
+
+    // Sources de données alternatives (fichiers importés...) utilisables à la place du DataManager
+    this.dataSources = new Map();
+  }
+
+  /**
+   * Enregistre une source de données historiques sélectionnable par son nom
+   * (options.dataSource des simulations et optimisations)
+   * @param {string} name - Nom de la source
+   * @param {Object} source - Source exposant getHistoricalPrices(token, start, end, interval)
+   *   et, optionnellement, getTokens() et getDefaultInterval()
+   */
+  registerDataSource(name, source) {
+    if (!source || typeof source.getHistoricalPrices !== 'function') {
+      throw new Error('A data source must implement getHistoricalPrices()');
+    }
+
+    this.dataSources.set(name, source);
+  }
+
+  /**
+   * Exécute une simulation sur une période historique
+   * @param {Date|string|number} startDate - Date de début
+   * @param {Date|string|number} endDate - Date de fin
+   * @param {Object} [options={}] - Options de simulation
+   * @param {Object} [options.config] - Surcharges de configuration pour cette simulation
+   * @param {string} [options.interval] - Intervalle des bougies ('15m', '1h', '4h'...)
+   * @param {Array<string|Object>} [options.tokens] - Univers de tokens (sinon tokens qualifiés)
+   * @param {string} [options.dataSource] - Source de données enregistrée (sinon DataManager)
+   * @param {Object} [options.data] - Données déjà chargées via loadHistoricalData()
+   * @param {string|Object|boolean} [options.benchmark] - Benchmark de comparaison : 'EQUAL_WEIGHT',
+   *   'BUY_AND_HOLD' / 'SOL', adresse d'un token, { type, token } ou false (sinon simulation.benchmark)
+   * @param {boolean|Object} [options.monteCarlo] - Analyse Monte Carlo des trades
+   *   ({ iterations, method: 'reshuffle'|'resample', priceNoise, percentiles } ou true pour les valeurs par défaut)
+   * @param {string} [options.runId] - Identifiant de l'exécution
+   * @param {number|string} [options.seed] - Graine : même runId + même graine => résultats identiques
+   * @param {AbortSignal} [options.signal] - Signal d'annulation
+   * @param {Function} [options.onProgress] - Rappel de progression ({ percentage, timestamp, trades })
+   * @returns {Promise<Object>} Résultats de la simulation
+   * @throws {Error} Si les options Monte Carlo sont invalides
+   */
+  async runSimulation(startDate, endDate, options = {}) {
+    const startTime = new Date(startDate).getTime();
+    const endTime = new Date(endDate).getTime();
+
+    if (isNaN(startTime) || isNaN(endTime) || startTime >= endTime) {
+      throw new Error('Invalid simulation date range');
+    }
+
+    // Options Monte Carlo vérifiées avant de rejouer la période
+    const monteCarlo = options.monteCarlo ? monteCarloAnalysis.validateOptions(options.monteCarlo) : null;
+    if (monteCarlo && !monteCarlo.isValid) {
+      throw new Error(`Invalid Monte Carlo options: ${monteCarlo.errors.join('; ')}`);
+    }
+
+    const runConfig = deepMerge(this.config, options.config);
+    const data = options.data || await this.loadHistoricalData(startTime, endTime, options);
+
+    if (data.series.size === 0) {
+      throw new Error('No historical data available for simulation');
+    }
+
+    const result = await this.replay(data, runConfig, startTime, endTime, {
+      runId: options.runId,
+      seed: options.seed,
+      signal: options.signal,
+      onProgress: options.onProgress
+    });
+
+    const benchmark = this._resolveBenchmark(options.benchmark, runConfig);
+    if (benchmark) {
+      result.benchmark = this._buildBenchmark(data, benchmark, result.equityCurve, result.initialCapital);
+    }
+
+    if (monteCarlo) {
+      result.monteCarlo = monteCarloAnalysis.run(result.trades, {
+        ...monteCarlo.options,
+        // Flux aléatoire distinct de celui de la simulation, dérivé du même couple runId / graine
+        random: createSeededRandom(`${result.runId}:${result.seed}:monteCarlo`),
+        initialCapital: result.initialCapital
+      });
+    }
+
+    return {
+      success: true,
+      startDate: new Date(startTime).toISOString(),
+      endDate: new Date(endTime).toISOString(),
+      strategy: runConfig.strategy?.type || 'ENHANCED_MOMENTUM',
+      interval: data.interval,
+      tokens: data.tokens.map(token => token.token_mint),
+      ...result
+    };
+  }
+
+  /**
+   * Charge les bougies historiques de l'univers de tokens, période de chauffe incluse
+   * Le résultat peut être réutilisé pour plusieurs simulations sur les mêmes données
+   * @param {Date|string|number} startDate - Date de début
+   * @param {Date|string|number} endDate - Date de fin
+   * @param {Object} [options={}] - Options (interval, tokens, dataSource)
+   * @param {string} [options.dataSource] - Nom d'une source enregistrée via registerDataSource()
+   * @param {Object} [options.config] - Surcharges de configuration (période de chauffe)
+   * @param {string|Object|boolean} [options.benchmark] - Benchmark dont le token doit être chargé
+   * @returns {Promise<Object>} { tokens, series: Map<token, candles>, benchmarkSeries, interval, startTime, endTime }
+   */
+  async loadHistoricalData(startDate, endDate, options = {}) {
+    const startTime = new Date(startDate).getTime();
+    const endTime = new Date(endDate).getTime();
+    const source = this._resolveDataSource(options.dataSource);
+    const interval = options.interval ||
+      (source !== this.dataManager && source.getDefaultInterval?.()) ||
+      this.config.simulation?.interval ||
+      '1h';
+    const lookbackPeriods = this._getLookbackPeriods(deepMerge(this.config, options.config));
+    const warmupStart = startTime - lookbackPeriods * intervalToMs(interval);
+
+    let tokens;
+    if (options.tokens) {
+      tokens = options.tokens.map(token => (typeof token === 'string' ? { token_mint: token } : token));
+    } else if (source !== this.dataManager && typeof source.getTokens === 'function') {
+      tokens = await source.getTokens();
+    } else {
+      tokens = await this.getQualifiedTokens();
+    }
+
+    const series = new Map();
+    const batchSize = this.config.performance?.tokenConcurrency || 5;
+
+    // Charger par lots pour limiter la concurrence, comme le CycleManager
+    for (let i = 0; i < tokens.length; i += batchSize) {
+      const batch = tokens.slice(i, i + batchSize);
+
+      await Promise.all(batch.map(async (token) => {
+        try {
+          const candles = await source.getHistoricalPrices(
+            token.token_mint,
+            warmupStart,
+            endTime,
+            interval
+          );
+
+          const normalized = this._normalizeCandles(candles);
+          if (normalized.length > 0) {
+            series.set(token.token_mint, normalized);
+          } else {
+            this.emit('debug', `No historical data for ${token.token_mint}, skipping`);
+          }
+        } catch (error) {
+          this.emit('warning', `Failed to load history for ${token.token_mint}: ${error.message}`);
+        }
+      }));
+    }
+
+    // Token du benchmark buy-and-hold absent de l'univers : chargé à part, jamais tradé
+    const benchmarkSeries = new Map();
+    const benchmark = this._resolveBenchmark(options.benchmark, this.config);
+    if (benchmark?.type === 'BUY_AND_HOLD' && !series.has(benchmark.token)) {
+      try {
+        const candles = await source.getHistoricalPrices(benchmark.token, warmupStart, endTime, interval);
+        benchmarkSeries.set(benchmark.token, this._normalizeCandles(candles));
+      } catch (error) {
+        this.emit('warning', `Failed to load benchmark history for ${benchmark.token}: ${error.message}`);
+      }
+    }
+
+    return {
+      tokens: tokens.filter(token => series.has(token.token_mint)),
+      series,
+      benchmarkSeries,
+      interval,
+      startTime,
+      endTime
+    };
+  }
+
+  /**
+   * Récupère les tokens qualifiés selon les mêmes critères que le CycleManager
+   * @returns {Promise<Array>} Liste de tokens qualifiés
+   */
+  async getQualifiedTokens() {
+    const topTokens = await this.dataManager.marketData.getTopTokens(
+      this.config.trading?.maxTokensToAnalyze || 50
+    );
+
+    return topTokens.filter(token => (
+      token.liquidity >= (this.config.trading?.minLiquidity || 0) &&
+      token.volume24h >= (this.config.trading?.minVolume24h || 0)
+    ));
+  }
+
+  /**
+   * Rejoue les bougies chargées à travers les composants de trading
+   * @param {Object} data - Données chargées via loadHistoricalData()
+   * @param {Object} runConfig - Configuration de la simulation
+   * @param {number} startTime - Timestamp de début (ms)
+   * @param {number} endTime - Timestamp de fin (ms)
+   * @param {Object} [runOptions={}] - Reproductibilité de l'exécution
+   * @param {string} [runOptions.runId] - Identifiant de l'exécution
+   * @param {number|string} [runOptions.seed] - Graine (tirée au hasard et retournée si absente)
+   * @param {AbortSignal} [runOptions.signal] - Signal d'annulation, vérifié à chaque pas
+   * @param {Function} [runOptions.onProgress] - Rappel recevant chaque événement de progression
+   * @returns {Promise<Object>} Trades, courbe d'équité et métriques
+   */
+  async replay(data, runConfig, startTime, endTime, runOptions = {}) {
+    const run = createDeterministicRun({ ...runOptions, startTime });
+    const context = this._createRunContext(runConfig, run);
+    const { positionManager, portfolioManager, tradeLogger } = context;
+
+    const intervalMs = intervalToMs(data.interval);
+    const initialCapital = portfolioManager.initialCapital;
+    const timeline = this._buildTimeline(data.series, startTime, endTime);
+    const cursors = new Map(Array.from(data.series.keys(), token => [token, 0]));
+    const tokensByMint = new Map(data.tokens.map(token => [token.token_mint, token]));
+    const currentPrices = new Map();
+    const trades = [];
+    const equityCurve = [];
+    const progressStep = Math.max(1, Math.floor(timeline.length / 100));
+
+    try {
+      for (let step = 0; step < timeline.length; step++) {
+        this._throwIfCancelled(runOptions.signal);
+
+        const timestamp = timeline[step];
+        context.timestamp = timestamp;
+        context.clock.set(timestamp);
+        const updatedTokens = [];
+
+        // Avancer chaque série jusqu'au timestamp courant
+        for (const [token, candles] of data.series) {
+          let index = cursors.get(token);
+          while (index < candles.length && candles[index].timestamp <= timestamp) {
+            index++;
+          }
+          cursors.set(token, index);
+
+          if (index > 0 && candles[index - 1].timestamp === timestamp) {
+            currentPrices.set(token, candles[index - 1].price);
+            updatedTokens.push(token);
+          }
+        }
+
+        // Étape 1: vérifier les positions ouvertes (stops suiveurs, stop loss / take profit)
+        this._updateTrailingStops(context, data.series, cursors, runConfig);
+        this._requestStrategyExits(context, data.series, cursors, runConfig);
+        const closedPositions = await positionManager.checkPositions(currentPrices);
+        for (const position of closedPositions) {
+          trades.push(this._recordClosedPosition(context, position, timestamp));
+        }
+
+        // Étape 2: analyser les tokens qui ont une nouvelle bougie
+        for (const token of updatedTokens) {
+          if (positionManager.getPosition(token)) continue;
+          if (positionManager.getOpenPositions().length >= (runConfig.trading?.maxOpenPositions || 3)) break;
+
+          const candles = data.series.get(token);
+          const index = cursors.get(token);
+          const window = candles.slice(Math.max(0, index - this._getLookbackPeriods(runConfig)), index);
+
+          await this._processToken(context, tokensByMint.get(token), window, runConfig, intervalMs, timestamp);
+        }
+
+        // Étape 3: enregistrer l'équité (réalisée + latente)
+        equityCurve.push({ timestamp, equity: this._calculateEquity(context, currentPrices) });
+
+        // Le cache d'indicateurs est indexé par longueur et dernier prix : le vider à chaque pas
+        technicalAnalysis.clearCache();
+
+        if (step % progressStep === 0 || step === timeline.length - 1) {
+          const progress = {
+            step: step + 1,
+            totalSteps: timeline.length,
+            percentage: ((step + 1) / timeline.length) * 100,
+            timestamp,
+            trades: trades.length
+          };
+          this.emit('progress', progress);
+          runOptions.onProgress?.(progress);
+
+          // Rendre la main à la boucle d'événements (requêtes HTTP, annulation)
+          await new Promise(resolve => setImmediate(resolve));
+        }
+      }
+
+      // Fermer les positions restantes au dernier prix connu
+      const lastTimestamp = timeline[timeline.length - 1];
+      for (const position of positionManager.getOpenPositions()) {
+        const exitPrice = currentPrices.get(position.token) || position.currentPrice;
+        const closedPosition = await positionManager.closePosition(position.token, exitPrice, 'END_OF_SIMULATION');
+        trades.push(this._recordClosedPosition(context, closedPosition, lastTimestamp));
+      }
+
+      if (equityCurve.length > 0) {
+        equityCurve[equityCurve.length - 1].equity = portfolioManager.currentCapital;
+      }
+
+      return {
+        runId: run.runId,
+        seed: run.seed,
+        initialCapital,
+        finalCapital: portfolioManager.currentCapital,
+        metrics: performanceMetrics.summarize(trades, equityCurve, initialCapital, {
+          periodsPerYear: YEAR_MS / intervalMs
+        }),
+        trades,
+        equityCurve,
+        dailyResults: tradeLogger.getDailyPerformance()
+      };
+    } finally {
+      this._disposeRunContext(context);
+    }
+  }
+
+  /**
+   * Compare plusieurs stratégies sur la même période et le même univers de tokens
+   * Les données sont chargées une seule fois puis rejouées pour chaque stratégie
+   * @param {Date|string|number} startDate - Date de début
+   * @param {Date|string|number} endDate - Date de fin
+   * @param {Array<string|Object>} strategies - Types de stratégie ou { type, name, config }
+   * @param {Object} [options={}] - Options communes (config, interval, tokens, dataSource, data)
+   * @returns {Promise<Object>} Métriques côte à côte et courbes d'équité alignées
+   */
+  async compareStrategies(startDate, endDate, strategies, options = {}) {
+    const startTime = new Date(startDate).getTime();
+    const endTime = new Date(endDate).getTime();
+
+    if (isNaN(startTime) || isNaN(endTime) || startTime >= endTime) {
+      throw new Error('Invalid comparison date range');
+    }
+
+    if (!Array.isArray(strategies) || strategies.length === 0) {
+      throw new Error('At least one strategy is required for comparison');
+    }
+
+    const baseConfig = deepMerge(this.config, options.config);
+    const names = new Set();
+    const runs = strategies.map((entry) => {
+      const { type, name, config } = typeof entry === 'string' ? { type: entry } : entry;
+      if (!type) {
+        throw new Error('Each compared strategy requires a type');
+      }
+
+      // Libellé unique pour distinguer deux variantes d'une même stratégie
+      let label = name || type;
+      for (let suffix = 2; names.has(label); suffix++) {
+        label = `${name || type} #${suffix}`;
+      }
+      names.add(label);
+
+      return {
+        name: label,
+        strategy: type.toUpperCase(),
+        overrides: config || {},
+        runConfig: deepMerge(baseConfig, config, { strategy: { type } })
+      };
+    });
+
+    // Chauffe suffisante pour la stratégie la plus exigeante
+    const lookbackPeriods = Math.max(...runs.map(run => this._getLookbackPeriods(run.runConfig)));
+    const data = options.data || await this.loadHistoricalData(startTime, endTime, {
+      ...options,
+      config: deepMerge(options.config, { simulation: { lookbackPeriods } })
+    });
+
+    if (data.series.size === 0) {
+      throw new Error('No historical data available for comparison');
+    }
+
+    const results = [];
+    for (let i = 0; i < runs.length; i++) {
+      const run = runs[i];
+      this._throwIfCancelled(options.signal);
+
+      try {
+        // La factory se replie silencieusement sur Enhanced Momentum pour un type inconnu
+        if (!StrategyFactory.isStrategyAvailable(run.strategy)) {
+          throw new Error(`Strategy ${run.strategy} is not available`);
+        }
+
+        const result = await this.replay(data, run.runConfig, startTime, endTime, {
+          runId: options.runId && `${options.runId}:${run.name}`,
+          seed: options.seed,
+          signal: options.signal,
+          onProgress: this._scaleProgress(options.onProgress, i, runs.length)
+        });
+        results.push({
+          name: run.name,
+          strategy: run.strategy,
+          config: run.overrides,
+          success: true,
+          runId: result.runId,
+          seed: result.seed,
+          initialCapital: result.initialCapital,
+          finalCapital: result.finalCapital,
+          metrics: result.metrics,
+          equityCurve: result.equityCurve
+        });
+      } catch (error) {
+        if (options.signal?.aborted) throw error;
+        this.emit('warning', `Comparison run ${run.name} failed: ${error.message}`);
+        results.push({
+          name: run.name,
+          strategy: run.strategy,
+          config: run.overrides,
+          success: false,
+          error: error.message
+        });
+      }
+
+      this.emit('comparison_progress', {
+        run: i + 1,
+        totalRuns: runs.length,
+        percentage: ((i + 1) / runs.length) * 100,
+        strategy: run.name
+      });
+    }
+
+    return {
+      success: true,
+      startDate: new Date(startTime).toISOString(),
+      endDate: new Date(endTime).toISOString(),
+      interval: data.interval,
+      tokens: data.tokens.map(token => token.token_mint),
+      strategies: results.map(({ equityCurve, ...result }) => result),
+      equityCurves: this._alignEquityCurves(results)
+    };
+  }
+
+  /**
+   * Optimise les paramètres de la stratégie par backtests successifs
+   * @param {Date|string|number} startDate - Date de début
+   * @param {Date|string|number} endDate - Date de fin
+   * @param {Object} parametersToOptimize - Plages par chemin de configuration
+   *   (ex: { 'indicators.rsi.period': { min: 10, max: 20, step: 2 }, 'trading.stopLoss': [3, 5, 7] })
+   * @param {Object} [options={}] - Options d'optimisation
+   * @param {string} [options.method='grid'] - Méthode de recherche ('grid', 'random' ou 'genetic')
+   * @param {string} [options.objective='netProfit'] - Objectif (netProfit, sharpeRatio, profitFactor, maxDrawdown)
+   * @param {number} [options.iterations] - Nombre de tirages en recherche aléatoire
+   * @param {number} [options.maxRuns] - Nombre maximum de combinaisons en grille
+   * @param {number} [options.minTrades] - Nombre minimum de trades pour qu'un résultat soit classé
+   * @param {number} [options.populationSize] - Taille de la population (génétique)
+   * @param {number} [options.generations] - Nombre maximum de générations (génétique)
+   * @param {number} [options.crossoverRate] - Probabilité de croisement (génétique)
+   * @param {number} [options.mutationRate] - Probabilité de mutation par gène (génétique)
+   * @param {number} [options.elitism] - Nombre d'individus d'élite conservés (génétique)
+   * @param {number} [options.patience] - Générations sans amélioration avant arrêt anticipé (génétique)
+   * @param {boolean} [options.diagnostics=true] - Calcule les diagnostics de sur-optimisation
+   * @param {Array<Array<string>>} [options.heatmaps] - Paires de paramètres [x, y] pour lesquelles produire une heatmap
+   * @param {Object} [options.config] - Surcharges de configuration communes à tous les essais
+   * @param {string} [options.interval] - Intervalle des bougies
+   * @param {Array<string|Object>} [options.tokens] - Univers de tokens
+   * @param {string} [options.dataSource] - Source de données enregistrée
+   * @param {Object} [options.data] - Données déjà chargées via loadHistoricalData()
+   * @returns {Promise<Object>} Résultats classés de l'optimisation
+   *   (plus le meilleur jeu de chaque génération pour la méthode génétique et les diagnostics)
+   */
+  async optimizeParameters(startDate, endDate, parametersToOptimize, options = {}) {
+    const startTime = new Date(startDate).getTime();
+    const endTime = new Date(endDate).getTime();
+
+    if (isNaN(startTime) || isNaN(endTime) || startTime >= endTime) {
+      throw new Error('Invalid optimization date range');
+    }
+
+    // Avec une graine, la recherche aléatoire est elle aussi reproductible
+    const optimizer = new ParameterOptimizer(parametersToOptimize, {
+      ...options,
+      random: options.random || (options.seed !== undefined
+        ? createSeededRandom(`${options.runId || 'optimization'}:${options.seed}`)
+        : undefined)
+    });
+    const candidates = optimizer.generateCandidates();
+    const baseConfig = deepMerge(this.config, options.config);
+
+    // Les données sont chargées une seule fois et partagées par tous les essais
+    const data = options.data || await this.loadHistoricalData(startTime, endTime, options);
+    if (data.series.size === 0) {
+      throw new Error('No historical data available for optimization');
+    }
+
+    const isGenetic = optimizer.method === 'genetic';
+    const plannedRuns = isGenetic ? optimizer.populationSize * optimizer.generations : candidates.length;
+
+    this.emit('info', isGenetic
+      ? `Starting genetic optimization: population ${optimizer.populationSize}, up to ${optimizer.generations} generations, objective ${optimizer.objectiveName}`
+      : `Starting ${optimizer.method} optimization: ${candidates.length} runs, objective ${optimizer.objectiveName}`);
+
+    // Un même jeu de paramètres n'est évalué qu'une fois (élites, doublons entre générations)
+    const evaluated = new Map();
+    const returnStatistics = new Map();
+    const evaluate = async (parameters) => {
+      const key = JSON.stringify(parameters);
+      if (evaluated.has(key)) {
+        return evaluated.get(key);
+      }
+
+      this._throwIfCancelled(options.signal);
+      const run = evaluated.size + 1;
+      let evaluation;
+
+      try {
+        const runConfig = deepMerge(baseConfig, ParameterOptimizer.buildConfigOverrides(parameters));
+        const result = await this.replay(data, runConfig, startTime, endTime, {
+          runId: options.runId && `${options.runId}:${run}`,
+          seed: options.seed,
+          signal: options.signal,
+          onProgress: this._scaleProgress(options.onProgress, Math.min(run - 1, plannedRuns - 1), plannedRuns)
+        });
+        evaluation = { parameters, metrics: result.metrics };
+        returnStatistics.set(key, performanceMetrics.calculateReturnStatistics(
+          performanceMetrics.calculateReturns(result.equityCurve)
+        ));
+      } catch (error) {
+        if (options.signal?.aborted) throw error;
+        this.emit('warning', `Optimization run ${run} failed: ${error.message}`);
+        evaluation = { parameters, metrics: null, error: error.message };
+      }
+
+      evaluated.set(key, evaluation);
+      this.emit('optimization_progress', {
+        run,
+        totalRuns: plannedRuns,
+        percentage: Math.min(100, (run / plannedRuns) * 100),
+        parameters
+      });
+
+      return evaluation;
+    };
+
+    let generations = null;
+    let stoppedEarly = false;
+
+    if (isGenetic) {
+      generations = [];
+      let population = candidates;
+
+      while (true) {
+        const evaluations = [];
+        for (const parameters of population) {
+          evaluations.push(await evaluate(parameters));
+        }
+
+        const rankedPopulation = optimizer.rank(evaluations);
+        const generationBest = rankedPopulation.find(result => result.valid) || null;
+        const validScores = rankedPopulation.filter(result => result.valid).map(result => result.score);
+
+        generations.push({
+          generation: generations.length + 1,
+          evaluations: evaluated.size,
+          bestParameters: generationBest ? generationBest.parameters : null,
+          bestScore: generationBest ? generationBest.score : null,
+          bestMetrics: generationBest ? generationBest.metrics : null,
+          averageScore: validScores.length > 0
+            ? validScores.reduce((sum, score) => sum + score, 0) / validScores.length
+            : null
+        });
+
+        this.emit('optimization_generation', generations[generations.length - 1]);
+
+        if (optimizer.shouldStop(generations)) {
+          stoppedEarly = generations.length < optimizer.generations;
+          break;
+        }
+
+        population = optimizer.evolve(rankedPopulation);
+      }
+
+      if (stoppedEarly) {
+        this.emit('info', `Genetic optimization stopped early after ${generations.length} generations without improvement`);
+      }
+    } else {
+      for (const parameters of candidates) {
+        await evaluate(parameters);
+      }
+    }
+
+    const results = Array.from(evaluated.values());
+    const ranked = optimizer.rank(results);
+    const best = ranked.find(result => result.valid) || null;
+
+    // Les essais supplémentaires des diagnostics ne comptent pas dans les résultats de la recherche
+    const diagnostics = best && options.diagnostics !== false
+      ? await this._analyzeOverfitting(optimizer, best, results, evaluate, returnStatistics, options.heatmaps)
+      : null;
+
+    return {
+      success: true,
+      method: optimizer.method,
+      objective: optimizer.objectiveName,
+      startDate: new Date(startTime).toISOString(),
+      endDate: new Date(endTime).toISOString(),
+      interval: data.interval,
+      tokens: data.tokens.map(token => token.token_mint),
+      totalRuns: results.length,
+      bestParameters: best ? best.parameters : null,
+      bestMetrics: best ? best.metrics : null,
+      ...(generations ? { generations, stoppedEarly } : {}),
+      diagnostics,
+      results: ranked
+    };
+  }
+
+  /**
+   * Diagnostics de sur-optimisation d'un résultat d'optimisation :
+   * sensibilité de l'objectif à ±1 pas autour de l'optimum, heatmaps 2D sur des
+   * paires de paramètres et ratio de Sharpe déflaté par le nombre d'essais
+   * @private
+   * @param {ParameterOptimizer} optimizer - Optimiseur utilisé
+   * @param {Object} best - Meilleur résultat classé
+   * @param {Array<Object>} results - Résultats de la recherche (avant diagnostics)
+   * @param {Function} evaluate - async (parameters) => { parameters, metrics }
+   * @param {Map<string, Object>} returnStatistics - Statistiques de rendements par jeu de paramètres
+   * @param {Array<Array<string>>} [heatmaps=[]] - Paires de paramètres [x, y]
+   * @returns {Promise<Object>} { sensitivity, heatmaps, deflatedSharpe }
+   */
+  async _analyzeOverfitting(optimizer, best, results, evaluate, returnStatistics, heatmaps = []) {
+    const minimize = optimizer.objective.direction === 'minimize';
+    const describe = async (parameters, path) => {
+      if (!parameters) return null;
+
+      const score = optimizer.getScore((await evaluate(parameters)).metrics);
+      const degradation = score !== null && best.score !== 0
+        ? ((minimize ? score - best.score : best.score - score) / Math.abs(best.score)) * 100
+        : null;
+
+      return { value: parameters[path], score, degradation };
+    };
+
+    const sensitivity = [];
+    for (const neighbor of optimizer.getNeighbors(best.parameters)) {
+      sensitivity.push({
+        path: neighbor.path,
+        value: neighbor.value,
+        score: best.score,
+        lower: await describe(neighbor.lower, neighbor.path),
+        upper: await describe(neighbor.upper, neighbor.path)
+      });
+    }
+
+    const degradations = sensitivity
+      .flatMap(entry => [entry.lower, entry.upper])
+      .filter(neighbor => neighbor && neighbor.degradation !== null)
+      .map(neighbor => neighbor.degradation);
+
+    // Une paire isolée ['x', 'y'] est acceptée telle quelle
+    const pairs = Array.isArray(heatmaps) && typeof heatmaps[0] === 'string' ? [heatmaps] : (heatmaps || []);
+    const heatmapResults = [];
+
+    for (const [xPath, yPath] of pairs) {
+      let grid;
+      try {
+        grid = optimizer.buildHeatmapCandidates(best.parameters, xPath, yPath);
+      } catch (error) {
+        this.emit('warning', `Heatmap skipped: ${error.message}`);
+        continue;
+      }
+
+      const scores = [];
+      for (const row of grid.candidates) {
+        const rowScores = [];
+        for (const parameters of row) {
+          rowScores.push(optimizer.getScore((await evaluate(parameters)).metrics));
+        }
+        scores.push(rowScores);
+      }
+
+      heatmapResults.push({ x: grid.x, y: grid.y, xValues: grid.xValues, yValues: grid.yValues, scores });
+    }
+
+    const trialSharpeRatios = results
+      .map(result => returnStatistics.get(JSON.stringify(result.parameters)))
+      .filter(Boolean)
+      .map(statistics => statistics.sharpeRatio);
+
+    return {
+      sensitivity: {
+        parameters: sensitivity,
+        maxDegradation: degradations.length > 0 ? Math.max(...degradations) : null,
+        averageDegradation: degradations.length > 0
+          ? degradations.reduce((sum, value) => sum + value, 0) / degradations.length
+          : null
+      },
+      heatmaps: heatmapResults,
+      deflatedSharpe: performanceMetrics.calculateDeflatedSharpeRatio(
+        returnStatistics.get(JSON.stringify(best.parameters)),
+        trialSharpeRatios
+      )
+    };
+  }
+
+  /**
+   * Analyse walk-forward : la période est découpée en fenêtres glissantes
+   * in-sample / out-of-sample. Chaque fenêtre in-sample est optimisée, le meilleur
+   * jeu de paramètres est rejoué sur la fenêtre out-of-sample suivante et les
+   * courbes d'équité out-of-sample sont chaînées en un seul rapport
+   * @param {Date|string|number} startDate - Date de début
+   * @param {Date|string|number} endDate - Date de fin
+   * @param {Object} parametersToOptimize - Plages par chemin de configuration
+   * @param {Object} [options={}] - Options (mêmes options que optimizeParameters, plus :)
+   * @param {string} [options.inSamplePeriod='30d'] - Durée des fenêtres in-sample ('14d', '4w'...)
+   * @param {string} [options.outOfSamplePeriod='7d'] - Durée des fenêtres out-of-sample
+   * @param {boolean} [options.anchored=false] - Fenêtres in-sample ancrées au début de la période
+   * @returns {Promise<Object>} Résultats par fenêtre et performance out-of-sample chaînée
+   */
+  async runWalkForward(startDate, endDate, parametersToOptimize, options = {}) {
+    const startTime = new Date(startDate).getTime();
+    const endTime = new Date(endDate).getTime();
+
+    if (isNaN(startTime) || isNaN(endTime) || startTime >= endTime) {
+      throw new Error('Invalid walk-forward date range');
+    }
+
+    const windows = this._buildWalkForwardWindows(
+      startTime,
+      endTime,
+      intervalToMs(options.inSamplePeriod || '30d'),
+      intervalToMs(options.outOfSamplePeriod || '7d'),
+      options.anchored === true
+    );
+
+    if (windows.length === 0) {
+      throw new Error('Date range is too short for the requested in-sample and out-of-sample periods');
+    }
+
+    const baseConfig = deepMerge(this.config, options.config);
+    const data = options.data || await this.loadHistoricalData(startTime, endTime, options);
+    if (data.series.size === 0) {
+      throw new Error('No historical data available for walk-forward analysis');
+    }
+
+    this.emit('info', `Starting walk-forward analysis: ${windows.length} windows`);
+
+    const initialCapital = baseConfig.simulation?.initialCapital || 10000;
+    let capital = initialCapital;
+    const windowResults = [];
+    const trades = [];
+    const equityCurve = [];
+
+    for (let i = 0; i < windows.length; i++) {
+      const window = windows[i];
+
+      const optimization = await this.optimizeParameters(
+        window.inSampleStart,
+        window.inSampleEnd,
+        parametersToOptimize,
+        {
+          ...options,
+          runId: options.runId && `${options.runId}:is${i + 1}`,
+          onProgress: this._scaleProgress(options.onProgress, i, windows.length),
+          config: baseConfig,
+          diagnostics: false,
+          data
+        }
+      );
+
+      if (!optimization.bestParameters) {
+        this.emit('warning', `Walk-forward window ${i + 1}: no valid in-sample result, using base configuration`);
+      }
+
+      // La fenêtre out-of-sample démarre avec le capital chaîné des fenêtres précédentes
+      const overrides = optimization.bestParameters
+        ? ParameterOptimizer.buildConfigOverrides(optimization.bestParameters)
+        : {};
+      const runConfig = deepMerge(baseConfig, overrides, { simulation: { initialCapital: capital } });
+      const outOfSample = await this.replay(data, runConfig, window.outOfSampleStart, window.outOfSampleEnd, {
+        runId: options.runId && `${options.runId}:oos${i + 1}`,
+        seed: options.seed,
+        signal: options.signal
+      });
+
+      capital = outOfSample.finalCapital;
+      trades.push(...outOfSample.trades);
+      equityCurve.push(...outOfSample.equityCurve);
+
+      windowResults.push({
+        index: i + 1,
+        inSample: {
+          startDate: new Date(window.inSampleStart).toISOString(),
+          endDate: new Date(window.inSampleEnd).toISOString(),
+          metrics: optimization.bestMetrics
+        },
+        outOfSample: {
+          startDate: new Date(window.outOfSampleStart).toISOString(),
+          endDate: new Date(window.outOfSampleEnd).toISOString(),
+          metrics: outOfSample.metrics
+        },
+        parameters: optimization.bestParameters
+      });
+
+      this.emit('walkforward_progress', {
+        window: i + 1,
+        totalWindows: windows.length,
+        percentage: ((i + 1) / windows.length) * 100,
+        parameters: optimization.bestParameters
+      });
+    }
+
+    return {
+      success: true,
+      mode: 'walk-forward',
+      method: options.method || 'grid',
+      objective: options.objective || 'netProfit',
+      startDate: new Date(startTime).toISOString(),
+      endDate: new Date(endTime).toISOString(),
+      interval: data.interval,
+      tokens: data.tokens.map(token => token.token_mint),
+      anchored: options.anchored === true,
+      initialCapital,
+      finalCapital: capital,
+      metrics: performanceMetrics.summarize(trades, equityCurve, initialCapital, {
+        periodsPerYear: YEAR_MS / intervalToMs(data.interval)
+      }),
+      windows: windowResults,
+      trades,
+      equityCurve
+    };
+  }
+
+  /**
+   * Remonte les stops des positions ouvertes selon la stratégie
+   * Reproduit CycleManager.updateTrailingStops sur les bougies déjà visibles
+   * @private
+   * @param {Object} context - Composants de la simulation
+   * @param {Map<string, Array<Object>>} series - Bougies par token
+   * @param {Map<string, number>} cursors - Nombre de bougies visibles par token
+   * @param {Object} runConfig - Configuration de la simulation
+   */
+  _updateTrailingStops(context, series, cursors, runConfig) {
+    const { strategy, positionManager } = context;
+    if (typeof strategy.getTrailingStop !== 'function') return;
+
+    for (const position of positionManager.getOpenPositions()) {
+      const index = cursors.get(position.token);
+      const window = series.get(position.token).slice(Math.max(0, index - this._getLookbackPeriods(runConfig)), index);
+      const stopPrice = strategy.getTrailingStop(position.token, window.map(candle => candle.price), position);
+
+      if (stopPrice) {
+        positionManager.trailStopLoss(position.token, stopPrice);
+      }
+    }
+  }
+
+  /**
+   * Demande la clôture des positions dont la stratégie signale la sortie
+   * Reproduit CycleManager.requestStrategyExits sur les bougies déjà visibles
+   * @private
+   * @param {Object} context - Composants de la simulation
+   * @param {Map<string, Array<Object>>} series - Bougies par token
+   * @param {Map<string, number>} cursors - Nombre de bougies visibles par token
+   * @param {Object} runConfig - Configuration de la simulation
+   */
+  _requestStrategyExits(context, series, cursors, runConfig) {
+    const { strategy, positionManager } = context;
+    if (typeof strategy.getExitSignal !== 'function') return;
+
+    for (const position of positionManager.getOpenPositions()) {
+      const index = cursors.get(position.token);
+      const window = series.get(position.token).slice(Math.max(0, index - this._getLookbackPeriods(runConfig)), index);
+      const exitSignal = strategy.getExitSignal(
+        position.token,
+        window.map(candle => candle.price),
+        window.map(candle => candle.volume || 0),
+        position
+      );
+
+      if (exitSignal) {
+        positionManager.requestExit(position.token, exitSignal.reasons);
+      }
+    }
+  }
+
+  /**
+   * Analyse un token à la bougie courante et ouvre une position si autorisé
+   * Reproduit CycleManager.processToken sur des données historiques
+   * @private
+   * @param {Object} context - Composants de la simulation
+   * @param {Object} token - Token analysé
+   * @param {Array<Object>} window - Bougies disponibles jusqu'au pas courant
+   * @param {Object} runConfig - Configuration de la simulation
+   * @param {number} intervalMs - Durée d'une bougie (ms)
+   * @param {number} timestamp - Timestamp courant (ms)
+   */
+  async _processToken(context, token, window, runConfig, intervalMs, timestamp) {
+    const { strategy, riskManager, positionManager, portfolioManager } = context;
+
+    const prices = window.map(candle => candle.price);
+    const volumes = window.map(candle => candle.volume || 0);
+    const marketData = this._buildMarketData(token, window, runConfig, intervalMs);
+    context.liquidity.set(token.token_mint, marketData.liquidity);
+
+    const timeframes = this._buildTimeframes(window, runConfig, intervalMs);
+    const signal = await strategy.analyze(token.token_mint, prices, volumes, marketData, timeframes);
+    const minConfidence = runConfig.trading?.minConfidenceThreshold ?? 0.6;
+
+    // Le bot ne prend que des positions longues
+    if (signal.type !== 'BUY' || signal.confidence < minConfidence) return;
+    if (!riskManager.canTrade(portfolioManager)) return;
+
+    const currentPrice = prices[prices.length - 1];
+    const positionSize = riskManager.calculatePositionSize(currentPrice, portfolioManager);
+    if (!positionSize || positionSize <= 0) return;
+
+    try {
+      await positionManager.openPosition(token.token_mint, currentPrice, positionSize, signal);
+    } catch (error) {
+      this.emit('debug', `Simulation could not open position for ${token.token_mint}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Construit les échelles de temps de confirmation à partir des bougies visibles
+   * Les échelles supérieures sont agrégées depuis l'intervalle simulé ; une échelle
+   * plus fine que les données ne peut pas être reconstruite et est ignorée
+   * @private
+   * @param {Array<Object>} window - Bougies disponibles
+   * @param {Object} runConfig - Configuration de la simulation
+   * @param {number} intervalMs - Durée d'une bougie (ms)
+   * @returns {Object<string, Array<number>>|undefined} Prix par intervalle, ou undefined sans configuration
+   */
+  _buildTimeframes(window, runConfig, intervalMs) {
+    const intervals = runConfig.strategy?.timeframes?.intervals || [];
+    if (intervals.length === 0) return undefined;
+
+    const timeframes = {};
+
+    for (const interval of intervals) {
+      const timeframeMs = intervalToMs(interval);
+      if (timeframeMs < intervalMs) continue;
+
+      const candles = timeframeMs === intervalMs ? window : resampleCandles(window, interval);
+      timeframes[interval] = candles.map(candle => candle.price);
+    }
+
+    return timeframes;
+  }
+
+  /**
+   * Construit les données de marché vues par la stratégie à un instant donné
+   * @private
+   * @param {Object} token - Token (instantané de l'univers)
+   * @param {Array<Object>} window - Bougies disponibles
+   * @param {Object} runConfig - Configuration de la simulation
+   * @param {number} intervalMs - Durée d'une bougie (ms)
+   * @returns {Object} Données de marché
+   */
+  _buildMarketData(token, window, runConfig, intervalMs) {
+    const candlesPerDay = Math.max(1, Math.round(DAY_MS / intervalMs));
+    const lastCandle = window[window.length - 1];
+    const dayAgoCandle = window[Math.max(0, window.length - 1 - candlesPerDay)];
+    const volume24h = window
+      .slice(-candlesPerDay)
+      .reduce((sum, candle) => sum + (candle.volume || 0), 0);
+
+    return {
+      ...token,
+      price: lastCandle.price,
+      volume24h: volume24h > 0 ? volume24h : (token.volume24h || 0),
+      // Les tokens fournis explicitement sans instantané sont considérés comme liquides
+      liquidity: token.liquidity ?? runConfig.trading?.minLiquidity ?? 0,
+      priceChange24h: ((lastCandle.price - dayAgoCandle.price) / dayAgoCandle.price) * 100,
+      timestamp: lastCandle.timestamp
+    };
+  }
+
+  /**
+   * Finalise une position fermée : horodatage simulé, portefeuille et journal
+   * @private
+   * @param {Object} context - Composants de la simulation
+   * @param {Object} position - Position fermée
+   * @param {number} timestamp - Timestamp de fermeture (ms)
+   * @returns {Object} Trade simulé
+   */
+  _recordClosedPosition(context, position, timestamp) {
+    position.closeTime = timestamp;
+    position.holdingTime = timestamp - position.openTime;
+    position.timestamp = timestamp;
+
+    context.portfolioManager.updatePortfolio(position);
+    context.tradeLogger.logTrade(position);
+    context.strategy.updateSignalOutcome(position.token, position.profit > 0 ? 'CORRECT' : 'INCORRECT', position.profit);
+
+    return {
+      id: position.id,
+      token: position.token,
+      entryPrice: position.entryPrice,
+      exitPrice: position.exitPrice,
+      amount: position.amount,
+      value: position.amount * position.entryPrice,
+      profit: position.profit,
+      profitPercentage: position.profitPercentage,
+      timestamp: position.openTime,
+      exitTimestamp: timestamp,
+      holdingTime: position.holdingTime,
+      signal: position.signal.type,
+      signalConfidence: position.signal.confidence,
+      signalReasons: position.signal.reasons,
+      stopLoss: position.stopLoss,
+      takeProfit: position.takeProfit,
+      fees: position.fees || 0,
+      exitReason: position.closeReason
+    };
+  }
+
+  /**
+   * Calcule l'équité courante (capital réalisé + profits latents)
+   * @private
+   * @param {Object} context - Composants de la simulation
+   * @param {Map<string,number>} currentPrices - Derniers prix connus
+   * @returns {number} Équité
+   */
+  _calculateEquity(context, currentPrices) {
+    let unrealized = 0;
+
+    for (const position of context.positionManager.getOpenPositions()) {
+      const price = currentPrices.get(position.token) || position.entryPrice;
+      unrealized += (price - position.entryPrice) * position.amount;
+    }
+
+    return context.portfolioManager.currentCapital + unrealized;
+  }
+
+  /**
+   * Crée des composants de trading isolés pour une simulation
+   * @private
+   * @param {Object} runConfig - Configuration de la simulation
+   * @param {Object} run - Aléa et horloge virtuelle de l'exécution (createDeterministicRun)
+   * @returns {Object} Stratégie, gestionnaires et journal dédiés
+   */
+  _createRunContext(runConfig, run) {
+    const { random, clock } = run;
+    const context = {
+      strategy: StrategyFactory.createStrategy(runConfig.strategy?.type || 'ENHANCED_MOMENTUM', runConfig),
+      riskManager: new RiskManager(runConfig, { clock }),
+      portfolioManager: new PortfolioManager(runConfig.simulation?.initialCapital || 10000),
+      tradeLogger: new TradeLogger({
+        ...runConfig,
+        logging: { ...runConfig.logging, persistentStorage: false }
+      }, { random, clock }),
+      costModel: createCostModel(runConfig),
+      liquidity: new Map(),
+      clock,
+      timestamp: null
+    };
+    context.strategy.setClock(clock);
+
+    // Les ordres passent par le même modèle de coûts que l'exécution simulée du TransactionManager
+    context.positionManager = new PositionManager(runConfig, {
+      executeBuy: async (token, amount, price) => this._executeOrder(context, 'BUY', token, amount, price),
+      executeSell: async (token, amount, price) => this._executeOrder(context, 'SELL', token, amount, price)
+    }, { random, clock });
+    context.positionManager.on('error', (error) => this.emit('warning', error.message));
+
+    return context;
+  }
+
+  /**
+   * Exécute un ordre simulé en appliquant le modèle de coûts
+   * @private
+   * @param {Object} context - Composants de la simulation
+   * @param {string} side - 'BUY' ou 'SELL'
+   * @param {string} token - Adresse du token
+   * @param {number} amount - Quantité
+   * @param {number} price - Prix de marché
+   * @returns {Object} Détails d'exécution au format du TransactionManager
+   */
+  _executeOrder(context, side, token, amount, price) {
+    const execution = context.costModel.apply({
+      side,
+      price,
+      amount,
+      liquidity: context.liquidity.get(token)
+    });
+
+    return {
+      ...execution,
+      type: side,
+      tokenMint: token,
+      amount,
+      requestedPrice: price,
+      status: 'COMPLETED',
+      timestamp: context.timestamp,
+      txHash: null
+    };
+  }
+
+  /**
+   * Libère les ressources d'une simulation
+   * @private
+   * @param {Object} context - Composants de la simulation
+   */
+  _disposeRunContext(context) {
+    context.riskManager.cleanup();
+    context.riskManager.removeAllListeners();
+    context.positionManager.removeAllListeners();
+  }
+
+  /**
+   * Interrompt l'exécution si l'annulation a été demandée
+   * @private
+   * @param {AbortSignal} [signal] - Signal d'annulation
+   * @throws {Error} Si le signal est déclenché
+   */
+  _throwIfCancelled(signal) {
+    if (signal?.aborted) {
+      throw new Error('Simulation cancelled');
+    }
+  }
+
+  /**
+   * Ramène la progression d'une sous-exécution à sa part de la progression globale
+   * @private
+   * @param {Function} [onProgress] - Rappel de progression global
+   * @param {number} index - Rang de la sous-exécution
+   * @param {number} total - Nombre de sous-exécutions
+   * @returns {Function|undefined} Rappel de la sous-exécution
+   */
+  _scaleProgress(onProgress, index, total) {
+    if (!onProgress) return undefined;
+
+    return (progress) => onProgress({
+      ...progress,
+      percentage: ((index + progress.percentage / 100) / total) * 100,
+      run: index + 1,
+      totalRuns: total
+    });
+  }
+
+  /**
+   * Détermine le benchmark demandé
+   * @private
+   * @param {string|Object|boolean} option - Option benchmark de la simulation
+   * @param {Object} config - Configuration (simulation.benchmark par défaut)
+   * @returns {Object|null} { type: 'EQUAL_WEIGHT'|'BUY_AND_HOLD', token } ou null
+   */
+  _resolveBenchmark(option, config) {
+    const defaults = config.simulation?.benchmark || {};
+    let benchmark = option ?? defaults;
+
+    if (benchmark === false) return null;
+    if (typeof benchmark === 'string') {
+      const name = benchmark.toUpperCase();
+      if (name === 'SOL') {
+        benchmark = { type: 'BUY_AND_HOLD', token: SOL_MINT };
+      } else if (['EQUAL_WEIGHT', 'BUY_AND_HOLD', 'NONE'].includes(name)) {
+        benchmark = { type: name };
+      } else {
+        // Adresse d'un token à conserver
+        benchmark = { type: 'BUY_AND_HOLD', token: benchmark };
+      }
+    }
+
+    const type = (benchmark.type || defaults.type || 'EQUAL_WEIGHT').toUpperCase();
+    if (type === 'NONE') return null;
+    if (!['EQUAL_WEIGHT', 'BUY_AND_HOLD'].includes(type)) {
+      throw new Error(`Unknown benchmark type: ${benchmark.type}`);
+    }
+
+    return {
+      type,
+      token: type === 'BUY_AND_HOLD' ? (benchmark.token || defaults.token || SOL_MINT) : null
+    };
+  }
+
+  /**
+   * Construit la courbe d'un benchmark sur les timestamps de la courbe d'équité
+   * et ses statistiques relatives (alpha, bêta, corrélation, surperformance)
+   * @private
+   * @param {Object} data - Données chargées via loadHistoricalData()
+   * @param {Object} benchmark - Benchmark résolu { type, token }
+   * @param {Array<Object>} equityCurve - Courbe d'équité de la stratégie
+   * @param {number} initialCapital - Capital initial
+   * @returns {Object} { type, tokens, equityCurve, ...statistiques } ou { type, error }
+   */
+  _buildBenchmark(data, benchmark, equityCurve, initialCapital) {
+    const tokens = benchmark.type === 'BUY_AND_HOLD' ? [benchmark.token] : Array.from(data.series.keys());
+    const holdings = tokens
+      .map(token => ({ token, candles: data.series.get(token) || data.benchmarkSeries?.get(token) || [] }))
+      .filter(holding => holding.candles.length > 0);
+
+    if (holdings.length === 0 || equityCurve.length === 0) {
+      return { type: benchmark.type, tokens, error: 'No benchmark data available' };
+    }
+
+    // Capital réparti à parts égales, chaque part investie au premier prix de la période
+    const allocation = initialCapital / holdings.length;
+    const states = holdings.map(holding => ({ ...holding, cursor: 0, quantity: 0, lastPrice: null }));
+
+    const benchmarkCurve = equityCurve.map(({ timestamp }) => {
+      let equity = 0;
+
+      for (const state of states) {
+        while (state.cursor < state.candles.length && state.candles[state.cursor].timestamp <= timestamp) {
+          state.lastPrice = state.candles[state.cursor].price;
+          state.cursor++;
+        }
+
+        // Un token sans prix au début de la période reste en liquidités jusqu'à sa première bougie
+        if (state.quantity === 0 && state.lastPrice > 0) {
+          state.quantity = allocation / state.lastPrice;
+        }
+
+        equity += state.quantity > 0 ? state.quantity * state.lastPrice : allocation;
+      }
+
+      return { timestamp, equity };
+    });
+
+    const intervalMs = intervalToMs(data.interval);
+    return {
+      type: benchmark.type,
+      tokens: holdings.map(holding => holding.token),
+      finalEquity: benchmarkCurve[benchmarkCurve.length - 1].equity,
+      ...performanceMetrics.calculateBenchmarkStats(equityCurve, benchmarkCurve, YEAR_MS / intervalMs, initialCapital),
+      equityCurve: benchmarkCurve
+    };
+  }
+
+  /**
+   * Aligne les courbes d'équité de plusieurs simulations sur des timestamps communs
+   * (la dernière valeur connue est reportée sur les timestamps manquants)
+   * @private
+   * @param {Array<Object>} results - Résultats { name, initialCapital, equityCurve }
+   * @returns {Object} { timestamps, series: { [name]: Array<number> } }
+   */
+  _alignEquityCurves(results) {
+    const completed = results.filter(result => result.success);
+    const timestamps = Array.from(new Set(
+      completed.flatMap(result => result.equityCurve.map(point => point.timestamp))
+    )).sort((a, b) => a - b);
+
+    const series = {};
+    for (const result of completed) {
+      const equityByTimestamp = new Map(result.equityCurve.map(point => [point.timestamp, point.equity]));
+      let last = result.initialCapital;
+
+      series[result.name] = timestamps.map((timestamp) => {
+        if (equityByTimestamp.has(timestamp)) {
+          last = equityByTimestamp.get(timestamp);
+        }
+        return last;
+      });
+    }
+
+    return { timestamps, series };
+  }
+
+  /**
+   * Construit la chronologie des timestamps à rejouer
+   * @private
+   * @param {Map<string,Array>} series - Bougies par token
+   * @param {number} startTime - Timestamp de début (ms)
+   * @param {number} endTime - Timestamp de fin (ms)
+   * @returns {Array<number>} Timestamps triés et uniques
+   */
+  _buildTimeline(series, startTime, endTime) {
+    const timestamps = new Set();
+
+    for (const candles of series.values()) {
+      for (const candle of candles) {
+        if (candle.timestamp >= startTime && candle.timestamp <= endTime) {
+          timestamps.add(candle.timestamp);
+        }
+      }
+    }
+
+    return Array.from(timestamps).sort((a, b) => a - b);
+  }
+
+  /**
+   * Découpe la période en fenêtres in-sample / out-of-sample successives
+   * Les fenêtres avancent de la durée out-of-sample ; la dernière est tronquée à la fin de période
+   * @private
+   * @param {number} startTime - Timestamp de début (ms)
+   * @param {number} endTime - Timestamp de fin (ms)
+   * @param {number} inSampleMs - Durée in-sample (ms)
+   * @param {number} outOfSampleMs - Durée out-of-sample (ms)
+   * @param {boolean} anchored - Conserver le début de la période comme début in-sample
+   * @returns {Array<Object>} Fenêtres { inSampleStart, inSampleEnd, outOfSampleStart, outOfSampleEnd }
+   */
+  _buildWalkForwardWindows(startTime, endTime, inSampleMs, outOfSampleMs, anchored) {
+    const windows = [];
+
+    for (let inSampleEnd = startTime + inSampleMs; inSampleEnd < endTime; inSampleEnd += outOfSampleMs) {
+      // Bornes inclusives : chaque fenêtre s'arrête 1 ms avant la suivante
+      windows.push({
+        inSampleStart: anchored ? startTime : inSampleEnd - inSampleMs,
+        inSampleEnd: inSampleEnd - 1,
+        outOfSampleStart: inSampleEnd,
+        outOfSampleEnd: Math.min(inSampleEnd + outOfSampleMs - 1, endTime)
+      });
+    }
+
+    return windows;
+  }
+
+  /**
+   * Nettoie et trie une série de bougies
+   * @private
+   * @param {Array<Object>} candles - Bougies brutes
+   * @returns {Array<Object>} Bougies valides, triées et sans doublons
+   */
+  _normalizeCandles(candles) {
+    if (!Array.isArray(candles)) return [];
+
+    const byTimestamp = new Map();
+    for (const candle of candles) {
+      const price = Number(candle?.price ?? candle?.close);
+      if (!candle || !Number.isFinite(candle.timestamp) || !(price > 0)) continue;
+
+      byTimestamp.set(candle.timestamp, {
+        timestamp: candle.timestamp,
+        price,
+        open: Number(candle.open ?? price),
+        high: Number(candle.high ?? price),
+        low: Number(candle.low ?? price),
+        volume: Number(candle.volume) || 0
+      });
+    }
+
+    return Array.from(byTimestamp.values()).sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Résout la source de données d'une simulation
+   * @private
+   * @param {string} [name] - Nom de la source (DataManager par défaut)
+   * @returns {Object} Source de données
+   * @throws {Error} Si la source n'est pas enregistrée
+   */
+  _resolveDataSource(name) {
+    if (!name) return this.dataManager;
+
+    const source = this.dataSources.get(name);
+    if (!source) {
+      throw new Error(`Unknown data source: ${name}`);
+    }
+    return source;
+  }
+
+  /**
+   * Nombre de bougies d'historique fournies à la stratégie (7 jours en 1h comme en live)
+   * @private
+   * @param {Object} config - Configuration
+   * @returns {number} Nombre de bougies
+   */
+  _getLookbackPeriods(config) {
+    return config.simulation?.lookbackPeriods || 168;
+  }
+}
+
+export default SimulationEngine;
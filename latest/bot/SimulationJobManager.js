@@ -0,0 +1,275 @@
+// bot/SimulationJobManager.js
+import EventEmitter from 'events';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+
+// Helper pour obtenir le chemin du fichier
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const JOB_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Gestionnaire de tâches de simulation asynchrones
+ * Les simulations et optimisations longues sont exécutées en arrière-plan :
+ * la soumission retourne un identifiant, la progression est émise en continu
+ * ('job_progress'), les tâches peuvent être annulées et les résultats sont
+ * persistés sur disque pour être consultés plus tard
+ */
+export class SimulationJobManager extends EventEmitter {
+  /**
+   * @param {Object} [config={}] - Configuration globale (section simulationJobs)
+   */
+  constructor(config = {}) {
+    super();
+    const jobsConfig = config.simulationJobs || {};
+
+    this.directory = path.resolve(__dirname, '..', jobsConfig.directory || 'data/simulations');
+    this.maxConcurrent = jobsConfig.maxConcurrent || 1;
+    this.maxJobsInMemory = jobsConfig.maxJobsInMemory || 100;
+
+    // Tâches connues (les résultats ne restent pas en mémoire une fois persistés)
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+  }
+
+  /**
+   * Soumet une tâche
+   * @param {string} type - Type de tâche ('simulation', 'optimization', 'walkforward', 'comparison')
+   * @param {Object} params - Paramètres de la requête (conservés avec le résultat)
+   * @param {Function} runner - async ({ signal, reportProgress }) => résultat
+   * @returns {Object} Description publique de la tâche
+   */
+  submit(type, params, runner) {
+    const job = {
+      id: uuidv4(),
+      type,
+      status: 'queued',
+      params,
+      progress: { percentage: 0 },
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      runner,
+      controller: new AbortController()
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    this._pruneJobs();
+    this._emitStatus(job);
+    this._processQueue();
+
+    return this._describe(job);
+  }
+
+  /**
+   * Annule une tâche en attente ou en cours
+   * @param {string} id - Identifiant de la tâche
+   * @returns {boolean} True si l'annulation a été prise en compte
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || FINISHED_STATUSES.includes(job.status)) {
+      return false;
+    }
+
+    job.controller.abort();
+
+    // Une tâche en attente est terminée immédiatement ; une tâche en cours
+    // s'arrête au prochain pas de simulation
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(queued => queued !== job);
+      this._finish(job, 'cancelled');
+    }
+
+    return true;
+  }
+
+  /**
+   * Récupère une tâche, avec son résultat si elle est terminée
+   * @param {string} id - Identifiant de la tâche
+   * @returns {Promise<Object|null>} Tâche ou null si inconnue
+   */
+  async getJob(id) {
+    if (!JOB_ID_PATTERN.test(String(id))) {
+      return null;
+    }
+
+    const job = this.jobs.get(id);
+    if (job && !FINISHED_STATUSES.includes(job.status)) {
+      return this._describe(job);
+    }
+
+    // Tâche terminée (éventuellement lors d'une exécution précédente du serveur)
+    try {
+      const content = await fs.promises.readFile(this._getPath(id), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return job ? this._describe(job) : null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Liste les tâches connues depuis le démarrage, sans leurs résultats
+   * @returns {Array<Object>} Tâches, les plus récentes d'abord
+   */
+  listJobs() {
+    return Array.from(this.jobs.values(), job => this._describe(job)).reverse();
+  }
+
+  /**
+   * Annule toutes les tâches (arrêt du serveur)
+   */
+  cancelAll() {
+    for (const job of this.jobs.values()) {
+      this.cancel(job.id);
+    }
+  }
+
+  /**
+   * Démarre les tâches en attente dans la limite de concurrence
+   * @private
+   */
+  _processQueue() {
+    while (this.running < this.maxConcurrent && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.running++;
+
+      this._run(job).finally(() => {
+        this.running--;
+        this._processQueue();
+      });
+    }
+  }
+
+  /**
+   * Exécute une tâche et persiste son résultat
+   * @private
+   * @param {Object} job - Tâche
+   */
+  async _run(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this._emitStatus(job);
+
+    const reportProgress = (progress) => {
+      job.progress = {
+        percentage: progress.percentage,
+        currentDate: progress.timestamp ? new Date(progress.timestamp).toISOString() : null,
+        trades: progress.trades,
+        ...(progress.run ? { run: progress.run, totalRuns: progress.totalRuns } : {})
+      };
+      this.emit('job_progress', { id: job.id, type: job.type, ...job.progress });
+    };
+
+    try {
+      const result = await job.runner({ signal: job.controller.signal, reportProgress });
+
+      if (job.controller.signal.aborted) {
+        await this._finish(job, 'cancelled');
+      } else if (result && result.success === false) {
+        job.error = result.error || 'Job failed';
+        await this._finish(job, 'failed', result);
+      } else {
+        job.progress = { ...job.progress, percentage: 100 };
+        await this._finish(job, 'completed', result);
+      }
+    } catch (error) {
+      if (job.controller.signal.aborted) {
+        await this._finish(job, 'cancelled');
+      } else {
+        job.error = error.message;
+        await this._finish(job, 'failed');
+      }
+    }
+  }
+
+  /**
+   * Termine une tâche : persistance puis notification
+   * @private
+   * @param {Object} job - Tâche
+   * @param {string} status - Statut final
+   * @param {Object} [result] - Résultat
+   */
+  async _finish(job, status, result = null) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    job.runner = null;
+
+    try {
+      await fs.promises.mkdir(this.directory, { recursive: true });
+      await fs.promises.writeFile(
+        this._getPath(job.id),
+        JSON.stringify({ ...this._describe(job), result })
+      );
+    } catch (error) {
+      this.emit('warning', `Failed to persist simulation job ${job.id}: ${error.message}`);
+    }
+
+    this._emitStatus(job);
+  }
+
+  /**
+   * Émet le changement de statut d'une tâche
+   * @private
+   * @param {Object} job - Tâche
+   */
+  _emitStatus(job) {
+    this.emit('job_status', this._describe(job));
+  }
+
+  /**
+   * Oublie les plus anciennes tâches terminées au-delà de la limite en mémoire
+   * (leurs résultats restent consultables sur disque)
+   * @private
+   */
+  _pruneJobs() {
+    for (const [id, job] of this.jobs) {
+      if (this.jobs.size <= this.maxJobsInMemory) break;
+      if (FINISHED_STATUSES.includes(job.status)) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Description publique d'une tâche (sans runner ni contrôleur)
+   * @private
+   * @param {Object} job - Tâche
+   * @returns {Object} Tâche sérialisable
+   */
+  _describe(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      params: job.params,
+      progress: job.progress,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      error: job.error
+    };
+  }
+
+  /**
+   * Fichier de résultat d'une tâche
+   * @private
+   * @param {string} id - Identifiant de la tâche
+   * @returns {string} Chemin
+   */
+  _getPath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+}
+
+export default SimulationJobManager;
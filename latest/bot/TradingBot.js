@@ -1,15 +1,23 @@
 // bot/TradingBot.js
 import EventEmitter from 'events';
+import path from 'path';
 import { CycleManager } from './CycleManager.js';
 import { DataManager } from './DataManager.js';
 import { SimulationEngine } from './SimulationEngine.js';
+import { SimulationJobManager } from './SimulationJobManager.js';
+import { MarketReplay } from './MarketReplay.js';
 import { StrategyFactory } from '../strategies/StrategyFactory.js';
 import { MarketDataService } from '../services/MarketDataService.js';
 import { RiskManager } from '../trading/RiskManager.js';
 import { PositionManager } from '../trading/PositionManager.js';
 import { PortfolioManager } from '../trading/PortfolioManager.js';
 import { TradeLogger } from '../trading/TradeLogger.js';
+import { TransactionManager } from '../trading/TransactionManager.js';
+import { TradeLedger } from '../trading/tradeLedger.js';
 import { NotificationService } from '../services/NotificationService.js';
+import { CandleImporter } from '../services/CandleImporter.js';
+import { ImportedDataSource } from '../services/ImportedDataSource.js';
+import { BacktestReport } from '../utils/BacktestReport.js';
 import { deepClone, delay } from '../utils/helpers.js';
 
 /**
@@ -19,12 +27,14 @@ import { deepClone, delay } from '../utils/helpers.js';
 export class TradingBot extends EventEmitter {
   /**
    * @param {Object} customConfig - Custom configuration (optional)
+   * @param {Object} [options={}] - Runtime dependencies
+   * @param {Object} [options.executor] - On-chain transaction executor { execute(transaction) }, required in live mode
    */
-  constructor(customConfig = {}) {
+  constructor(customConfig = {}, options = {}) {
     super();
     
     // Configure bot
-    this.configureBotComponents(customConfig);
+    this.configureBotComponents(customConfig, options);
     
     // Initialize state
     this.isRunning = false;
@@ -66,20 +76,33 @@ export class TradingBot extends EventEmitter {
    * Configure and initialize all bot components
    * @private
    * @param {Object} customConfig - Custom configuration
+   * @param {Object} [options={}] - Runtime dependencies (transaction executor)
    */
-  configureBotComponents(customConfig) {
+  configureBotComponents(customConfig, options = {}) {
     // Merge custom configuration with defaults
     this.config = { ...this._getDefaultConfig(), ...customConfig };
     
+    // Trading mode: 'paper' fills orders at live market prices without sending them,
+    // 'live' sends them through the executor. The mode is fixed for the bot's lifetime.
+    this.mode = this.config.mode || 'paper';
+    
     // Initialize services and managers
     this.marketData = new MarketDataService(this.config);
     this.dataManager = new DataManager(this.config, this.marketData);
     
     // Core trading components
+    this.transactionManager = new TransactionManager(this.config, this.marketData, {
+      mode: this.mode,
+      executor: options.executor
+    });
     this.portfolioManager = new PortfolioManager(this.config.simulation.initialCapital);
     this.riskManager = new RiskManager(this.config);
-    this.positionManager = new PositionManager(this.config);
+    this.positionManager = new PositionManager(this.config, this.transactionManager);
     this.logger = new TradeLogger(this.config);
+    
+    // Persistent portfolio, positions and trade history, one ledger per mode
+    this.ledger = new TradeLedger(this.config, this.mode);
+    this.ledgerRestored = false;
     this.notificationService = new NotificationService(this.config);
     
     // Initialize strategy using factory pattern
@@ -107,6 +130,17 @@ export class TradingBot extends EventEmitter {
       this.dataManager,
       this.logger
     );
+    
+    // Imported candle files, usable by simulations as the 'imported' data source
+    this.candleImporter = new CandleImporter();
+    this.importedData = new ImportedDataSource('imported');
+    this.simulationEngine.registerDataSource(this.importedData.name, this.importedData);
+    
+    // Background simulation jobs (progress streaming, cancellation, persisted results)
+    this.simulationJobs = new SimulationJobManager(this.config);
+    
+    // Recorded periods replayed through the live cycle loop
+    this.marketReplay = new MarketReplay(this.config, this.simulationEngine);
   }
 
   /**
@@ -164,16 +198,24 @@ export class TradingBot extends EventEmitter {
     this.cycleManager.on('warning', (message) => this.emit('warning', message));
     this.cycleManager.on('info', (message) => this.emit('info', message));
     this.cycleManager.on('debug', (message) => this.emit('debug', message));
+    this.simulationEngine.on('warning', (message) => this.emit('warning', message));
+    this.simulationEngine.on('debug', (message) => this.emit('debug', message));
+    this.simulationJobs.on('warning', (message) => this.emit('warning', message));
+    this.marketReplay.on('warning', (message) => this.emit('warning', message));
+    this.marketReplay.on('info', (message) => this.emit('info', message));
+    this.marketReplay.on('debug', (message) => this.emit('debug', message));
     
     // Handle trade events
     this.positionManager.on('position_closed', (position) => {
       this.portfolioManager.updatePortfolio(position);
       const tradeLog = this.logger.logTrade(position);
       this.emit('trade', tradeLog);
+      this._saveLedger();
     });
     
     this.positionManager.on('position_opened', (position) => {
       this.emit('info', `New position opened for ${position.token} at ${position.entryPrice}`);
+      this._saveLedger();
     });
     
     // Add risk management events
@@ -298,6 +340,7 @@ export class TradingBot extends EventEmitter {
    */
   _getDefaultConfig() {
     return {
+      mode: 'paper', // 'paper' (live prices, simulated fills) or 'live'
       trading: {
         cycleInterval: 60000, // 1 minute
         closePositionsOnStop: true,
@@ -323,6 +366,10 @@ export class TradingBot extends EventEmitter {
         initialCapital: 10000,
         backtestDays: 30
       },
+      ledger: {
+        enabled: true,
+        directory: 'data/ledgers' // One <mode>.json file per trading mode
+      },
       performance: {
         tokenConcurrency: 5, // Traitement parallèle des tokens
         enableAutomaticRestarts: true, // Redémarrage automatique en cas de problème
@@ -349,11 +396,17 @@ export class TradingBot extends EventEmitter {
       this.startTime = Date.now();
       this.healthStatus.status = 'starting';
       
-      this.emit('info', `Trading bot started at ${new Date(this.startTime).toISOString()}`);
+      this.emit('info', `Trading bot started in ${this.mode} mode at ${new Date(this.startTime).toISOString()}`);
+      
+      // Resume from the ledger of the current mode
+      await this._restoreLedger();
       
       // Préchauffer le cache avec les données les plus importantes
       await this._preloadCriticalData();
       
+      // Resume the transaction queue stopped by a previous cleanup
+      this.transactionManager.start();
+      
       // Start the cycle manager
       await this.cycleManager.start();
       
@@ -377,6 +430,43 @@ export class TradingBot extends EventEmitter {
     }
   }
 
+  /**
+   * Restore portfolio, positions and trades from the ledger of the current mode
+   * @private
+   * @throws {Error} If the ledger cannot be read or belongs to another mode
+   */
+  async _restoreLedger() {
+    if (this.ledgerRestored) return;
+    
+    const state = await this.ledger.load();
+    if (state) {
+      this.portfolioManager.restoreState(state.portfolio);
+      this.positionManager.restoreState(state.positions);
+      this.logger.restoreTrades(state.trades || []);
+      this.emit('info', `Restored ${this.mode} ledger: ${state.trades?.length || 0} trades, ${state.positions?.openPositions?.length || 0} open positions`);
+    }
+    
+    this.ledgerRestored = true;
+  }
+
+  /**
+   * Persist the current state to the ledger of the current mode
+   * @private
+   * @returns {Promise<void>}
+   */
+  _saveLedger() {
+    // Never overwrite a ledger that has not been loaded yet
+    if (!this.ledgerRestored) return Promise.resolve();
+    
+    return this.ledger.save(() => ({
+      portfolio: this.portfolioManager.exportState(),
+      positions: this.positionManager.exportState(),
+      trades: this.logger.tradeLogs
+    })).catch(error => {
+      this.emit('warning', `Failed to save ${this.mode} ledger: ${error.message}`);
+    });
+  }
+
   /**
    * Précharge les données critiques au démarrage
    * @private
@@ -429,6 +519,8 @@ export class TradingBot extends EventEmitter {
         await this.closeAllPositions();
       }
       
+      await this._saveLedger();
+      
       // Generate final report
       const report = this.generateConsoleReport();
       console.log(report);
@@ -642,9 +734,10 @@ export class TradingBot extends EventEmitter {
    * Run a simulation/backtest
    * @param {Date|string|number} startDate - Start date
    * @param {Date|string|number} endDate - End date
+   * @param {Object} [options={}] - Simulation options (config overrides, interval, tokens)
    * @returns {Promise<Object>} Simulation results
    */
-  async runSimulation(startDate, endDate) {
+  async runSimulation(startDate, endDate, options = {}) {
     if (this.isRunning) {
       this.emit('warning', 'Cannot run simulation while bot is running');
       return { success: false, error: 'Bot is currently running' };
@@ -653,7 +746,7 @@ export class TradingBot extends EventEmitter {
     this.emit('info', `Starting simulation from ${new Date(startDate).toISOString()} to ${new Date(endDate).toISOString()}`);
     
     try {
-      return await this.simulationEngine.runSimulation(startDate, endDate);
+      return await this.simulationEngine.runSimulation(startDate, endDate, options);
     } catch (error) {
       this.emit('error', new Error(`Error running simulation: ${error.message}`));
       return {
@@ -665,14 +758,134 @@ export class TradingBot extends EventEmitter {
     }
   }
 
+  /**
+   * Submit a simulation, optimization, walk-forward or comparison as a background job
+   * @param {string} type - Job type ('simulation', 'optimization', 'walkforward', 'comparison' or 'replay')
+   * @param {Object} params - Job parameters
+   * @param {Date|string|number} params.startDate - Start date
+   * @param {Date|string|number} params.endDate - End date
+   * @param {Object} [params.parameters] - Parameters to optimize (optimization and walk-forward)
+   * @param {Array<string|Object>} [params.strategies] - Strategies to compare (comparison)
+   * @param {Object} [params.options] - Options forwarded to the simulation engine
+   * @returns {Object} Submitted job (id, status, progress)
+   * @throws {Error} With code 'BOT_RUNNING' while the bot is trading
+   */
+  submitSimulationJob(type, params) {
+    if (this.isRunning) {
+      const error = new Error('Cannot run simulations while bot is running');
+      error.code = 'BOT_RUNNING';
+      throw error;
+    }
+    
+    const { startDate, endDate, parameters, strategies, options = {} } = params;
+    const engine = this.simulationEngine;
+    const runners = {
+      simulation: (jobOptions) => engine.runSimulation(startDate, endDate, jobOptions),
+      optimization: (jobOptions) => engine.optimizeParameters(startDate, endDate, parameters, jobOptions),
+      walkforward: (jobOptions) => engine.runWalkForward(startDate, endDate, parameters, jobOptions),
+      comparison: (jobOptions) => engine.compareStrategies(startDate, endDate, strategies, jobOptions),
+      replay: (jobOptions) => this.marketReplay.run(startDate, endDate, jobOptions)
+    };
+    
+    if (!runners[type]) {
+      throw new Error(`Unknown simulation job type: ${type}`);
+    }
+    
+    const job = this.simulationJobs.submit(type, params, ({ signal, reportProgress }) => (
+      runners[type]({ ...options, signal, onProgress: reportProgress })
+    ));
+    
+    this.emit('info', `Submitted ${type} job ${job.id}`);
+    return job;
+  }
+
+  /**
+   * Replay a recorded period through the live trading cycle (circuit breaker, batching,
+   * paper execution) with a virtual clock, to reproduce production incidents
+   * @param {Date|string|number} startDate - Start date
+   * @param {Date|string|number} endDate - End date
+   * @param {Object} [options={}] - Replay options (speed: 1, 10... or 'max'; cycleInterval, config, interval, tokens, dataSource, seed)
+   * @returns {Promise<Object>} Replay results
+   */
+  async runReplay(startDate, endDate, options = {}) {
+    if (this.isRunning) {
+      this.emit('warning', 'Cannot run a replay while bot is running');
+      return { success: false, error: 'Bot is currently running' };
+    }
+    
+    try {
+      return await this.marketReplay.run(startDate, endDate, options);
+    } catch (error) {
+      this.emit('error', new Error(`Error running replay: ${error.message}`));
+      return {
+        success: false,
+        error: error.message,
+        startDate: new Date(startDate).toISOString(),
+        endDate: new Date(endDate).toISOString()
+      };
+    }
+  }
+
+  /**
+   * Compare several strategies over the same period and token universe
+   * @param {Date|string|number} startDate - Start date
+   * @param {Date|string|number} endDate - End date
+   * @param {Array<string|Object>} strategies - Strategy types or { type, name, config } entries
+   * @param {Object} [options={}] - Shared options (config overrides, interval, tokens, dataSource)
+   * @returns {Promise<Object>} Side-by-side metrics and aligned equity curves
+   */
+  async compareStrategies(startDate, endDate, strategies, options = {}) {
+    if (this.isRunning) {
+      this.emit('warning', 'Cannot compare strategies while bot is running');
+      return { success: false, error: 'Bot is currently running' };
+    }
+    
+    this.emit('info', `Comparing ${strategies?.length || 0} strategies...`);
+    
+    try {
+      return await this.simulationEngine.compareStrategies(startDate, endDate, strategies, options);
+    } catch (error) {
+      this.emit('error', new Error(`Error comparing strategies: ${error.message}`));
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Build a standalone backtest report (equity curve, drawdown, monthly returns,
+   * risk ratios and trade list) from a simulation result
+   * @param {Object} simulationResult - Result of runSimulation
+   * @param {Object} [options={}] - Report options
+   * @param {string} [options.format='html'] - 'html' or 'png'
+   * @param {string} [options.title] - Report title
+   * @param {string} [options.output] - Output file for PNG rendering
+   * @returns {Promise<string|Buffer>} HTML document or PNG image
+   */
+  async generateBacktestReport(simulationResult, options = {}) {
+    const report = new BacktestReport({
+      title: options.title || `Backtest Report - ${simulationResult?.strategy || this.config.strategy.type}`
+    });
+    
+    if ((options.format || 'html') === 'png') {
+      return report.renderPng(simulationResult, { output: options.output });
+    }
+    
+    return report.generateHtml(simulationResult);
+  }
+
   /**
    * Optimize strategy parameters through backtesting
    * @param {Date|string|number} startDate - Start date
    * @param {Date|string|number} endDate - End date
-   * @param {Object} parametersToOptimize - Parameters to optimize with ranges
-   * @returns {Promise<Object>} Optimization results
+   * @param {Object} parametersToOptimize - Parameters to optimize, keyed by config path
+   *   (e.g. { 'indicators.rsi.period': { min: 10, max: 20, step: 2 }, 'trading.stopLoss': [3, 5] })
+   * @param {Object} [options={}] - Optimization options (method: grid, random or genetic; objective,
+   *   iterations, populationSize, generations, mutationRate, patience, interval, tokens...)
+   * @returns {Promise<Object>} Ranked optimization results
    */
-  async optimizeStrategy(startDate, endDate, parametersToOptimize) {
+  async optimizeStrategy(startDate, endDate, parametersToOptimize, options = {}) {
     if (this.isRunning) {
       this.emit('warning', 'Cannot optimize while bot is running');
       return { success: false, error: 'Bot is currently running' };
@@ -684,7 +897,8 @@ export class TradingBot extends EventEmitter {
       return await this.simulationEngine.optimizeParameters(
         startDate,
         endDate,
-        parametersToOptimize
+        parametersToOptimize,
+        options
       );
     } catch (error) {
       this.emit('error', new Error(`Error optimizing strategy: ${error.message}`));
@@ -695,6 +909,39 @@ export class TradingBot extends EventEmitter {
     }
   }
 
+  /**
+   * Run a walk-forward analysis: optimize on rolling in-sample windows and
+   * evaluate each winner on the following out-of-sample window
+   * @param {Date|string|number} startDate - Start date
+   * @param {Date|string|number} endDate - End date
+   * @param {Object} parametersToOptimize - Parameters to optimize, keyed by config path
+   * @param {Object} [options={}] - Optimization options plus inSamplePeriod, outOfSamplePeriod, anchored
+   * @returns {Promise<Object>} Per-window results and stitched out-of-sample performance
+   */
+  async runWalkForward(startDate, endDate, parametersToOptimize, options = {}) {
+    if (this.isRunning) {
+      this.emit('warning', 'Cannot run walk-forward analysis while bot is running');
+      return { success: false, error: 'Bot is currently running' };
+    }
+    
+    this.emit('info', `Starting walk-forward analysis...`);
+    
+    try {
+      return await this.simulationEngine.runWalkForward(
+        startDate,
+        endDate,
+        parametersToOptimize,
+        options
+      );
+    } catch (error) {
+      this.emit('error', new Error(`Error running walk-forward analysis: ${error.message}`));
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Update bot configuration
    * @param {Object} newConfig - New configuration
@@ -702,6 +949,14 @@ export class TradingBot extends EventEmitter {
    */
   updateConfig(newConfig) {
     try {
+      // Switching modes would mix paper and live records
+      if (newConfig.mode && newConfig.mode !== this.mode) {
+        return {
+          success: false,
+          error: 'Trading mode cannot be changed at runtime'
+        };
+      }
+      
       // Merge with current config
       const originalConfig = deepClone(this.config);
       this.config = { ...this.config, ...newConfig };
@@ -762,6 +1017,7 @@ export class TradingBot extends EventEmitter {
       dailyPerformance: this.logger.getDailyPerformance(),
       portfolioMetrics: this.portfolioManager.getMetrics(),
       botMetrics: {
+        mode: this.mode,
         uptime: this._calculateRuntime(),
         isRunning: this.isRunning,
         isPaused: this.isPaused,
@@ -803,7 +1059,7 @@ export class TradingBot extends EventEmitter {
     
     // Bot metrics
     formattedReport += '\n--- BOT METRICS ---\n';
-    formattedReport += `Runtime: ${report.botMetrics.uptime} | Status: ${report.botMetrics.isRunning ? (report.botMetrics.isPaused ? 'PAUSED' : 'RUNNING') : 'STOPPED'}\n`;
+    formattedReport += `Mode: ${report.botMetrics.mode.toUpperCase()} | Runtime: ${report.botMetrics.uptime} | Status: ${report.botMetrics.isRunning ? (report.botMetrics.isPaused ? 'PAUSED' : 'RUNNING') : 'STOPPED'}\n`;
     formattedReport += `Cycles: ${report.botMetrics.cyclesRun} (${report.botMetrics.successfulCycles} success, ${report.botMetrics.failedCycles} failures)\n`;
     formattedReport += `Tokens Processed: ${report.botMetrics.tokensProcessed} | Signals Generated: ${report.botMetrics.signalsGenerated}\n`;
     formattedReport += `Cache Efficiency: ${report.botMetrics.performanceMetrics.cacheEfficiency.toFixed(2)}% | Avg Cycle Time: ${report.botMetrics.performanceMetrics.avgCycleTime.toFixed(0)}ms\n\n`;
@@ -817,6 +1073,32 @@ export class TradingBot extends EventEmitter {
     return formattedReport;
   }
 
+  /**
+   * Import historical candles from a CSV or JSON-lines file for backtesting
+   * @param {string} filePath - Path of the candle file
+   * @param {Object} [options={}] - Import options (format, columns, timezone, dateFormat, interval...)
+   * @param {string} [options.tokenMint] - Token identifier (defaults to the file name)
+   * @param {Object} [options.metadata] - Token metadata (symbol, liquidity...)
+   * @returns {Promise<Object>} Import summary
+   */
+  async importHistoricalData(filePath, options = {}) {
+    const { candles, interval, stats } = await this.candleImporter.importFile(filePath, options);
+    const tokenMint = options.tokenMint || path.basename(filePath, path.extname(filePath));
+    
+    this.importedData.register(tokenMint, interval, candles, options.metadata);
+    this.emit('info', `Imported ${stats.imported} ${interval} candles for ${tokenMint}`);
+    
+    return {
+      success: true,
+      dataSource: this.importedData.name,
+      tokenMint,
+      interval,
+      startDate: new Date(candles[0].timestamp).toISOString(),
+      endDate: new Date(candles[candles.length - 1].timestamp).toISOString(),
+      stats
+    };
+  }
+
   /**
    * Export trading logs
    * @param {string} format - Format (json or csv)
@@ -846,6 +1128,7 @@ export class TradingBot extends EventEmitter {
     
     return {
       ...this.healthStatus,
+      mode: this.mode,
       openPositions: this.positionManager.getOpenPositions().length,
       queueSizes: {
         high: this.marketData.getStats().queueSizes?.high || 0,
@@ -866,6 +1149,7 @@ export class TradingBot extends EventEmitter {
     this.dataManager.clearCaches();
     this.marketData.clearCaches();
     this.cycleManager.cleanup();
+    this.transactionManager.stop();
     this.notificationService.setEnabled(false);
   }
 
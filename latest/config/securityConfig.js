@@ -85,6 +85,15 @@ export const securityConfig = {
       }
     },
     
+    // Socket.io de progression des simulations : le tableau de bord tourne dans un
+    // autre processus (avec son propre bot), seules ses origines peuvent s'y connecter
+    socket: {
+      allowedOrigins: (process.env.SOCKET_ALLOWED_ORIGINS || 'http://localhost:3000')
+        .split(',')
+        .map(origin => origin.trim())
+        .filter(Boolean)
+    },
+    
     // Configuration API keys / Secret management
     keys: {
       encryptionEnabled: true,
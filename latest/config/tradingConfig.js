@@ -1,5 +1,6 @@
 // config/tradingConfig.js
 export const tradingConfig = {
+  mode: 'paper', // 'paper' (live prices, simulated fills, separate ledger) or 'live'
   api: {
     raydiumBaseUrl: 'https://api.raydium.io/v2',
     jupiterBaseUrl: 'https://price.jup.ag/v4',
@@ -38,6 +39,44 @@ export const tradingConfig = {
     backtestDays: 30,
     minProfitableRatio: 0.6, // Minimum ratio of profitable trades
     maxDrawdown: 15, // Maximum allowed drawdown percentage
+    benchmark: {
+      type: 'EQUAL_WEIGHT', // EQUAL_WEIGHT (basket of simulated tokens), BUY_AND_HOLD or NONE
+      token: 'So11111111111111111111111111111111111111112' // Token held by BUY_AND_HOLD (wrapped SOL)
+    }
+  },
+  // Local on-disk candle store (read-through, incremental gap filling)
+  dataStore: {
+    enabled: true,
+    directory: 'data/candles', // Relative to the project root
+    offline: false // Serve historical data and token list from the store only
+  },
+  // Persistent portfolio, positions and trade history, one ledger per trading mode
+  ledger: {
+    enabled: true,
+    directory: 'data/ledgers' // Relative to the project root, one <mode>.json file per mode
+  },
+  // Background simulation / optimization jobs (results persisted as JSON)
+  simulationJobs: {
+    directory: 'data/simulations', // Relative to the project root
+    maxConcurrent: 1,
+    maxJobsInMemory: 100
+  },
+  // Candle files (CSV / JSON-lines) importable through /api/data/import
+  dataImport: {
+    directory: 'data/import' // Relative to the project root
+  },
+  // User-defined strategies: ES modules exporting a BaseStrategy subclass with static metadata
+  strategyPlugins: {
+    enabled: true,
+    directory: 'strategies/plugins' // Relative to the project root
+  },
+  // Execution cost model shared by backtests and paper execution
+  costs: {
+    model: 'FIXED_BPS', // 'NONE', 'FIXED_BPS', 'DEX_FEE_TIER', 'AMM_IMPACT'
+    feeBps: 10, // FIXED_BPS: fee in basis points (0.1%)
+    slippageBps: 0, // Fixed adverse slippage in basis points
+    dex: 'raydium', // DEX_FEE_TIER / AMM_IMPACT: default DEX for fee tiers
+    dexFeeTiers: { raydium: 25, orca: 30, default: 30 } // Fee tiers in basis points
   },
   // Add logging configuration
   logging: {
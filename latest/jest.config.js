@@ -0,0 +1,7 @@
+export default {
+  testEnvironment: 'node',
+  transform: {},
+  testMatch: [
+    '**/tests/**/*.test.js'
+  ]
+};
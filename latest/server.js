@@ -5,10 +5,13 @@ import helmet from 'helmet';
 import morgan from 'morgan';
 import compression from 'compression';
 import { LRUCache } from './utils/lruCache.js';
+import { monteCarloAnalysis } from './utils/monteCarlo.js';
 import rateLimit from 'express-rate-limit';
 import slowDown from 'express-slow-down';
 import dotenv from 'dotenv';
+import { Server as SocketIOServer } from 'socket.io';
 import { TradingBot } from './bot/TradingBot.js';
+import { StrategyPluginLoader } from './strategies/StrategyPluginLoader.js';
 import { securityConfig } from './config/securityConfig.js';
 import { tradingConfig } from './config/tradingConfig.js';
 import { apiConfig } from './config/apiConfig.js';
@@ -42,6 +45,7 @@ const logService = new LogService({
 // Initialize the trading bot with merged configuration
 const botConfig = {
   ...tradingConfig,
+  mode: process.env.TRADING_MODE || tradingConfig.mode,
   security: securityConfig,
   api: apiConfig,
   performance: {
@@ -52,6 +56,11 @@ const botConfig = {
   }
 };
 
+// Register user-defined strategies before the bot creates its strategy
+const strategyPlugins = await new StrategyPluginLoader(botConfig).loadAll();
+strategyPlugins.loaded.forEach(({ file, id }) => logService.info(`Strategy plugin ${id} loaded from ${file}`));
+strategyPlugins.rejected.forEach(({ file, error }) => logService.warn(`Strategy plugin ${file} rejected: ${error}`));
+
 const tradingBot = new TradingBot(botConfig);
 
 // Middleware
@@ -220,6 +229,7 @@ app.get('/api/status', authMiddleware, (req, res) => {
   
   res.json({
     status: isRunning ? 'running' : 'stopped',
+    mode: tradingBot.mode,
     isPaused: tradingBot.isPaused,
     uptime: isRunning ? tradingBot._calculateRuntime() : 0,
     metrics
@@ -347,38 +357,221 @@ app.post('/api/resume', authMiddleware, async (req, res) => {
 
 // API route for running a simulation
 app.post('/api/simulation', authMiddleware, async (req, res) => {
-  const { startDate, endDate, parameters } = req.body;
+  const { startDate, endDate, parameters, interval, tokens, dataSource, monteCarlo, benchmark, runId, seed, async: runAsync } = req.body;
   
   if (!startDate || !endDate) {
     return res.status(400).json({ error: 'Start and end dates are required' });
   }
   
+  if (monteCarlo) {
+    const validation = monteCarloAnalysis.validateOptions(monteCarlo);
+    if (!validation.isValid) {
+      return res.status(400).json({ error: `Invalid Monte Carlo options: ${validation.errors.join('; ')}` });
+    }
+  }
+  
   try {
-    const simulationResults = await tradingBot.runSimulation(startDate, endDate);
+    const options = { config: parameters, interval, tokens, dataSource, monteCarlo, benchmark, runId, seed };
+    
+    // Background job by default: progress is streamed over socket.io, result fetched via
+    // GET /api/simulation/:id. `async: false` waits for the result in the response instead.
+    if (runAsync !== false) {
+      const job = tradingBot.submitSimulationJob('simulation', { startDate, endDate, options });
+      return res.status(202).json(job);
+    }
+    
+    const simulationResults = await tradingBot.runSimulation(startDate, endDate, options);
     res.json(simulationResults);
   } catch (error) {
     logService.error('Error running simulation', error);
+    res.status(error.code === 'BOT_RUNNING' ? 409 : 500).json({ error: error.message });
+  }
+});
+
+// API route for listing background simulation jobs
+app.get('/api/simulation/jobs', authMiddleware, (req, res) => {
+  res.json({ jobs: tradingBot.simulationJobs.listJobs() });
+});
+
+// API route for fetching a background simulation job (status, progress and persisted result)
+app.get('/api/simulation/:id', authMiddleware, async (req, res) => {
+  try {
+    const job = await tradingBot.simulationJobs.getJob(req.params.id);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Simulation job not found' });
+    }
+    
+    res.json(job);
+  } catch (error) {
+    logService.error('Error fetching simulation job', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API route for cancelling a queued or running simulation job
+app.delete('/api/simulation/:id', authMiddleware, (req, res) => {
+  const cancelled = tradingBot.simulationJobs.cancel(req.params.id);
+  
+  if (!cancelled) {
+    return res.status(404).json({ error: 'No active simulation job with this ID' });
+  }
+  
+  res.json({ id: req.params.id, cancelled: true });
+});
+
+// API route for comparing several strategies on the same data
+app.post('/api/simulation/compare', authMiddleware, async (req, res) => {
+  const { startDate, endDate, strategies, parameters, interval, tokens, dataSource, runId, seed, async: runAsync } = req.body;
+  
+  if (!startDate || !endDate || !Array.isArray(strategies) || strategies.length === 0) {
+    return res.status(400).json({ error: 'Start date, end date, and a list of strategies are required' });
+  }
+  
+  try {
+    const options = { config: parameters, interval, tokens, dataSource, runId, seed };
+    
+    if (runAsync !== false) {
+      const job = tradingBot.submitSimulationJob('comparison', { startDate, endDate, strategies, options });
+      return res.status(202).json(job);
+    }
+    
+    const comparison = await tradingBot.compareStrategies(startDate, endDate, strategies, options);
+    res.json(comparison);
+  } catch (error) {
+    logService.error('Error comparing strategies', error);
+    res.status(error.code === 'BOT_RUNNING' ? 409 : 500).json({ error: error.message });
+  }
+});
+
+// API route for replaying a recorded period through the live trading cycle
+app.post('/api/simulation/replay', authMiddleware, async (req, res) => {
+  const { startDate, endDate, speed = 'max', cycleInterval, parameters, interval, tokens, dataSource, runId, seed, async: runAsync } = req.body;
+  
+  if (!startDate || !endDate) {
+    return res.status(400).json({ error: 'Start and end dates are required' });
+  }
+  
+  try {
+    const options = { speed, cycleInterval, config: parameters, interval, tokens, dataSource, runId, seed };
+    
+    // Background job by default; paced replays (1x, 10x...) outlive an HTTP request and always do
+    if (runAsync !== false || String(speed).toLowerCase() !== 'max') {
+      const job = tradingBot.submitSimulationJob('replay', { startDate, endDate, options });
+      return res.status(202).json(job);
+    }
+    
+    const replay = await tradingBot.runReplay(startDate, endDate, options);
+    res.json(replay);
+  } catch (error) {
+    logService.error('Error running replay', error);
+    res.status(error.code === 'BOT_RUNNING' ? 409 : 500).json({ error: error.message });
+  }
+});
+
+// API route for running a simulation and returning a standalone HTML or PNG report
+app.post('/api/simulation/report', authMiddleware, async (req, res) => {
+  const { startDate, endDate, parameters, interval, tokens, dataSource, benchmark, format = 'html', title } = req.body;
+  
+  if (!startDate || !endDate) {
+    return res.status(400).json({ error: 'Start and end dates are required' });
+  }
+  
+  if (!['html', 'png'].includes(format)) {
+    return res.status(400).json({ error: 'Format must be html or png' });
+  }
+  
+  try {
+    const simulationResults = await tradingBot.runSimulation(startDate, endDate, {
+      config: parameters,
+      interval,
+      tokens,
+      dataSource,
+      benchmark
+    });
+    
+    if (!simulationResults.success) {
+      return res.status(400).json(simulationResults);
+    }
+    
+    const report = await tradingBot.generateBacktestReport(simulationResults, { format, title });
+    res.type(format === 'png' ? 'image/png' : 'text/html').send(report);
+  } catch (error) {
+    logService.error('Error generating backtest report', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 // API route for optimizing strategy parameters
 app.post('/api/optimize', authMiddleware, async (req, res) => {
-  const { startDate, endDate, parameters } = req.body;
+  const { startDate, endDate, parameters, method, objective, iterations, genetic, diagnostics, heatmaps, interval, tokens, dataSource, walkForward, runId, seed, async: runAsync } = req.body;
   
   if (!startDate || !endDate || !parameters) {
     return res.status(400).json({ error: 'Start date, end date, and parameters are required' });
   }
   
   try {
-    const optimizationResults = await tradingBot.optimizeStrategy(startDate, endDate, parameters);
+    // genetic: { populationSize, generations, crossoverRate, mutationRate, elitism, tournamentSize, patience }
+    const options = { method, objective, iterations, ...genetic, diagnostics, heatmaps, interval, tokens, dataSource, runId, seed };
+    
+    if (runAsync !== false) {
+      const job = walkForward
+        ? tradingBot.submitSimulationJob('walkforward', { startDate, endDate, parameters, options: { ...options, ...walkForward } })
+        : tradingBot.submitSimulationJob('optimization', { startDate, endDate, parameters, options });
+      return res.status(202).json(job);
+    }
+    
+    // Walk-forward : { inSamplePeriod: '30d', outOfSamplePeriod: '7d', anchored: false }
+    const optimizationResults = walkForward
+      ? await tradingBot.runWalkForward(startDate, endDate, parameters, { ...options, ...walkForward })
+      : await tradingBot.optimizeStrategy(startDate, endDate, parameters, options);
     res.json(optimizationResults);
   } catch (error) {
     logService.error('Error optimizing strategy', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.code === 'BOT_RUNNING' ? 409 : 500).json({ error: error.message });
   }
 });
 
+// API route for importing candle files (CSV / JSON-lines) from the import directory
+app.post('/api/data/import', authMiddleware, async (req, res) => {
+  const { file, tokenMint, format, columns, delimiter, timezone, dateFormat, timestampUnit, interval, allowUnsorted, dropDuplicates } = req.body;
+  
+  if (!file) {
+    return res.status(400).json({ error: 'File name is required' });
+  }
+  
+  // Only files inside the import directory can be read
+  const importDir = path.resolve(__dirname, botConfig.dataImport?.directory || 'data/import');
+  const filePath = path.resolve(importDir, file);
+  if (!filePath.startsWith(importDir + path.sep)) {
+    return res.status(400).json({ error: 'Invalid file name' });
+  }
+  
+  try {
+    const importResult = await tradingBot.importHistoricalData(filePath, {
+      tokenMint,
+      format,
+      columns,
+      delimiter,
+      timezone,
+      dateFormat,
+      timestampUnit,
+      interval,
+      allowUnsorted,
+      dropDuplicates
+    });
+    res.json(importResult);
+  } catch (error) {
+    logService.error('Error importing candle file', error);
+    res.status(error.code === 'ENOENT' ? 404 : 400).json({ error: error.message });
+  }
+});
+
+// API route for listing imported candle series
+app.get('/api/data/imported', authMiddleware, (req, res) => {
+  res.json({ dataSource: tradingBot.importedData.name, series: tradingBot.importedData.describe() });
+});
+
 // API route for getting trading logs
 app.get('/api/logs', authMiddleware, async (req, res) => {
   const { format = 'json', days = 7 } = req.query;
@@ -474,6 +667,28 @@ const server = app.listen(PORT, () => {
   logService.info(`Server started on port ${PORT}`);
 });
 
+// Socket.IO: real-time progress of background simulation jobs.
+// Jobs run in this process, while the dashboard is a separate server with its own bot
+// and socket: the dashboard subscribes here, so only its configured origins are allowed.
+const io = new SocketIOServer(server, {
+  cors: { origin: securityConfig.socket.allowedOrigins, methods: ['GET', 'POST'] }
+});
+
+// Same API key as the REST routes
+io.use((socket, next) => {
+  const apiKey = socket.handshake.auth?.apiKey || socket.handshake.headers['x-api-key'];
+  
+  if (!apiKey || apiKey !== process.env.API_KEY) {
+    logService.logSecurityEvent('socket_auth_failure', { ip: socket.handshake.address }, false);
+    return next(new Error('Unauthorized'));
+  }
+  
+  next();
+});
+
+tradingBot.simulationJobs.on('job_progress', (progress) => io.emit('simulation_progress', progress));
+tradingBot.simulationJobs.on('job_status', (job) => io.emit('simulation_status', job));
+
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logService.info('SIGTERM received, shutting down...');
@@ -483,8 +698,11 @@ process.on('SIGTERM', async () => {
     await tradingBot.stop();
   }
   
-  // Close server
-  server.close(() => {
+  // Cancel background simulation jobs
+  tradingBot.simulationJobs.cancelAll();
+  
+  // Close socket.io, which also closes the HTTP server
+  io.close(() => {
     logService.info('Server shut down complete');
     process.exit(0);
   });
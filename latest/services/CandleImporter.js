@@ -0,0 +1,323 @@
+// services/CandleImporter.js
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+import customParseFormat from 'dayjs/plugin/customParseFormat.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+dayjs.extend(customParseFormat);
+
+/**
+ * Noms de colonnes reconnus par défaut (insensibles à la casse)
+ */
+const DEFAULT_COLUMNS = {
+  timestamp: ['timestamp', 'time', 'date', 'datetime', 'open_time', 't'],
+  open: ['open', 'o'],
+  high: ['high', 'h'],
+  low: ['low', 'l'],
+  close: ['close', 'price', 'c'],
+  volume: ['volume', 'vol', 'v']
+};
+
+const EXPLICIT_OFFSET = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+/**
+ * Importateur de bougies OHLCV depuis des fichiers CSV ou JSON-lines
+ * Produit des séries au format des bougies du MarketDataService
+ * ({ timestamp, price, open, high, low, volume })
+ */
+export class CandleImporter {
+  /**
+   * Importe un fichier de bougies
+   * @param {string} filePath - Chemin du fichier (.csv ou .jsonl / .ndjson)
+   * @param {Object} [options={}] - Options d'import
+   * @param {string} [options.format] - 'csv' ou 'jsonl' (déduit de l'extension sinon)
+   * @param {Object} [options.columns] - Correspondance des colonnes, ex: { timestamp: 'Date', close: 'Close' }
+   * @param {string} [options.delimiter=','] - Séparateur CSV
+   * @param {string} [options.timezone='UTC'] - Fuseau des dates sans décalage explicite ('Europe/Paris', '+02:00'...)
+   * @param {string} [options.dateFormat] - Format des dates (syntaxe dayjs), sinon ISO 8601
+   * @param {string} [options.timestampUnit] - 's' ou 'ms' pour les timestamps numériques (déduit sinon)
+   * @param {boolean} [options.allowUnsorted=false] - Trier au lieu de rejeter les timestamps non croissants
+   * @param {boolean} [options.dropDuplicates=false] - Ignorer les doublons au lieu de les rejeter
+   * @returns {Promise<Object>} { candles, interval, stats }
+   */
+  async importFile(filePath, options = {}) {
+    const format = (options.format || this._detectFormat(filePath)).toLowerCase();
+
+    if (!['csv', 'jsonl'].includes(format)) {
+      throw new Error(`Unsupported candle file format: ${format}`);
+    }
+
+    const rows = [];
+    const stats = { rows: 0, imported: 0, duplicates: 0, unsorted: 0 };
+    let header = null;
+    let lineNumber = 0;
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+
+      if (format === 'csv') {
+        const fields = this._parseCsvLine(line, options.delimiter || ',');
+        if (!header) {
+          header = fields;
+          continue;
+        }
+        rows.push({ lineNumber, record: Object.fromEntries(header.map((name, i) => [name, fields[i]])) });
+      } else {
+        try {
+          rows.push({ lineNumber, record: JSON.parse(line) });
+        } catch (error) {
+          throw new Error(`Invalid JSON at line ${lineNumber}: ${error.message}`);
+        }
+      }
+    }
+
+    stats.rows = rows.length;
+    if (rows.length === 0) {
+      throw new Error(`No candles found in ${path.basename(filePath)}`);
+    }
+
+    const mapping = this._resolveColumns(Object.keys(rows[0].record), options.columns);
+    const candles = rows.map(({ lineNumber: line, record }) => this._toCandle(record, mapping, line, options));
+
+    const validated = this.validate(candles, options, stats);
+    stats.imported = validated.length;
+
+    return {
+      candles: validated,
+      interval: options.interval || this.inferInterval(validated),
+      stats
+    };
+  }
+
+  /**
+   * Vérifie que les timestamps sont strictement croissants et sans doublons
+   * @param {Array<Object>} candles - Bougies dans l'ordre du fichier (avec line)
+   * @param {Object} [options={}] - allowUnsorted, dropDuplicates
+   * @param {Object} [stats={}] - Compteurs mis à jour (duplicates, unsorted)
+   * @returns {Array<Object>} Bougies validées et triées
+   * @throws {Error} Si un timestamp est en désordre ou dupliqué et que ce n'est pas autorisé
+   */
+  validate(candles, options = {}, stats = {}) {
+    const seen = new Map();
+    const result = [];
+    let previous = null;
+
+    for (const candle of candles) {
+      const { line, ...data } = candle;
+
+      if (seen.has(data.timestamp)) {
+        if (!options.dropDuplicates) {
+          throw new Error(`Duplicate timestamp ${new Date(data.timestamp).toISOString()} at line ${line} (first at line ${seen.get(data.timestamp)})`);
+        }
+        stats.duplicates = (stats.duplicates || 0) + 1;
+        continue;
+      }
+
+      if (previous !== null && data.timestamp < previous) {
+        if (!options.allowUnsorted) {
+          throw new Error(`Timestamps are not increasing at line ${line}`);
+        }
+        stats.unsorted = (stats.unsorted || 0) + 1;
+      }
+
+      seen.set(data.timestamp, line);
+      previous = data.timestamp;
+      result.push(data);
+    }
+
+    return result.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Déduit l'intervalle d'une série à partir de l'écart médian entre bougies
+   * @param {Array<Object>} candles - Bougies triées
+   * @returns {string} Intervalle ('15m', '1h', '1d'...)
+   */
+  inferInterval(candles) {
+    if (candles.length < 2) return '1h';
+
+    const gaps = [];
+    for (let i = 1; i < candles.length; i++) {
+      gaps.push(candles[i].timestamp - candles[i - 1].timestamp);
+    }
+    gaps.sort((a, b) => a - b);
+
+    const minutes = Math.max(1, Math.round(gaps[Math.floor(gaps.length / 2)] / 60000));
+    if (minutes % 1440 === 0) return `${minutes / 1440}d`;
+    if (minutes % 60 === 0) return `${minutes / 60}h`;
+    return `${minutes}m`;
+  }
+
+  /**
+   * Convertit un enregistrement brut en bougie
+   * @private
+   * @param {Object} record - Enregistrement (ligne CSV ou objet JSON)
+   * @param {Object} mapping - Colonnes résolues
+   * @param {number} line - Numéro de ligne (pour les erreurs)
+   * @param {Object} options - Options d'import
+   * @returns {Object} Bougie avec numéro de ligne
+   */
+  _toCandle(record, mapping, line, options) {
+    const timestamp = this._parseTimestamp(record[mapping.timestamp], options);
+    const close = parseFloat(record[mapping.close]);
+
+    if (!Number.isFinite(timestamp)) {
+      throw new Error(`Invalid timestamp "${record[mapping.timestamp]}" at line ${line}`);
+    }
+
+    if (!(close > 0)) {
+      throw new Error(`Invalid close price "${record[mapping.close]}" at line ${line}`);
+    }
+
+    const readNumber = (column, fallback) => {
+      const value = column ? parseFloat(record[column]) : NaN;
+      return Number.isFinite(value) ? value : fallback;
+    };
+
+    return {
+      timestamp,
+      price: close,
+      open: readNumber(mapping.open, close),
+      high: readNumber(mapping.high, close),
+      low: readNumber(mapping.low, close),
+      volume: readNumber(mapping.volume, 0),
+      line
+    };
+  }
+
+  /**
+   * Convertit une date ou un timestamp numérique en millisecondes UTC
+   * @private
+   * @param {string|number} value - Valeur brute
+   * @param {Object} options - timezone, dateFormat, timestampUnit
+   * @returns {number} Timestamp (ms)
+   */
+  _parseTimestamp(value, options) {
+    if (value === undefined || value === null || value === '') return NaN;
+
+    const text = String(value).trim();
+
+    // Timestamps numériques (secondes ou millisecondes), sauf si un format de date
+    // est imposé : '20240101' est alors une date au format 'YYYYMMDD'
+    if (!options.dateFormat && /^\d+(\.\d+)?$/.test(text)) {
+      const numeric = Number(text);
+      const unit = options.timestampUnit || (numeric < 1e12 ? 's' : 'ms');
+      return Math.round(unit === 's' ? numeric * 1000 : numeric);
+    }
+
+    const zone = options.timezone || 'UTC';
+
+    // Décalage explicite dans la date : il prime sur le fuseau configuré
+    if (!options.dateFormat && EXPLICIT_OFFSET.test(text)) {
+      return Date.parse(text);
+    }
+
+    // Fuseau exprimé en décalage fixe ('+02:00')
+    if (/^[+-]\d{2}:?\d{2}$/.test(zone)) {
+      const parsed = options.dateFormat ? dayjs.utc(text, options.dateFormat, true) : dayjs.utc(text);
+      if (!parsed.isValid()) return NaN;
+
+      const sign = zone.startsWith('-') ? -1 : 1;
+      const [hours, minutes] = zone.slice(1).replace(':', '').match(/\d{2}/g).map(Number);
+      return parsed.valueOf() - sign * (hours * 60 + minutes) * 60000;
+    }
+
+    const parsed = options.dateFormat
+      ? dayjs.tz(text, options.dateFormat, zone)
+      : dayjs.tz(text, zone);
+
+    return parsed.isValid() ? parsed.valueOf() : NaN;
+  }
+
+  /**
+   * Associe chaque champ de bougie à une colonne du fichier
+   * @private
+   * @param {Array<string>} available - Colonnes présentes
+   * @param {Object} [columns={}] - Correspondance explicite
+   * @returns {Object} Colonnes résolues par champ
+   * @throws {Error} Si la colonne de date ou de clôture est introuvable
+   */
+  _resolveColumns(available, columns = {}) {
+    const mapping = {};
+
+    for (const [field, candidates] of Object.entries(DEFAULT_COLUMNS)) {
+      if (columns[field]) {
+        if (!available.includes(columns[field])) {
+          throw new Error(`Column "${columns[field]}" mapped to ${field} not found`);
+        }
+        mapping[field] = columns[field];
+        continue;
+      }
+
+      mapping[field] = available.find(name => candidates.includes(name.trim().toLowerCase()));
+    }
+
+    if (!mapping.timestamp || !mapping.close) {
+      throw new Error('Timestamp and close columns are required (use the columns option to map them)');
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Découpe une ligne CSV (champs entre guillemets pris en charge)
+   * @private
+   * @param {string} line - Ligne CSV
+   * @param {string} delimiter - Séparateur
+   * @returns {Array<string>} Champs
+   */
+  _parseCsvLine(line, delimiter) {
+    const fields = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          current += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        fields.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    fields.push(current.trim());
+    return fields;
+  }
+
+  /**
+   * Déduit le format depuis l'extension du fichier
+   * @private
+   * @param {string} filePath - Chemin du fichier
+   * @returns {string} 'csv' ou 'jsonl'
+   */
+  _detectFormat(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    return ['.jsonl', '.ndjson', '.json'].includes(extension) ? 'jsonl' : 'csv';
+  }
+}
+
+export default CandleImporter;
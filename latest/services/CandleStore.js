@@ -0,0 +1,298 @@
+// services/CandleStore.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Helper pour obtenir le chemin du fichier
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Stockage local des bougies historiques
+ * Un fichier JSON-lines en ajout seul par token et intervalle, accompagné des
+ * plages de temps déjà récupérées, pour que les backtests fonctionnent hors ligne
+ * et que seules les plages manquantes soient demandées aux API
+ */
+export class CandleStore {
+  /**
+   * Crée une instance de CandleStore
+   * @param {Object} config - Configuration globale (section dataStore)
+   */
+  constructor(config = {}) {
+    const storeConfig = config.dataStore || {};
+
+    this.directory = path.resolve(__dirname, '..', storeConfig.directory || 'data/candles');
+
+    // Séries chargées en mémoire : clé -> promesse de { candles, timestamps, ranges }
+    // (partagée par les appels concurrents pour ne lire le fichier qu'une fois)
+    this.series = new Map();
+
+    // Écritures sérialisées par clé pour éviter les ajouts entrelacés
+    this.writeQueues = new Map();
+  }
+
+  /**
+   * Retourne les bougies stockées sur une période
+   * @param {string} tokenMint - Adresse du token
+   * @param {string} interval - Intervalle des bougies
+   * @param {number} startTime - Timestamp de début (ms)
+   * @param {number} endTime - Timestamp de fin (ms)
+   * @returns {Promise<Array<Object>>} Bougies triées
+   */
+  async getCandles(tokenMint, interval, startTime, endTime) {
+    const series = await this._load(tokenMint, interval);
+
+    return series.candles.filter(candle => candle.timestamp >= startTime && candle.timestamp <= endTime);
+  }
+
+  /**
+   * Calcule les plages de la période qui n'ont pas encore été récupérées
+   * @param {string} tokenMint - Adresse du token
+   * @param {string} interval - Intervalle des bougies
+   * @param {number} startTime - Timestamp de début (ms)
+   * @param {number} endTime - Timestamp de fin (ms)
+   * @returns {Promise<Array<Array<number>>>} Plages manquantes [[début, fin], ...]
+   */
+  async getMissingRanges(tokenMint, interval, startTime, endTime) {
+    const { ranges } = await this._load(tokenMint, interval);
+    const missing = [];
+    let cursor = startTime;
+
+    for (const [rangeStart, rangeEnd] of ranges) {
+      if (rangeEnd < cursor) continue;
+      if (rangeStart > endTime) break;
+
+      if (rangeStart > cursor) {
+        missing.push([cursor, Math.min(rangeStart - 1, endTime)]);
+      }
+      cursor = Math.max(cursor, rangeEnd + 1);
+    }
+
+    if (cursor <= endTime) {
+      missing.push([cursor, endTime]);
+    }
+
+    return missing;
+  }
+
+  /**
+   * Enregistre des bougies récupérées et marque la plage comme couverte
+   * @param {string} tokenMint - Adresse du token
+   * @param {string} interval - Intervalle des bougies
+   * @param {Array<Object>} candles - Bougies récupérées
+   * @param {number} startTime - Début de la plage demandée (ms)
+   * @param {number} endTime - Fin de la plage demandée (ms), à ne pas dépasser la dernière bougie close
+   * @returns {Promise<number>} Nombre de nouvelles bougies écrites
+   */
+  async saveCandles(tokenMint, interval, candles, startTime, endTime) {
+    const key = this._getKey(tokenMint, interval);
+    const previous = this.writeQueues.get(key) || Promise.resolve();
+
+    const write = previous.then(() => this._write(tokenMint, interval, candles, startTime, endTime));
+    this.writeQueues.set(key, write.catch(() => {}));
+
+    return write;
+  }
+
+  /**
+   * Enregistre la dernière liste de tokens connue (univers des simulations hors ligne)
+   * @param {Array<Object>} tokens - Tokens
+   * @returns {Promise<void>}
+   */
+  async saveTokenList(tokens) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(this.directory, 'tokens.json'),
+      JSON.stringify({ updatedAt: Date.now(), tokens })
+    );
+  }
+
+  /**
+   * Charge la dernière liste de tokens enregistrée
+   * @returns {Promise<Array<Object>>} Tokens (vide si aucune liste)
+   */
+  async loadTokenList() {
+    try {
+      const content = await fs.promises.readFile(path.join(this.directory, 'tokens.json'), 'utf8');
+      return JSON.parse(content).tokens || [];
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Écrit les nouvelles bougies et met à jour les plages couvertes
+   * @private
+   * @param {string} tokenMint - Adresse du token
+   * @param {string} interval - Intervalle des bougies
+   * @param {Array<Object>} candles - Bougies récupérées
+   * @param {number} startTime - Début de la plage (ms)
+   * @param {number} endTime - Fin de la plage (ms)
+   * @returns {Promise<number>} Nombre de nouvelles bougies écrites
+   */
+  async _write(tokenMint, interval, candles, startTime, endTime) {
+    const series = await this._load(tokenMint, interval);
+    const { candlesFile, rangesFile } = this._getPaths(tokenMint, interval);
+
+    const newCandles = (candles || []).filter(candle => (
+      Number.isFinite(candle?.timestamp) &&
+      candle.timestamp >= startTime &&
+      candle.timestamp <= endTime &&
+      !series.timestamps.has(candle.timestamp)
+    ));
+
+    await fs.promises.mkdir(path.dirname(candlesFile), { recursive: true });
+
+    if (newCandles.length > 0) {
+      const lines = newCandles.map(candle => JSON.stringify({
+        timestamp: candle.timestamp,
+        price: candle.price,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        volume: candle.volume
+      }));
+      await fs.promises.appendFile(candlesFile, lines.join('\n') + '\n');
+
+      for (const candle of newCandles) {
+        series.timestamps.add(candle.timestamp);
+        series.candles.push(candle);
+      }
+      series.candles.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    if (endTime >= startTime) {
+      series.ranges = this._mergeRanges([...series.ranges, [startTime, endTime]]);
+      await fs.promises.writeFile(rangesFile, JSON.stringify(series.ranges));
+    }
+
+    return newCandles.length;
+  }
+
+  /**
+   * Charge une série depuis le disque (une seule fois par clé)
+   * @private
+   * @param {string} tokenMint - Adresse du token
+   * @param {string} interval - Intervalle des bougies
+   * @returns {Promise<Object>} { candles, timestamps, ranges }
+   */
+  _load(tokenMint, interval) {
+    const key = this._getKey(tokenMint, interval);
+
+    if (!this.series.has(key)) {
+      const loading = this._read(tokenMint, interval);
+      this.series.set(key, loading);
+
+      // Un échec de lecture n'est pas mis en cache : le prochain appel réessaie
+      loading.catch(() => {
+        if (this.series.get(key) === loading) this.series.delete(key);
+      });
+    }
+
+    return this.series.get(key);
+  }
+
+  /**
+   * Lit une série depuis le disque
+   * @private
+   * @param {string} tokenMint - Adresse du token
+   * @param {string} interval - Intervalle des bougies
+   * @returns {Promise<Object>} { candles, timestamps, ranges }
+   */
+  async _read(tokenMint, interval) {
+    const { candlesFile, rangesFile } = this._getPaths(tokenMint, interval);
+    const byTimestamp = new Map();
+
+    const content = await this._readIfExists(candlesFile);
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+
+      try {
+        const candle = JSON.parse(line);
+        byTimestamp.set(candle.timestamp, candle);
+      } catch (error) {
+        // Ligne tronquée (arrêt pendant une écriture) : ignorée
+      }
+    }
+
+    const rangesContent = await this._readIfExists(rangesFile);
+    const series = {
+      candles: Array.from(byTimestamp.values()).sort((a, b) => a.timestamp - b.timestamp),
+      timestamps: new Set(byTimestamp.keys()),
+      ranges: rangesContent ? this._mergeRanges(JSON.parse(rangesContent)) : []
+    };
+
+    return series;
+  }
+
+  /**
+   * Lit un fichier s'il existe
+   * @private
+   * @param {string} file - Chemin du fichier
+   * @returns {Promise<string>} Contenu (vide si absent)
+   */
+  async _readIfExists(file) {
+    try {
+      return await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return '';
+      throw error;
+    }
+  }
+
+  /**
+   * Fusionne des plages qui se chevauchent ou se touchent
+   * @private
+   * @param {Array<Array<number>>} ranges - Plages [début, fin]
+   * @returns {Array<Array<number>>} Plages triées et fusionnées
+   */
+  _mergeRanges(ranges) {
+    const sorted = ranges
+      .filter(range => Array.isArray(range) && range[0] <= range[1])
+      .sort((a, b) => a[0] - b[0]);
+    const merged = [];
+
+    for (const [start, end] of sorted) {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1] + 1) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Chemins des fichiers d'une série
+   * @private
+   * @param {string} tokenMint - Adresse du token
+   * @param {string} interval - Intervalle des bougies
+   * @returns {Object} { candlesFile, rangesFile }
+   */
+  _getPaths(tokenMint, interval) {
+    const safeToken = String(tokenMint).replace(/[^A-Za-z0-9_-]/g, '_');
+    const safeInterval = String(interval).replace(/[^A-Za-z0-9_-]/g, '_');
+    const base = path.join(this.directory, safeInterval, safeToken);
+
+    return {
+      candlesFile: `${base}.jsonl`,
+      rangesFile: `${base}.ranges.json`
+    };
+  }
+
+  /**
+   * Clé d'une série en mémoire
+   * @private
+   * @param {string} tokenMint - Adresse du token
+   * @param {string} interval - Intervalle des bougies
+   * @returns {string} Clé
+   */
+  _getKey(tokenMint, interval) {
+    return `${interval}:${tokenMint}`;
+  }
+}
+
+export default CandleStore;
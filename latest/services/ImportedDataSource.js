@@ -0,0 +1,116 @@
+// services/ImportedDataSource.js
+
+/**
+ * Source de données historiques alimentée par des fichiers importés
+ * Expose la même interface que le DataManager pour le SimulationEngine
+ * (getHistoricalPrices), afin de backtester sans MarketDataService
+ */
+export class ImportedDataSource {
+  /**
+   * Crée une source de données importées
+   * @param {string} [name='imported'] - Nom de la source
+   */
+  constructor(name = 'imported') {
+    this.name = name;
+
+    // Séries par token puis par intervalle
+    this.series = new Map();
+  }
+
+  /**
+   * Enregistre (ou remplace) une série de bougies
+   * @param {string} tokenMint - Identifiant du token
+   * @param {string} interval - Intervalle des bougies
+   * @param {Array<Object>} candles - Bougies triées ({ timestamp, price, open, high, low, volume })
+   * @param {Object} [metadata={}] - Informations sur le token (symbol, liquidity...)
+   */
+  register(tokenMint, interval, candles, metadata = {}) {
+    if (!tokenMint) {
+      throw new Error('Token identifier is required to register imported candles');
+    }
+
+    if (!this.series.has(tokenMint)) {
+      this.series.set(tokenMint, { metadata: {}, intervals: new Map() });
+    }
+
+    const entry = this.series.get(tokenMint);
+    entry.metadata = { ...entry.metadata, ...metadata };
+    entry.intervals.set(interval, candles);
+  }
+
+  /**
+   * Récupère les bougies importées d'un token sur une période
+   * @param {string} tokenMint - Identifiant du token
+   * @param {number} startTime - Timestamp de début (ms)
+   * @param {number} endTime - Timestamp de fin (ms)
+   * @param {string} [interval] - Intervalle ; optionnel si le token n'a qu'une série
+   * @returns {Promise<Array<Object>>} Bougies de la période
+   */
+  async getHistoricalPrices(tokenMint, startTime, endTime, interval) {
+    const entry = this.series.get(tokenMint);
+    if (!entry) {
+      throw new Error(`No imported data for ${tokenMint}`);
+    }
+
+    let candles = entry.intervals.get(interval);
+    if (!candles && entry.intervals.size === 1) {
+      candles = entry.intervals.values().next().value;
+    }
+
+    if (!candles) {
+      throw new Error(`No imported ${interval} data for ${tokenMint}`);
+    }
+
+    return candles.filter(candle => candle.timestamp >= startTime && candle.timestamp <= endTime);
+  }
+
+  /**
+   * Liste les tokens importés (univers de simulation)
+   * @returns {Array<Object>} Tokens au format { token_mint, ...metadata }
+   */
+  getTokens() {
+    return Array.from(this.series.entries(), ([tokenMint, entry]) => ({
+      token_mint: tokenMint,
+      ...entry.metadata
+    }));
+  }
+
+  /**
+   * Intervalle commun à toutes les séries, s'il est unique
+   * @returns {string|null} Intervalle ou null
+   */
+  getDefaultInterval() {
+    const intervals = new Set();
+    for (const entry of this.series.values()) {
+      for (const interval of entry.intervals.keys()) {
+        intervals.add(interval);
+      }
+    }
+
+    return intervals.size === 1 ? intervals.values().next().value : null;
+  }
+
+  /**
+   * Résume le contenu de la source
+   * @returns {Array<Object>} Séries { tokenMint, interval, candles, startDate, endDate }
+   */
+  describe() {
+    const summary = [];
+
+    for (const [tokenMint, entry] of this.series) {
+      for (const [interval, candles] of entry.intervals) {
+        summary.push({
+          tokenMint,
+          interval,
+          candles: candles.length,
+          startDate: candles.length > 0 ? new Date(candles[0].timestamp).toISOString() : null,
+          endDate: candles.length > 0 ? new Date(candles[candles.length - 1].timestamp).toISOString() : null
+        });
+      }
+    }
+
+    return summary;
+  }
+}
+
+export default ImportedDataSource;
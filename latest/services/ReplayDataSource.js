@@ -0,0 +1,163 @@
+// services/ReplayDataSource.js
+import { intervalToMs, resampleCandles } from '../utils/helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Source de données de rejeu de marché
+ * Remplace le DataManager auprès du CycleManager en servant une période enregistrée
+ * à l'instant indiqué par une horloge virtuelle : seules les bougies déjà closes à
+ * cet instant sont visibles, comme en production
+ */
+export class ReplayDataSource {
+  /**
+   * @param {Object} data - Données chargées par SimulationEngine.loadHistoricalData()
+   *   ({ tokens, series: Map<token, candles>, interval })
+   * @param {Object} clock - Horloge virtuelle { now() }
+   */
+  constructor(data, clock) {
+    this.tokens = data.tokens;
+    this.series = data.series;
+    this.interval = data.interval;
+    this.clock = clock;
+
+    this.stats = {
+      requests: 0
+    };
+  }
+
+  /**
+   * Bougies d'un token visibles à l'instant courant
+   * @private
+   * @param {string} tokenMint - Adresse du token
+   * @returns {Array<Object>} Bougies dont le timestamp est passé
+   */
+  _getVisibleCandles(tokenMint) {
+    const candles = this.series.get(tokenMint) || [];
+    const now = this.clock.now();
+
+    // Recherche dichotomique de la dernière bougie visible
+    let low = 0;
+    let high = candles.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (candles[middle].timestamp <= now) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    return candles.slice(0, low);
+  }
+
+  /**
+   * Tokens les plus importants à l'instant courant
+   * Le volume 24h est recalculé sur les bougies visibles lorsqu'elles en contiennent
+   * @param {number} [limit=50] - Nombre maximum de tokens
+   * @returns {Promise<Array<Object>>} Tokens au format du MarketDataService
+   */
+  async getTopTokens(limit = 50) {
+    this.stats.requests++;
+    const since = this.clock.now() - DAY_MS;
+
+    const tokens = [];
+
+    for (const token of this.tokens) {
+      const candles = this._getVisibleCandles(token.token_mint);
+      if (candles.length === 0) continue;
+
+      const volume24h = candles
+        .filter(candle => candle.timestamp > since)
+        .reduce((sum, candle) => sum + (candle.volume || 0), 0);
+
+      tokens.push({
+        ...token,
+        price: candles[candles.length - 1].price,
+        volume24h: volume24h > 0 ? volume24h : token.volume24h
+      });
+    }
+
+    return tokens.slice(0, limit);
+  }
+
+  /**
+   * Dernier prix connu d'un token à l'instant courant
+   * @param {string} tokenMint - Adresse du token
+   * @returns {Promise<number|null>} Prix ou null
+   */
+  async getTokenPrice(tokenMint) {
+    this.stats.requests++;
+    const candles = this._getVisibleCandles(tokenMint);
+    return candles.length > 0 ? candles[candles.length - 1].price : null;
+  }
+
+  /**
+   * Derniers prix connus de plusieurs tokens
+   * @param {Array<string>} tokenMints - Adresses des tokens
+   * @returns {Promise<Object>} Prix par token
+   */
+  async getBatchTokenPrices(tokenMints) {
+    const prices = {};
+
+    for (const tokenMint of tokenMints) {
+      const price = await this.getTokenPrice(tokenMint);
+      if (price !== null) {
+        prices[tokenMint] = price;
+      }
+    }
+
+    return prices;
+  }
+
+  /**
+   * Bougies enregistrées d'un token sur une période, bornées à l'instant courant
+   * Un intervalle plus large que l'intervalle enregistré est obtenu par agrégation ;
+   * un intervalle plus fin ne peut pas être reconstruit et est servi tel qu'enregistré
+   * @param {string} tokenMint - Adresse du token
+   * @param {number} startTime - Timestamp de début (ms)
+   * @param {number} endTime - Timestamp de fin (ms)
+   * @param {string} [interval] - Intervalle demandé
+   * @returns {Promise<Array<Object>>} Bougies ({ timestamp, price, volume... })
+   */
+  async getHistoricalPrices(tokenMint, startTime, endTime, interval) {
+    this.stats.requests++;
+    const candles = this._getVisibleCandles(tokenMint)
+      .filter(candle => candle.timestamp >= startTime && candle.timestamp <= endTime);
+
+    return interval && intervalToMs(interval) > intervalToMs(this.interval)
+      ? resampleCandles(candles, interval)
+      : candles;
+  }
+
+  /**
+   * Volumes enregistrés d'un token sur une période, bornés à l'instant courant
+   * @param {string} tokenMint - Adresse du token
+   * @param {number} startTime - Timestamp de début (ms)
+   * @param {number} endTime - Timestamp de fin (ms)
+   * @returns {Promise<Array<Object>>} Bougies ({ timestamp, volume... })
+   */
+  async getHistoricalVolumes(tokenMint, startTime, endTime) {
+    return this.getHistoricalPrices(tokenMint, startTime, endTime);
+  }
+
+  /**
+   * Aucun cache à vider : interface du DataManager
+   */
+  clearCaches() {}
+
+  /**
+   * Statistiques de la source
+   * @returns {Object} Statistiques
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      cacheHits: 0,
+      cacheMisses: 0,
+      replayTime: this.clock.now()
+    };
+  }
+}
+
+export default ReplayDataSource;
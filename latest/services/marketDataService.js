@@ -2,6 +2,7 @@
 import axios from 'axios';
 import { delay, retry } from '../utils/helpers.js';
 import { LRUCache } from '../utils/lruCache.js';
+import { CandleStore } from './CandleStore.js';
 
 /**
  * Service de données de marché optimisé
@@ -44,6 +45,10 @@ export class MarketDataService {
     this.priceCache = new LRUCache(1000);
     this.historicalCache = new LRUCache(200);
     
+    // Stockage local persistant des bougies (lecture à travers le disque, mode hors ligne)
+    this.candleStore = config.dataStore?.enabled ? new CandleStore(config) : null;
+    this.offline = Boolean(config.dataStore?.enabled && config.dataStore?.offline);
+    
     // Paramètres pour les timeouts et retry
     this.defaultTimeout = this.apiConfig.timeout || 10000; // 10 secondes
     this.maxRetries = this.apiConfig.maxRetries || 3;
@@ -311,8 +316,10 @@ export class MarketDataService {
     }
     
     try {
-      // Récupérer les données historiques (priorité basse)
-      const data = await this._fetchHistoricalData(tokenMint, normalizedStartTime, normalizedEndTime, normalizedInterval);
+      // Récupérer les données historiques (priorité basse), via le stockage local s'il est actif
+      const data = this.candleStore
+        ? await this._getStoredHistoricalData(tokenMint, normalizedStartTime, normalizedEndTime, normalizedInterval)
+        : await this._fetchHistoricalData(tokenMint, normalizedStartTime, normalizedEndTime, normalizedInterval);
       
       // Mettre en cache
       this.historicalCache.set(cacheKey, {
@@ -361,6 +368,12 @@ export class MarketDataService {
       return cachedData.data;
     }
     
+    // Hors ligne : dernière liste enregistrée
+    if (this.offline) {
+      const storedTokens = await this.candleStore.loadTokenList();
+      return storedTokens.slice(0, limit);
+    }
+    
     try {
       // Récupérer les tokens populaires (priorité moyenne)
       const url = `${this.apiConfig.raydiumBaseUrl}/tokens`;
@@ -387,8 +400,21 @@ export class MarketDataService {
         timestamp: Date.now()
       });
       
+      // Conserver l'univers de tokens pour les simulations hors ligne
+      if (this.candleStore) {
+        this.candleStore.saveTokenList(enrichedTokens).catch(storeError => {
+          console.error('Failed to store token list:', storeError);
+        });
+      }
+      
       return enrichedTokens;
     } catch (error) {
+      // Repli sur la dernière liste enregistrée
+      const storedTokens = this.candleStore ? await this.candleStore.loadTokenList() : [];
+      if (storedTokens.length > 0) {
+        return storedTokens.slice(0, limit);
+      }
+      
       throw new Error(`Failed to fetch top tokens: ${error.message}`);
     }
   }
@@ -442,25 +468,7 @@ export class MarketDataService {
   async _fetchHistoricalData(tokenMint, startTime, endTime, interval) {
     // Essayer d'abord Raydium pour les données historiques
     try {
-      const url = `${this.apiConfig.raydiumBaseUrl}/charts`;
-      const params = {
-        token: tokenMint,
-        from: Math.floor(startTime / 1000),
-        to: Math.floor(endTime / 1000),
-        res: interval
-      };
-      
-      const response = await this._executeRequest('raydium', url, { params }, 'low');
-      
-      // Transformer les données selon le format standardisé
-      return (response.data || []).map(item => ({
-        timestamp: item.time * 1000, // Convertir en ms
-        price: parseFloat(item.close),
-        open: parseFloat(item.open),
-        high: parseFloat(item.high),
-        low: parseFloat(item.low),
-        volume: parseFloat(item.volume)
-      }));
+      return await this._fetchRemoteHistoricalData(tokenMint, startTime, endTime, interval);
     } catch (error) {
       // En cas d'échec, utiliser des données factices (à remplacer par une source alternative)
       console.error(`Failed to fetch historical data, using fallback:`, error);
@@ -481,6 +489,76 @@ export class MarketDataService {
     }
   }
 
+  /**
+   * Récupère les données historiques depuis Raydium (sans repli)
+   * @private
+   * @param {string} tokenMint - Adresse du token
+   * @param {number} startTime - Timestamp de début
+   * @param {number} endTime - Timestamp de fin
+   * @param {string} interval - Intervalle des données
+   * @returns {Promise<Array>} Données historiques
+   */
+  async _fetchRemoteHistoricalData(tokenMint, startTime, endTime, interval) {
+    const url = `${this.apiConfig.raydiumBaseUrl}/charts`;
+    const params = {
+      token: tokenMint,
+      from: Math.floor(startTime / 1000),
+      to: Math.floor(endTime / 1000),
+      res: interval
+    };
+    
+    const response = await this._executeRequest('raydium', url, { params }, 'low');
+    
+    // Transformer les données selon le format standardisé
+    return (response.data || []).map(item => ({
+      timestamp: item.time * 1000, // Convertir en ms
+      price: parseFloat(item.close),
+      open: parseFloat(item.open),
+      high: parseFloat(item.high),
+      low: parseFloat(item.low),
+      volume: parseFloat(item.volume)
+    }));
+  }
+
+  /**
+   * Récupère les données historiques via le stockage local :
+   * seules les plages manquantes sont demandées à l'API puis enregistrées
+   * @private
+   * @param {string} tokenMint - Adresse du token
+   * @param {number} startTime - Timestamp de début
+   * @param {number} endTime - Timestamp de fin
+   * @param {string} interval - Intervalle des données
+   * @returns {Promise<Array>} Données historiques
+   */
+  async _getStoredHistoricalData(tokenMint, startTime, endTime, interval) {
+    const missingRanges = this.offline
+      ? []
+      : await this.candleStore.getMissingRanges(tokenMint, interval, startTime, endTime);
+    
+    // La bougie en cours de formation n'est jamais enregistrée comme définitive
+    const lastClosedTime = Date.now() - this._getIntervalMs(interval);
+    const openCandles = [];
+    
+    try {
+      for (const [from, to] of missingRanges) {
+        const candles = await this._fetchRemoteHistoricalData(tokenMint, from, to, interval);
+        await this.candleStore.saveCandles(tokenMint, interval, candles, from, Math.min(to, lastClosedTime));
+        openCandles.push(...candles.filter(candle => candle.timestamp > lastClosedTime && candle.timestamp <= endTime));
+      }
+    } catch (error) {
+      console.error(`Failed to fill stored history for ${tokenMint}, using stored data:`, error);
+    }
+    
+    const storedCandles = await this.candleStore.getCandles(tokenMint, interval, startTime, endTime);
+    
+    // Rien en stock et API indisponible : comportement historique (données de repli non enregistrées)
+    if (storedCandles.length === 0 && openCandles.length === 0 && !this.offline) {
+      return this._fetchHistoricalData(tokenMint, startTime, endTime, interval);
+    }
+    
+    return [...storedCandles, ...openCandles];
+  }
+
   /**
    * Normalise le format d'intervalle
    * @private
@@ -1,5 +1,8 @@
 // strategies/BaseStrategy.js
 import { technicalAnalysis } from '../utils/indicators.js';
+import { systemClock } from '../utils/determinism.js';
+import { intervalToMs } from '../utils/helpers.js';
+import { isValidMarketData } from '../utils/validation.js';
 
 /**
  * Classe de base pour les stratégies de trading
@@ -35,6 +38,17 @@ export class BaseStrategy {
       }
     };
     
+    // Confirmation multi-échelle (désactivée sans intervalles configurés)
+    const timeframes = config.strategy?.timeframes || {};
+    this.timeframeConfig = {
+      intervals: timeframes.intervals || [],
+      base: timeframes.base || '1h',
+      // Un achat exige que les échelles supérieures soient haussières
+      requireHigherTimeframeTrend: timeframes.requireHigherTimeframeTrend !== false,
+      // 'strict' : tendance haussière exigée ; 'lenient' : tendance non baissière
+      confirmation: timeframes.confirmation || 'strict'
+    };
+    
     // Statistiques de performance
     this.performance = {
       totalSignals: 0,
@@ -51,6 +65,17 @@ export class BaseStrategy {
     
     // Cache des derniers signaux
     this.signalCache = new Map();
+    
+    // Horloge des signaux (remplacée par une horloge virtuelle en simulation)
+    this.clock = systemClock;
+  }
+
+  /**
+   * Remplace l'horloge utilisée pour horodater les signaux et mesurer leur âge
+   * @param {Object} clock - Horloge { now() }
+   */
+  setClock(clock) {
+    this.clock = clock || systemClock;
   }
 
   /**
@@ -60,9 +85,11 @@ export class BaseStrategy {
    * @param {Array<number>} prices - Historique des prix
    * @param {Array<number>} volumes - Historique des volumes
    * @param {Object} marketData - Données supplémentaires sur le marché
+   * @param {Object<string, Array<number>>} [timeframes] - Historique des prix par intervalle
+   *   ({ '15m': [...], '1h': [...], '4h': [...] }) pour la confirmation multi-échelle
    * @returns {Promise<Object>} Signal de trading
    */
-  async analyze(token, prices, volumes, marketData) {
+  async analyze(token, prices, volumes, marketData, timeframes) {
     throw new Error('La méthode analyze() doit être implémentée par la classe fille');
   }
 
@@ -119,6 +146,24 @@ export class BaseStrategy {
     return true;
   }
 
+  /**
+   * Vérifie les conditions de marché (liquidité et volume minimums)
+   * Les stratégies qui ont des critères supplémentaires surchargent cette méthode
+   * @protected
+   * @param {Object} marketData - Données de marché
+   * @returns {boolean} Conditions acceptables
+   */
+  validateMarketConditions(marketData) {
+    if (!isValidMarketData(marketData)) {
+      return false;
+    }
+
+    const minLiquidity = this.config.trading?.minLiquidity || 100000;
+    const minVolume = this.config.trading?.minVolume24h || 50000;
+
+    return marketData.liquidity >= minLiquidity && marketData.volume24h >= minVolume;
+  }
+
   /**
    * Analyser la tendance générale des prix
    * @param {Array<number>} prices - Historique des prix
@@ -207,6 +252,66 @@ export class BaseStrategy {
     };
   }
 
+  /**
+   * Analyse la tendance de chaque échelle de temps
+   * @param {Object<string, Array<number>>} timeframes - Historique des prix par intervalle
+   * @returns {Object<string, Object>} Tendance par intervalle (voir analyzeTrend)
+   */
+  analyzeTimeframes(timeframes) {
+    const trends = {};
+    
+    for (const [interval, prices] of Object.entries(timeframes)) {
+      const { direction, strength, description } = this.analyzeTrend(prices || []);
+      trends[interval] = { direction, strength, description, dataPoints: prices?.length || 0 };
+    }
+    
+    return trends;
+  }
+
+  /**
+   * Confirme un signal par les tendances des échelles de temps supérieures
+   * Un achat est converti en signal neutre si une échelle supérieure à l'échelle de
+   * base n'est pas haussière (ou est baissière en mode 'lenient'). Les échelles
+   * utilisées et leurs tendances sont enregistrées dans le signal
+   * @protected
+   * @param {Object} signal - Signal calculé sur l'échelle de base
+   * @param {Object<string, Array<number>>} [timeframes] - Historique des prix par intervalle
+   * @returns {Object} Signal confirmé (ou neutralisé)
+   */
+  applyTimeframeConfirmation(signal, timeframes) {
+    if (!timeframes || Object.keys(timeframes).length === 0) {
+      return signal;
+    }
+    
+    const { base, requireHigherTimeframeTrend, confirmation } = this.timeframeConfig;
+    const trends = this.analyzeTimeframes(timeframes);
+    const baseMs = intervalToMs(base);
+    const higher = Object.keys(trends).filter(interval => intervalToMs(interval) > baseMs);
+    
+    signal.timeframes = {
+      base,
+      intervals: Object.keys(trends),
+      trends
+    };
+    
+    if (signal.type !== 'BUY' || !requireHigherTimeframeTrend || higher.length === 0) {
+      return signal;
+    }
+    
+    const disagreeing = higher.filter(interval => confirmation === 'lenient'
+      ? trends[interval].direction === 'DOWN'
+      : trends[interval].direction !== 'UP');
+    
+    if (disagreeing.length > 0) {
+      signal.type = 'NONE';
+      signal.reasons.unshift(`HIGHER_TIMEFRAME_TREND_DISAGREES: ${disagreeing.map(interval => `${interval} ${trends[interval].direction}`).join(', ')}`);
+    } else {
+      signal.reasons.push(`HIGHER_TIMEFRAME_CONFIRMED: ${higher.map(interval => `${interval} ${trends[interval].direction}`).join(', ')}`);
+    }
+    
+    return signal;
+  }
+
   /**
    * Calcule la force de la tendance pour une série de prix
    * @private
@@ -497,7 +602,7 @@ export class BaseStrategy {
       strength,
       reasons,
       indicators,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     };
   }
 
@@ -515,13 +620,13 @@ export class BaseStrategy {
     if (!previousSignal || currentSignal.type === 'NONE') {
       this.signalCache.set(token, {
         ...currentSignal,
-        createdAt: Date.now()
+        createdAt: this.clock.now()
       });
       return currentSignal;
     }
     
     // Vérifier si le signal précédent est récent (< 1 heure)
-    const signalAge = Date.now() - previousSignal.createdAt;
+    const signalAge = this.clock.now() - previousSignal.createdAt;
     const isRecent = signalAge < 3600000; // 1 heure en ms
     
     if (isRecent) {
@@ -546,7 +651,7 @@ export class BaseStrategy {
     if (currentSignal.type !== 'NONE') {
       this.signalCache.set(token, {
         ...currentSignal,
-        createdAt: Date.now()
+        createdAt: this.clock.now()
       });
     }
     
@@ -572,7 +677,7 @@ export class BaseStrategy {
     // Ajouter à l'historique
     this.performance.signalHistory.push({
       token,
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       signal: { ...signal },
       outcome: 'PENDING'
     });
@@ -602,7 +707,7 @@ export class BaseStrategy {
     // Mettre à jour le résultat
     entry.outcome = outcome;
     entry.profit = profit;
-    entry.closedAt = Date.now();
+    entry.closedAt = this.clock.now();
     
     // Mettre à jour les métriques de performance
     if (outcome === 'CORRECT') {
@@ -2,6 +2,17 @@
 import { BaseStrategy } from './BaseStrategy.js';
 import { MomentumStrategy } from './momentumStrategy.js';
 import { EnhancedMomentumStrategy } from './enhancedMomentumStrategy.js';
+import { MeanReversionStrategy } from './meanReversionStrategy.js';
+import { BreakoutStrategy } from './breakoutStrategy.js';
+import { TrendFollowingStrategy } from './trendFollowingStrategy.js';
+import { EnsembleStrategy } from './ensembleStrategy.js';
+import { RulesStrategy } from './rulesStrategy.js';
+
+const PLUGIN_RISK_LEVELS = ['Low', 'Medium', 'High'];
+const PLUGIN_PARAMETER_TYPES = ['number', 'integer', 'boolean', 'string'];
+
+// Stratégies enregistrées par des plugins : id -> { StrategyClass, metadata }
+const pluginStrategies = new Map();
 
 /**
  * Factory de stratégies de trading
@@ -25,22 +36,178 @@ export class StrategyFactory {
         return new EnhancedMomentumStrategy(config);
         
       case 'MEAN_REVERSION':
-        // Implémentations futures
-        throw new Error('La stratégie Mean Reversion n\'est pas encore implémentée');
+        return new MeanReversionStrategy(config);
         
       case 'BREAKOUT':
-        // Implémentations futures
-        throw new Error('La stratégie Breakout n\'est pas encore implémentée');
+        return new BreakoutStrategy(config);
         
       case 'TREND_FOLLOWING':
-        // Implémentations futures
-        throw new Error('La stratégie Trend Following n\'est pas encore implémentée');
+        return new TrendFollowingStrategy(config);
+        
+      case 'ENSEMBLE':
+        // Les stratégies filles sont créées par la factory elle-même
+        return new EnsembleStrategy(config, (childType, childConfig) => StrategyFactory.createStrategy(childType, childConfig));
+        
+      case 'RULES':
+        return new RulesStrategy(config);
+        
+      default: {
+        // Stratégie enregistrée par un plugin : paramètres validés selon son schéma
+        const plugin = pluginStrategies.get(type.toUpperCase());
+        if (plugin) {
+          const overrides = config.strategy?.plugins?.[plugin.metadata.id];
+          return new plugin.StrategyClass(config, this.resolvePluginParameters(plugin.metadata, overrides));
+        }
         
-      default:
         // Si le type n'est pas reconnu, utiliser la stratégie améliorée par défaut
         console.warn(`Type de stratégie "${type}" non reconnu, utilisation de Enhanced Momentum par défaut`);
         return new EnhancedMomentumStrategy(config);
+      }
+    }
+  }
+  
+  /**
+   * Enregistre une stratégie fournie par un plugin
+   * La classe doit étendre BaseStrategy et exposer des métadonnées statiques :
+   * static metadata = { id, name, description?, indicators, risk, parameters }
+   * où parameters décrit chaque paramètre : { type, default, min?, max?, values?, description? }.
+   * Le constructeur reçoit (config, parameters), les paramètres étant lus dans
+   * config.strategy.plugins[id] et complétés par les valeurs par défaut
+   * @static
+   * @param {Function} StrategyClass - Classe de la stratégie
+   * @returns {string} Identifiant de la stratégie enregistrée
+   * @throws {Error} Si la classe ou ses métadonnées sont invalides
+   */
+  static registerStrategy(StrategyClass) {
+    const errors = this.validatePlugin(StrategyClass);
+    if (errors.length > 0) {
+      throw new Error(`Plugin de stratégie invalide: ${errors.join('; ')}`);
+    }
+    
+    const { metadata } = StrategyClass;
+    const existing = pluginStrategies.get(metadata.id);
+    
+    if (existing?.StrategyClass !== StrategyClass && this.getStrategyInfo(metadata.id)) {
+      throw new Error(`Une stratégie est déjà enregistrée sous l'identifiant ${metadata.id}`);
+    }
+    
+    pluginStrategies.set(metadata.id, { StrategyClass, metadata });
+    return metadata.id;
+  }
+  
+  /**
+   * Vérifie qu'une classe de plugin étend BaseStrategy et que ses métadonnées sont complètes
+   * @static
+   * @param {Function} StrategyClass - Classe de la stratégie
+   * @returns {Array<string>} Erreurs de validation (vide si le plugin est valide)
+   */
+  static validatePlugin(StrategyClass) {
+    if (typeof StrategyClass !== 'function' || !(StrategyClass.prototype instanceof BaseStrategy)) {
+      return ['la classe doit étendre BaseStrategy'];
+    }
+    
+    const metadata = StrategyClass.metadata;
+    if (!metadata || typeof metadata !== 'object') {
+      return ['métadonnées statiques "metadata" manquantes'];
+    }
+    
+    const errors = [];
+    
+    if (typeof metadata.id !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(metadata.id)) {
+      errors.push('id doit être en majuscules (lettres, chiffres, _)');
+    } else if (metadata.id === 'MOMENTUM_ENHANCED') {
+      errors.push(`id ${metadata.id} réservé`);
+    }
+    
+    if (typeof metadata.name !== 'string' || !metadata.name.trim()) {
+      errors.push('name manquant');
+    }
+    
+    if (!Array.isArray(metadata.indicators) || metadata.indicators.length === 0 ||
+        !metadata.indicators.every(indicator => typeof indicator === 'string')) {
+      errors.push('indicators doit être une liste non vide de noms d\'indicateurs');
     }
+    
+    if (!PLUGIN_RISK_LEVELS.includes(metadata.risk)) {
+      errors.push(`risk doit valoir ${PLUGIN_RISK_LEVELS.join(', ')}`);
+    }
+    
+    if (!metadata.parameters || typeof metadata.parameters !== 'object' || Array.isArray(metadata.parameters)) {
+      errors.push('parameters doit décrire les paramètres de la stratégie');
+      return errors;
+    }
+    
+    for (const [name, schema] of Object.entries(metadata.parameters)) {
+      if (!schema || !PLUGIN_PARAMETER_TYPES.includes(schema.type)) {
+        errors.push(`paramètre ${name}: type doit valoir ${PLUGIN_PARAMETER_TYPES.join(', ')}`);
+        continue;
+      }
+      
+      const error = this.validatePluginParameter(schema, schema.default);
+      if (error) {
+        errors.push(`paramètre ${name}: valeur par défaut invalide (${error})`);
+      }
+    }
+    
+    return errors;
+  }
+  
+  /**
+   * Vérifie une valeur de paramètre selon son schéma
+   * @static
+   * @param {Object} schema - Schéma du paramètre { type, min?, max?, values? }
+   * @param {*} value - Valeur à vérifier
+   * @returns {string|null} Message d'erreur ou null si la valeur est valide
+   */
+  static validatePluginParameter(schema, value) {
+    if (schema.type === 'boolean') {
+      return typeof value === 'boolean' ? null : 'booléen attendu';
+    }
+    
+    if (schema.type === 'string') {
+      if (typeof value !== 'string') return 'chaîne attendue';
+      if (Array.isArray(schema.values) && !schema.values.includes(value)) {
+        return `valeurs possibles: ${schema.values.join(', ')}`;
+      }
+      return null;
+    }
+    
+    if (typeof value !== 'number' || !Number.isFinite(value)) return 'nombre attendu';
+    if (schema.type === 'integer' && !Number.isInteger(value)) return 'entier attendu';
+    if (schema.min !== undefined && value < schema.min) return `minimum ${schema.min}`;
+    if (schema.max !== undefined && value > schema.max) return `maximum ${schema.max}`;
+    
+    return null;
+  }
+  
+  /**
+   * Calcule les paramètres d'une stratégie plugin : valeurs par défaut du schéma
+   * remplacées par celles de la configuration
+   * @static
+   * @param {Object} metadata - Métadonnées du plugin
+   * @param {Object} [overrides={}] - Valeurs configurées (config.strategy.plugins[id])
+   * @returns {Object} Paramètres validés
+   * @throws {Error} Si un paramètre est inconnu ou invalide
+   */
+  static resolvePluginParameters(metadata, overrides = {}) {
+    const parameters = {};
+    
+    for (const name of Object.keys(overrides || {})) {
+      if (!metadata.parameters[name]) {
+        throw new Error(`Paramètre inconnu pour la stratégie ${metadata.id}: ${name}`);
+      }
+    }
+    
+    for (const [name, schema] of Object.entries(metadata.parameters)) {
+      const value = overrides?.[name] ?? schema.default;
+      const error = this.validatePluginParameter(schema, value);
+      if (error) {
+        throw new Error(`Paramètre ${name} invalide pour la stratégie ${metadata.id}: ${error}`);
+      }
+      parameters[name] = value;
+    }
+    
+    return parameters;
   }
   
   /**
@@ -49,6 +216,16 @@ export class StrategyFactory {
    * @returns {Array<Object>} Liste des stratégies avec leur description
    */
   static getAvailableStrategies() {
+    const plugins = Array.from(pluginStrategies.values(), ({ metadata }) => ({
+      id: metadata.id,
+      name: metadata.name,
+      description: metadata.description || '',
+      indicators: metadata.indicators,
+      risk: metadata.risk,
+      parameters: metadata.parameters,
+      plugin: true
+    }));
+    
     return [
       {
         id: 'MOMENTUM',
@@ -67,27 +244,39 @@ export class StrategyFactory {
       {
         id: 'MEAN_REVERSION',
         name: 'Mean Reversion Strategy',
-        description: 'Stratégie basée sur le retour à la moyenne (non implémentée)',
+        description: 'Stratégie basée sur le retour à la moyenne (z-score, %B, RSI) avec filtre de tendance',
         indicators: ['RSI', 'Bollinger Bands', 'Standard Deviation'],
-        risk: 'Medium',
-        available: false
+        risk: 'Medium'
       },
       {
         id: 'BREAKOUT',
         name: 'Breakout Strategy',
-        description: 'Recherche les ruptures de support/résistance (non implémentée)',
+        description: 'Recherche les ruptures de consolidation confirmées par le volume, avec stops basés sur l\'ATR',
         indicators: ['Support/Resistance', 'Volume', 'ATR'],
-        risk: 'High',
-        available: false
+        risk: 'High'
       },
       {
         id: 'TREND_FOLLOWING',
         name: 'Trend Following Strategy',
-        description: 'Suit les tendances fortes des prix (non implémentée)',
+        description: 'Suit les tendances fortes des prix (alignement des moyennes, ADX) avec sortie sur Parabolic SAR suiveur',
         indicators: ['Moving Averages', 'ADX', 'Parabolic SAR'],
-        risk: 'Medium',
-        available: false
-      }
+        risk: 'Medium'
+      },
+      {
+        id: 'ENSEMBLE',
+        name: 'Ensemble Strategy',
+        description: 'Combine plusieurs stratégies par vote pondéré et ne trade qu\'en cas d\'accord',
+        indicators: ['Strategy Votes', 'Hit Rate'],
+        risk: 'Low'
+      },
+      {
+        id: 'RULES',
+        name: 'Rules Strategy',
+        description: 'Règles d\'entrée et de sortie décrites en JSON sur les indicateurs techniques, expliquées dans les raisons du signal',
+        indicators: ['RSI', 'MACD', 'Bollinger Bands', 'Moving Averages', 'Volume'],
+        risk: 'Medium'
+      },
+      ...plugins
     ];
   }
   
@@ -120,6 +309,18 @@ export class StrategyFactory {
    * @returns {Object} Configuration recommandée
    */
   static getRecommendedConfig(type) {
+    // Stratégie plugin : valeurs par défaut de son schéma de paramètres
+    const plugin = pluginStrategies.get(type.toUpperCase());
+    if (plugin) {
+      return {
+        strategy: {
+          plugins: {
+            [plugin.metadata.id]: this.resolvePluginParameters(plugin.metadata)
+          }
+        }
+      };
+    }
+    
     switch (type.toUpperCase()) {
       case 'MOMENTUM':
         return {
@@ -179,6 +380,141 @@ export class StrategyFactory {
           }
         };
         
+      case 'MEAN_REVERSION':
+        return {
+          indicators: {
+            rsi: {
+              period: 14,
+              oversold: 25,
+              overbought: 75
+            },
+            bollingerBands: {
+              period: 20,
+              stdDev: 2
+            }
+          },
+          strategy: {
+            meanReversion: {
+              period: 20,
+              entryZScore: 2,
+              exitZScore: 0,
+              stopZScore: 3.5,
+              trendLookback: 50,
+              maxTrendEfficiency: 0.5
+            }
+          },
+          trading: {
+            tradeSize: 2,
+            stopLoss: 5,
+            takeProfit: 5,
+            maxOpenPositions: 5,
+            minConfidenceThreshold: 0.6
+          }
+        };
+        
+      case 'BREAKOUT':
+        return {
+          indicators: {
+            volumeProfile: {
+              lookback: 24,
+              threshold: 1.5
+            }
+          },
+          strategy: {
+            breakout: {
+              rangeLookback: 24,
+              maxRangeWidth: 10,
+              confirmationCloses: 2,
+              breakoutBuffer: 0.25,
+              volumeMultiplier: 1.5,
+              atrPeriod: 14,
+              stopAtrMultiple: 1.5,
+              targetAtrMultiple: 3
+            }
+          },
+          trading: {
+            tradeSize: 1.5,
+            stopLoss: 4,
+            takeProfit: 12,
+            maxOpenPositions: 3,
+            minConfidenceThreshold: 0.6
+          }
+        };
+        
+      case 'TREND_FOLLOWING':
+        return {
+          strategy: {
+            trendFollowing: {
+              fastPeriod: 20,
+              slowPeriod: 50,
+              adxPeriod: 14,
+              adxThreshold: 25,
+              sarStep: 0.02,
+              sarMaxStep: 0.2,
+              rewardRiskRatio: 4
+            }
+          },
+          trading: {
+            tradeSize: 2,
+            stopLoss: 6,
+            takeProfit: 25,
+            maxOpenPositions: 4,
+            minConfidenceThreshold: 0.6
+          }
+        };
+        
+      case 'ENSEMBLE':
+        return {
+          strategy: {
+            ensemble: {
+              strategies: [
+                { type: 'ENHANCED_MOMENTUM', weight: 1 },
+                { type: 'TREND_FOLLOWING', weight: 1 },
+                { type: 'MOMENTUM', weight: 0.5 }
+              ],
+              weighting: 'performance',
+              minAgreement: 0.6,
+              minResolvedSignals: 3,
+              priorHitRate: 0.5
+            }
+          },
+          trading: {
+            tradeSize: 2,
+            stopLoss: 5,
+            takeProfit: 15,
+            maxOpenPositions: 3,
+            minConfidenceThreshold: 0.55
+          }
+        };
+        
+      case 'RULES':
+        return {
+          strategy: {
+            rules: {
+              entry: {
+                all: [
+                  { left: 'rsi', operator: '<', right: 30 },
+                  { left: 'close', operator: '>', right: { indicator: 'sma', period: 50 } },
+                  { left: 'volume', operator: '>', right: { indicator: 'averageVolume', multiplier: 1.5 } }
+                ]
+              },
+              exit: {
+                any: [
+                  { left: 'rsi', operator: '>', right: 70 },
+                  { left: 'close', operator: '<', right: { indicator: 'sma', period: 50 } }
+                ]
+              },
+              confidence: 0.7
+            }
+          },
+          trading: {
+            tradeSize: 2,
+            stopLoss: 5,
+            takeProfit: 15,
+            maxOpenPositions: 3
+          }
+        };
+        
       default:
         // Configuration par défaut
         return {
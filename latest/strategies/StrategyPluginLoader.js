@@ -0,0 +1,112 @@
+// strategies/StrategyPluginLoader.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { BaseStrategy } from './BaseStrategy.js';
+import { StrategyFactory } from './StrategyFactory.js';
+
+// Helper pour obtenir le chemin du fichier
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PLUGIN_EXTENSIONS = ['.js', '.mjs'];
+
+/**
+ * Chargeur de stratégies utilisateur
+ * Découvre les modules ES du répertoire de plugins, vérifie que chacun exporte
+ * une sous-classe de BaseStrategy munie de métadonnées valides et l'enregistre
+ * dans la StrategyFactory, ce qui la rend disponible pour le bot et les backtests
+ *
+ * @example
+ * // strategies/plugins/rsiDip.js
+ * export default class RsiDipStrategy extends BaseStrategy {
+ *   static metadata = {
+ *     id: 'RSI_DIP',
+ *     name: 'RSI Dip',
+ *     indicators: ['RSI'],
+ *     risk: 'Medium',
+ *     parameters: { threshold: { type: 'number', default: 25, min: 0, max: 100 } }
+ *   };
+ *   constructor(config, parameters) { super(config); this.parameters = parameters; }
+ *   async analyze(token, prices, volumes, marketData, timeframes) { ... }
+ * }
+ */
+export class StrategyPluginLoader {
+  /**
+   * Crée une instance de StrategyPluginLoader
+   * @param {Object} config - Configuration globale (section strategyPlugins)
+   */
+  constructor(config = {}) {
+    const pluginConfig = config.strategyPlugins || {};
+
+    this.enabled = pluginConfig.enabled !== false;
+    this.directory = path.resolve(__dirname, '..', pluginConfig.directory || 'strategies/plugins');
+  }
+
+  /**
+   * Charge et enregistre toutes les stratégies du répertoire de plugins
+   * Un plugin invalide est écarté sans empêcher le chargement des autres
+   * @returns {Promise<Object>} { loaded: [{ file, id }], rejected: [{ file, error }] }
+   */
+  async loadAll() {
+    const result = { loaded: [], rejected: [] };
+    if (!this.enabled) return result;
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.directory, { withFileTypes: true });
+    } catch (error) {
+      // Pas de répertoire de plugins : aucune stratégie utilisateur
+      if (error.code === 'ENOENT') return result;
+      throw error;
+    }
+
+    const files = entries
+      .filter(entry => entry.isFile() && PLUGIN_EXTENSIONS.includes(path.extname(entry.name)))
+      .map(entry => entry.name)
+      .sort();
+
+    for (const file of files) {
+      try {
+        const id = await this.loadFile(path.join(this.directory, file));
+        result.loaded.push({ file, id });
+      } catch (error) {
+        result.rejected.push({ file, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Importe un module de plugin et enregistre la stratégie qu'il exporte
+   * @param {string} filePath - Chemin absolu du module
+   * @returns {Promise<string>} Identifiant de la stratégie enregistrée
+   * @throws {Error} Si le module n'exporte pas de stratégie valide
+   */
+  async loadFile(filePath) {
+    const module = await import(pathToFileURL(filePath).href);
+    const StrategyClass = this.findStrategyClass(module);
+
+    if (!StrategyClass) {
+      throw new Error('Le module n\'exporte aucune sous-classe de BaseStrategy');
+    }
+
+    return StrategyFactory.registerStrategy(StrategyClass);
+  }
+
+  /**
+   * Recherche la classe de stratégie exportée (export par défaut en priorité)
+   * @private
+   * @param {Object} module - Module importé
+   * @returns {Function|null} Classe de stratégie ou null
+   */
+  findStrategyClass(module) {
+    const candidates = [module.default, ...Object.values(module)];
+    return candidates.find(candidate =>
+      typeof candidate === 'function' && candidate.prototype instanceof BaseStrategy
+    ) || null;
+  }
+}
+
+export default StrategyPluginLoader;
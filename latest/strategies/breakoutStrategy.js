@@ -0,0 +1,273 @@
+// strategies/breakoutStrategy.js
+import { BaseStrategy } from './BaseStrategy.js';
+import { technicalAnalysis } from '../utils/indicators.js';
+
+/**
+ * Stratégie de rupture (breakout)
+ * Détecte une phase de consolidation (range étroit), puis une sortie de ce range
+ * confirmée par plusieurs clôtures au-delà du niveau et par une expansion du volume.
+ * Les mèches qui percent le niveau sans clôture confirmée sont rejetées comme fausses
+ * ruptures. Le stop et l'objectif du signal sont dérivés de l'ATR et de la hauteur du range
+ */
+export class BreakoutStrategy extends BaseStrategy {
+  /**
+   * Crée une nouvelle instance de BreakoutStrategy
+   * @param {Object} config - Configuration de la stratégie (section strategy.breakout)
+   */
+  constructor(config) {
+    super(config);
+
+    const breakout = config.strategy?.breakout || {};
+
+    this.breakoutConfig = {
+      // Nombre de bougies définissant la consolidation
+      rangeLookback: breakout.rangeLookback || 24,
+      // Largeur maximale du range (% du prix moyen) pour parler de consolidation
+      maxRangeWidth: breakout.maxRangeWidth || 10,
+      // Nombre de clôtures consécutives requises au-delà du niveau
+      confirmationCloses: breakout.confirmationCloses || 2,
+      // Marge minimale au-delà du niveau, en multiples d'ATR
+      breakoutBuffer: breakout.breakoutBuffer ?? 0.25,
+      // Volume des bougies de rupture / volume moyen du range
+      volumeMultiplier: breakout.volumeMultiplier || 1.5,
+      atrPeriod: breakout.atrPeriod || 14,
+      // Stop placé à stopAtrMultiple ATR de l'autre côté du niveau cassé
+      stopAtrMultiple: breakout.stopAtrMultiple || 1.5,
+      // Objectif minimal en multiples d'ATR (sinon hauteur du range projetée)
+      targetAtrMultiple: breakout.targetAtrMultiple || 3
+    };
+  }
+
+  /**
+   * Analyse un token et génère un signal de rupture
+   * @override
+   * @param {string} token - Identifiant du token
+   * @param {Array<number>} prices - Historique des prix
+   * @param {Array<number>} volumes - Historique des volumes
+   * @param {Object} marketData - Données supplémentaires sur le marché
+   * @param {Object<string, Array<number>>} [timeframes] - Historique des prix par intervalle (confirmation multi-échelle)
+   * @returns {Promise<Object>} Signal de trading
+   */
+  async analyze(token, prices, volumes, marketData, timeframes) {
+    if (!this.validateInputData(token, prices, volumes)) {
+      return this.createSignal(
+        'NONE',
+        0,
+        ['INVALID_INPUT_DATA'],
+        { error: 'Insufficient or invalid data for analysis' }
+      );
+    }
+
+    if (!this.validateMarketConditions(marketData)) {
+      return this.createSignal(
+        'NONE',
+        0,
+        ['MARKET_CONDITIONS_NOT_MET'],
+        { marketData }
+      );
+    }
+
+    const { rangeLookback, confirmationCloses, atrPeriod } = this.breakoutConfig;
+    if (prices.length < rangeLookback + confirmationCloses + 1 || prices.length < atrPeriod + 2) {
+      return this.createSignal('NONE', 0, ['INSUFFICIENT_DATA_FOR_RANGE'], {});
+    }
+
+    try {
+      const range = this.detectConsolidation(prices, volumes);
+      const breakout = this.detectBreakout(prices, volumes, range);
+
+      const signal = this.generateSignal(prices, volumes, range, breakout);
+
+      // Confirmation par les échelles de temps supérieures
+      const confirmedSignal = this.applyTimeframeConfirmation(signal, timeframes);
+
+      // Filtre de persistance pour réduire le bruit
+      const filteredSignal = this.applySignalPersistenceFilter(token, confirmedSignal);
+
+      this.trackSignal(token, filteredSignal);
+
+      return filteredSignal;
+    } catch (error) {
+      console.error(`Erreur lors de l'analyse du token ${token}:`, error);
+      return this.createSignal(
+        'NONE',
+        0,
+        ['ANALYSIS_ERROR'],
+        { error: error.message }
+      );
+    }
+  }
+
+  /**
+   * Calcule l'ATR sur les clôtures
+   * Les stratégies ne reçoivent que les prix de clôture : le true range se réduit
+   * alors à l'écart entre deux clôtures successives
+   * @param {Array<number>} prices - Historique des prix
+   * @returns {number} Dernière valeur d'ATR
+   */
+  calculateCloseATR(prices) {
+    const atr = technicalAnalysis.calculateATR(prices, prices, prices, this.breakoutConfig.atrPeriod);
+    return atr.length > 0 ? atr[atr.length - 1] : 0;
+  }
+
+  /**
+   * Détecte la consolidation précédant les bougies de rupture
+   * @param {Array<number>} prices - Historique des prix
+   * @param {Array<number>} volumes - Historique des volumes
+   * @returns {Object} Bornes, largeur et volume moyen du range
+   */
+  detectConsolidation(prices, volumes) {
+    const { rangeLookback, confirmationCloses, maxRangeWidth } = this.breakoutConfig;
+    const end = prices.length - confirmationCloses;
+    const rangePrices = prices.slice(end - rangeLookback, end);
+    const rangeVolumes = volumes.slice(end - rangeLookback, end);
+
+    const high = Math.max(...rangePrices);
+    const low = Math.min(...rangePrices);
+    const average = rangePrices.reduce((sum, price) => sum + price, 0) / rangePrices.length;
+    const width = ((high - low) / average) * 100;
+    const averageVolume = rangeVolumes.reduce((sum, volume) => sum + volume, 0) / rangeVolumes.length;
+
+    // Les pivots de support/résistance proches des bornes renforcent le niveau
+    const { supports, resistances } = this.calculateSupportResistance(prices.slice(0, end));
+    const levelStrength = (levels, level) => levels
+      .filter(candidate => Math.abs(candidate.price - level) / level < 0.01)
+      .reduce((max, candidate) => Math.max(max, candidate.strength), 0);
+
+    return {
+      high,
+      low,
+      height: high - low,
+      width,
+      averageVolume,
+      isConsolidating: width <= maxRangeWidth,
+      resistanceStrength: levelStrength(resistances, high),
+      supportStrength: levelStrength(supports, low)
+    };
+  }
+
+  /**
+   * Détecte une rupture du range et applique la règle de clôture au-delà du niveau
+   * @param {Array<number>} prices - Historique des prix
+   * @param {Array<number>} volumes - Historique des volumes
+   * @param {Object} range - Résultat de detectConsolidation()
+   * @returns {Object} Direction, confirmation, fausse rupture, expansion du volume et ATR
+   */
+  detectBreakout(prices, volumes, range) {
+    const { confirmationCloses, breakoutBuffer } = this.breakoutConfig;
+    const atr = this.calculateCloseATR(prices);
+    const closes = prices.slice(-confirmationCloses);
+    const breakoutVolumes = volumes.slice(-confirmationCloses);
+
+    const upLevel = range.high + breakoutBuffer * atr;
+    const downLevel = range.low - breakoutBuffer * atr;
+
+    const closedAbove = closes.every(close => close > upLevel);
+    const closedBelow = closes.every(close => close < downLevel);
+
+    // Un niveau percé puis réintégré : fausse rupture
+    const piercedAbove = closes.some(close => close > range.high);
+    const piercedBelow = closes.some(close => close < range.low);
+
+    let direction = 'NONE';
+    if (closedAbove) direction = 'UP';
+    else if (closedBelow) direction = 'DOWN';
+
+    const breakoutVolume = breakoutVolumes.reduce((sum, volume) => sum + volume, 0) / breakoutVolumes.length;
+    const volumeExpansion = range.averageVolume > 0 ? breakoutVolume / range.averageVolume : 0;
+
+    return {
+      direction,
+      falseBreakout: direction === 'NONE' && (piercedAbove || piercedBelow),
+      level: direction === 'DOWN' ? range.low : range.high,
+      atr,
+      volumeExpansion
+    };
+  }
+
+  /**
+   * Génère le signal de rupture
+   * @private
+   * @param {Array<number>} prices - Historique des prix
+   * @param {Array<number>} volumes - Historique des volumes
+   * @param {Object} range - Résultat de detectConsolidation()
+   * @param {Object} breakout - Résultat de detectBreakout()
+   * @returns {Object} Signal de trading
+   */
+  generateSignal(prices, volumes, range, breakout) {
+    const { volumeMultiplier, maxRangeWidth, stopAtrMultiple, targetAtrMultiple } = this.breakoutConfig;
+    const currentPrice = prices[prices.length - 1];
+    const volumeProfile = this.analyzeVolumeProfile(volumes, prices);
+    const indicators = { range, breakout, volumeProfile };
+
+    if (!range.isConsolidating) {
+      return this.createSignal('NONE', 0, [`NO_CONSOLIDATION: range ${range.width.toFixed(2)}%`], indicators);
+    }
+
+    if (breakout.falseBreakout) {
+      return this.createSignal('NONE', 0, ['FALSE_BREAKOUT_REJECTED: no confirmed close beyond level'], indicators);
+    }
+
+    if (breakout.direction === 'NONE') {
+      return this.createSignal('NONE', 0, ['PRICE_INSIDE_RANGE'], indicators);
+    }
+
+    if (breakout.volumeExpansion < volumeMultiplier) {
+      return this.createSignal('NONE', 0, [
+        `BREAKOUT_WITHOUT_VOLUME: ${breakout.volumeExpansion.toFixed(2)}x`
+      ], indicators);
+    }
+
+    const isUp = breakout.direction === 'UP';
+    const reasons = [
+      `${isUp ? 'RESISTANCE_BREAKOUT' : 'SUPPORT_BREAKDOWN'}: ${breakout.level.toFixed(6)}`,
+      `VOLUME_EXPANSION: ${breakout.volumeExpansion.toFixed(2)}x`
+    ];
+
+    // Clôtures confirmées et expansion du volume
+    let confidence = 0.45 + 0.25 * Math.min(1, (breakout.volumeExpansion - 1) / 2);
+
+    // Range serré : la rupture d'une compression est plus significative
+    const tightness = 1 - range.width / maxRangeWidth;
+    confidence += 0.15 * tightness;
+    if (tightness > 0.5) {
+      reasons.push(`TIGHT_CONSOLIDATION: ${range.width.toFixed(2)}%`);
+    }
+
+    // Niveau déjà testé plusieurs fois (pivots)
+    const levelStrength = isUp ? range.resistanceStrength : range.supportStrength;
+    if (levelStrength > 0) {
+      confidence += 0.15 * levelStrength;
+      reasons.push('LEVEL_CONFIRMED_BY_PIVOTS');
+    }
+
+    confidence = Math.min(1, confidence);
+
+    const minConfidenceThreshold = this.config.trading?.minConfidenceThreshold || 0.6;
+    if (confidence < minConfidenceThreshold) {
+      reasons.unshift(isUp ? 'WEAK_BUY_SIGNAL' : 'WEAK_SELL_SIGNAL');
+      return this.createSignal('NONE', confidence, reasons, indicators);
+    }
+
+    // Stop de l'autre côté du niveau cassé ; objectif : hauteur du range projetée depuis
+    // le niveau, et au moins targetAtrMultiple ATR au-delà du prix courant
+    const side = isUp ? 1 : -1;
+    const stopPrice = breakout.level - side * stopAtrMultiple * breakout.atr;
+    const projectedTarget = breakout.level + side * range.height;
+    const atrTarget = currentPrice + side * targetAtrMultiple * breakout.atr;
+    const targetPrice = isUp ? Math.max(projectedTarget, atrTarget) : Math.min(projectedTarget, atrTarget);
+
+    const signal = this.createSignal(isUp ? 'BUY' : 'SELL', confidence, reasons, {
+      ...indicators,
+      stopPrice,
+      targetPrice
+    });
+
+    signal.stopLoss = (Math.abs(currentPrice - stopPrice) / currentPrice) * 100;
+    signal.takeProfit = (Math.abs(targetPrice - currentPrice) / currentPrice) * 100;
+
+    return signal;
+  }
+}
+
+export default BreakoutStrategy;
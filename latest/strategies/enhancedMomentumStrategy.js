@@ -33,9 +33,10 @@ export class EnhancedMomentumStrategy extends BaseStrategy {
    * @param {Array<number>} prices - Historical price data
    * @param {Array<number>} volumes - Historical volume data
    * @param {Object} marketData - Additional market data
+   * @param {Object<string, Array<number>>} [timeframes] - Price history per interval (multi-timeframe confirmation)
    * @returns {Promise<Object>} Trading signal
    */
-  async analyze(token, prices, volumes, marketData) {
+  async analyze(token, prices, volumes, marketData, timeframes) {
     // Validate input data
     if (!this.validateInputData(token, prices, volumes)) {
       return this.createSignal(
@@ -69,8 +70,11 @@ export class EnhancedMomentumStrategy extends BaseStrategy {
       // Generate composite signal
       const signal = await this.generateSignal(token, prices, indicators, trend, volumeProfile, marketData);
       
+      // Confirm with higher timeframes when provided
+      const confirmedSignal = this.applyTimeframeConfirmation(signal, timeframes);
+
       // Apply persistence filter to reduce signal noise
-      const filteredSignal = this.applySignalPersistenceFilter(token, signal);
+      const filteredSignal = this.applySignalPersistenceFilter(token, confirmedSignal);
       
       // Track signal for performance metrics
       this.trackSignal(token, filteredSignal);
@@ -238,7 +242,7 @@ export class EnhancedMomentumStrategy extends BaseStrategy {
       price: prices[prices.length - 1],
       rsi: indicators.rsi,
       macd: indicators.macd.lastHistogram,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     });
     
     return this.createSignal(signalType, confidence, reasons, {
@@ -501,4 +505,8 @@ export class EnhancedMomentumStrategy extends BaseStrategy {
       type: 'NONE',
       weight: 0,
       reason: 'NEUTRAL_MACD'
-    };
\ No newline at end of file
+    };
+  }
+}
+
+export default EnhancedMomentumStrategy;
@@ -0,0 +1,333 @@
+// strategies/ensembleStrategy.js
+import { BaseStrategy } from './BaseStrategy.js';
+import { deepMerge } from '../utils/helpers.js';
+
+const DEFAULT_MEMBERS = [
+  { type: 'ENHANCED_MOMENTUM' },
+  { type: 'TREND_FOLLOWING' },
+  { type: 'MOMENTUM' }
+];
+
+/**
+ * Stratégie d'ensemble
+ * Fait analyser chaque token par plusieurs stratégies filles et fusionne leurs
+ * signaux par vote pondéré : un signal n'est émis que si une part suffisante du
+ * poids total vote dans le même sens. Les poids sont fixes ou dérivés du taux de
+ * réussite récent de chaque stratégie fille (getPerformanceMetrics)
+ */
+export class EnsembleStrategy extends BaseStrategy {
+  /**
+   * Crée une nouvelle instance de EnsembleStrategy
+   * @param {Object} config - Configuration de la stratégie (section strategy.ensemble)
+   * @param {Function} createStrategy - Fabrique des stratégies filles (type, config) => BaseStrategy
+   */
+  constructor(config, createStrategy) {
+    super(config);
+
+    const ensemble = config.strategy?.ensemble || {};
+
+    this.ensembleConfig = {
+      // 'static' : poids configurés ; 'performance' : poids x taux de réussite récent
+      weighting: ensemble.weighting || 'static',
+      // Part minimale du poids total votant dans le sens du signal
+      minAgreement: ensemble.minAgreement ?? 0.6,
+      // Nombre minimum de signaux résolus avant de se fier au taux de réussite
+      minResolvedSignals: ensemble.minResolvedSignals || 3,
+      // Taux de réussite supposé tant qu'une stratégie fille n'a pas assez d'historique
+      priorHitRate: ensemble.priorHitRate ?? 0.5
+    };
+
+    if (!['static', 'performance'].includes(this.ensembleConfig.weighting)) {
+      throw new Error(`Pondération d'ensemble inconnue: ${this.ensembleConfig.weighting}`);
+    }
+
+    const members = ensemble.strategies?.length > 0 ? ensemble.strategies : DEFAULT_MEMBERS;
+
+    this.members = members.map((member, index) => {
+      const spec = typeof member === 'string' ? { type: member } : member;
+      const type = spec.type?.toUpperCase();
+
+      if (!type || type === 'ENSEMBLE') {
+        throw new Error(`Stratégie fille invalide à l'index ${index}: ${spec.type}`);
+      }
+
+      const memberConfig = deepMerge(config, spec.config || {}, { strategy: { type } });
+
+      return {
+        id: spec.id || type,
+        type,
+        weight: spec.weight ?? 1,
+        strategy: createStrategy(type, memberConfig)
+      };
+    });
+
+    // Votes ayant conduit au dernier signal émis par token (attribution des résultats)
+    this.lastVotes = new Map();
+  }
+
+  /**
+   * Propage l'horloge aux stratégies filles
+   * @override
+   * @param {Object} clock - Horloge { now() }
+   */
+  setClock(clock) {
+    super.setClock(clock);
+    for (const member of this.members) {
+      member.strategy.setClock(clock);
+    }
+  }
+
+  /**
+   * Analyse un token avec toutes les stratégies filles et fusionne leurs votes
+   * @override
+   * @param {string} token - Identifiant du token
+   * @param {Array<number>} prices - Historique des prix
+   * @param {Array<number>} volumes - Historique des volumes
+   * @param {Object} marketData - Données supplémentaires sur le marché
+   * @param {Object<string, Array<number>>} [timeframes] - Historique des prix par intervalle
+   *   (la confirmation multi-échelle est appliquée au vote fusionné, pas aux stratégies filles)
+   * @returns {Promise<Object>} Signal de trading
+   */
+  async analyze(token, prices, volumes, marketData, timeframes) {
+    if (!this.validateInputData(token, prices, volumes)) {
+      return this.createSignal(
+        'NONE',
+        0,
+        ['INVALID_INPUT_DATA'],
+        { error: 'Insufficient or invalid data for analysis' }
+      );
+    }
+
+    try {
+      const votes = await Promise.all(this.members.map(async (member) => {
+        const signal = await member.strategy.analyze(token, prices, volumes, marketData);
+        return {
+          id: member.id,
+          type: signal.type,
+          confidence: signal.confidence,
+          weight: this.getMemberWeight(member),
+          signal
+        };
+      }));
+
+      // Confirmation par les échelles de temps supérieures
+      const signal = this.applyTimeframeConfirmation(this.mergeVotes(votes), timeframes);
+
+      if (signal.type !== 'NONE') {
+        this.lastVotes.set(token, { type: signal.type, votes: votes.map(vote => ({ id: vote.id, type: vote.type })) });
+      }
+
+      // Filtre de persistance pour réduire le bruit
+      const filteredSignal = this.applySignalPersistenceFilter(token, signal);
+
+      this.trackSignal(token, filteredSignal);
+
+      return filteredSignal;
+    } catch (error) {
+      console.error(`Erreur lors de l'analyse du token ${token}:`, error);
+      return this.createSignal(
+        'NONE',
+        0,
+        ['ANALYSIS_ERROR'],
+        { error: error.message }
+      );
+    }
+  }
+
+  /**
+   * Poids d'une stratégie fille selon le mode de pondération
+   * @param {Object} member - Stratégie fille
+   * @returns {number} Poids effectif
+   */
+  getMemberWeight(member) {
+    if (this.ensembleConfig.weighting === 'static') {
+      return member.weight;
+    }
+
+    return member.weight * this.getHitRate(member.strategy);
+  }
+
+  /**
+   * Taux de réussite récent d'une stratégie
+   * Calculé sur les signaux récents résolus, puis sur l'historique complet, et
+   * remplacé par le taux supposé tant que trop peu de signaux sont résolus
+   * @param {BaseStrategy} strategy - Stratégie fille
+   * @returns {number} Taux de réussite (0-1)
+   */
+  getHitRate(strategy) {
+    const { minResolvedSignals, priorHitRate } = this.ensembleConfig;
+    const metrics = strategy.getPerformanceMetrics();
+
+    const resolved = metrics.recentSignals.filter(entry => entry.outcome !== 'PENDING');
+    if (resolved.length >= minResolvedSignals) {
+      return resolved.filter(entry => entry.outcome === 'CORRECT').length / resolved.length;
+    }
+
+    const totalResolved = metrics.correctSignals + metrics.falsePositives;
+    if (totalResolved >= minResolvedSignals) {
+      return metrics.correctSignals / totalResolved;
+    }
+
+    return priorHitRate;
+  }
+
+  /**
+   * Fusionne les votes des stratégies filles
+   * @private
+   * @param {Array<Object>} votes - Votes { id, type, confidence, weight, signal }
+   * @returns {Object} Signal de trading
+   */
+  mergeVotes(votes) {
+    const totalWeight = votes.reduce((sum, vote) => sum + vote.weight, 0);
+    const voteReasons = votes.map(vote =>
+      `VOTE_${vote.type}: ${vote.id} (confidence ${vote.confidence.toFixed(2)}, weight ${vote.weight.toFixed(2)})`
+    );
+    const indicators = {
+      votes: votes.map(({ id, type, confidence, weight, signal }) => ({
+        id,
+        type,
+        confidence,
+        weight,
+        reasons: signal.reasons
+      }))
+    };
+
+    if (totalWeight <= 0) {
+      return this.createSignal('NONE', 0, ['NO_VOTING_WEIGHT', ...voteReasons], indicators);
+    }
+
+    const tally = (type) => {
+      const voters = votes.filter(vote => vote.type === type);
+      const weight = voters.reduce((sum, vote) => sum + vote.weight, 0);
+      const weightedConfidence = voters.reduce((sum, vote) => sum + vote.weight * vote.confidence, 0);
+      return {
+        voters,
+        share: weight / totalWeight,
+        confidence: weight > 0 ? weightedConfidence / weight : 0
+      };
+    };
+
+    const buy = tally('BUY');
+    const sell = tally('SELL');
+    const type = buy.share >= sell.share ? 'BUY' : 'SELL';
+    const winner = type === 'BUY' ? buy : sell;
+    const opposing = type === 'BUY' ? sell : buy;
+
+    // Confiance moyenne des votants, réduite par le poids des votes contraires
+    const confidence = winner.confidence * (1 - opposing.share);
+    const agreementReason = `ENSEMBLE_AGREEMENT: ${(winner.share * 100).toFixed(0)}% ${type}`;
+
+    if (winner.voters.length === 0 || buy.share === sell.share || winner.share < this.ensembleConfig.minAgreement) {
+      return this.createSignal('NONE', confidence, ['NO_ENSEMBLE_AGREEMENT', agreementReason, ...voteReasons], indicators);
+    }
+
+    const minConfidenceThreshold = this.config.trading?.minConfidenceThreshold || 0.6;
+    if (confidence < minConfidenceThreshold) {
+      return this.createSignal('NONE', confidence, [
+        type === 'BUY' ? 'WEAK_BUY_SIGNAL' : 'WEAK_SELL_SIGNAL',
+        agreementReason,
+        ...voteReasons
+      ], indicators);
+    }
+
+    const signal = this.createSignal(type, confidence, [agreementReason, ...voteReasons], indicators);
+
+    // Stop et objectif : moyenne pondérée de ceux proposés par les votants
+    for (const level of ['stopLoss', 'takeProfit']) {
+      const proposals = winner.voters.filter(vote => vote.signal[level] > 0);
+      const weight = proposals.reduce((sum, vote) => sum + vote.weight, 0);
+      if (weight > 0) {
+        signal[level] = proposals.reduce((sum, vote) => sum + vote.weight * vote.signal[level], 0) / weight;
+      }
+    }
+
+    return signal;
+  }
+
+  /**
+   * Stop suiveur : le plus haut des stops proposés par les stratégies filles
+   * @param {string} token - Identifiant du token
+   * @param {Array<number>} prices - Historique des prix
+   * @param {Object} position - Position ouverte
+   * @returns {number|null} Niveau de stop proposé ou null
+   */
+  getTrailingStop(token, prices, position) {
+    const stops = this.members
+      .filter(member => typeof member.strategy.getTrailingStop === 'function')
+      .map(member => member.strategy.getTrailingStop(token, prices, position))
+      .filter(stop => stop > 0);
+
+    return stops.length > 0 ? Math.max(...stops) : null;
+  }
+
+  /**
+   * Signal de sortie : une stratégie fille qui demande la sortie suffit, comme
+   * pour le stop suiveur la position est protégée par la fille la plus prudente
+   * @param {string} token - Identifiant du token
+   * @param {Array<number>} prices - Historique des prix
+   * @param {Array<number>} volumes - Historique des volumes
+   * @param {Object} position - Position ouverte
+   * @returns {Object|null} Signal SELL regroupant les raisons des filles ou null
+   */
+  getExitSignal(token, prices, volumes, position) {
+    const exits = this.members
+      .filter(member => typeof member.strategy.getExitSignal === 'function')
+      .map(member => ({ id: member.id, signal: member.strategy.getExitSignal(token, prices, volumes, position) }))
+      .filter(exit => exit.signal);
+
+    if (exits.length === 0) return null;
+
+    return this.createSignal(
+      'SELL',
+      Math.max(...exits.map(exit => exit.signal.confidence)),
+      exits.flatMap(exit => exit.signal.reasons.map(reason => `${exit.id}: ${reason}`)),
+      { exits: exits.map(exit => ({ id: exit.id, reasons: exit.signal.reasons })) }
+    );
+  }
+
+  /**
+   * Met à jour le résultat d'un signal et l'attribue aux stratégies filles
+   * Une stratégie ayant voté dans le sens du trade partage son résultat, une
+   * stratégie ayant voté contre reçoit le résultat inverse
+   * @override
+   * @param {string} token - Identifiant du token
+   * @param {string} outcome - Résultat ('CORRECT', 'INCORRECT')
+   * @param {number} profit - Profit/perte réalisé
+   */
+  updateSignalOutcome(token, outcome, profit) {
+    super.updateSignalOutcome(token, outcome, profit);
+
+    const record = this.lastVotes.get(token);
+    if (!record) return;
+    this.lastVotes.delete(token);
+
+    const inverse = outcome === 'CORRECT' ? 'INCORRECT' : 'CORRECT';
+
+    for (const vote of record.votes) {
+      if (vote.type === 'NONE') continue;
+
+      const member = this.members.find(candidate => candidate.id === vote.id);
+      member?.strategy.updateSignalOutcome(token, vote.type === record.type ? outcome : inverse, profit);
+    }
+  }
+
+  /**
+   * Métriques de performance de l'ensemble et de chaque stratégie fille
+   * @override
+   * @returns {Object} Métriques de performance
+   */
+  getPerformanceMetrics() {
+    return {
+      ...super.getPerformanceMetrics(),
+      members: this.members.map(member => ({
+        id: member.id,
+        type: member.type,
+        weight: this.getMemberWeight(member),
+        hitRate: this.getHitRate(member.strategy),
+        accuracy: member.strategy.getPerformanceMetrics().accuracy
+      }))
+    };
+  }
+}
+
+export default EnsembleStrategy;
@@ -0,0 +1,278 @@
+// strategies/meanReversionStrategy.js
+import { BaseStrategy } from './BaseStrategy.js';
+import { technicalAnalysis } from '../utils/indicators.js';
+
+/**
+ * Stratégie de retour à la moyenne
+ * Entre lorsque le prix s'écarte fortement de sa moyenne mobile (z-score, %B de
+ * Bollinger, RSI extrême) et vise le retour à cette moyenne : l'objectif et le stop
+ * du signal sont exprimés par rapport à la moyenne et à l'écart type. Un filtre de
+ * tendance évite de trader contre un mouvement directionnel fort
+ */
+export class MeanReversionStrategy extends BaseStrategy {
+  /**
+   * Crée une nouvelle instance de MeanReversionStrategy
+   * @param {Object} config - Configuration de la stratégie (section strategy.meanReversion)
+   */
+  constructor(config) {
+    super(config);
+
+    const meanReversion = config.strategy?.meanReversion || {};
+
+    this.meanReversionConfig = {
+      // Fenêtre de la moyenne mobile (par défaut celle des bandes de Bollinger)
+      period: meanReversion.period || this.indicatorConfig.bollingerBands.period,
+      // Écart minimum (en écarts types) pour entrer
+      entryZScore: meanReversion.entryZScore || 2,
+      // Écart résiduel visé à la sortie (0 = retour exact à la moyenne)
+      exitZScore: meanReversion.exitZScore ?? 0,
+      // Écart au-delà duquel la position est invalidée (stop)
+      stopZScore: meanReversion.stopZScore || 3.5,
+      // Fenêtre et seuil du filtre de tendance (ratio d'efficacité de Kaufman)
+      trendLookback: meanReversion.trendLookback || 50,
+      maxTrendEfficiency: meanReversion.maxTrendEfficiency || 0.5
+    };
+  }
+
+  /**
+   * Analyse un token et génère un signal de retour à la moyenne
+   * @override
+   * @param {string} token - Identifiant du token
+   * @param {Array<number>} prices - Historique des prix
+   * @param {Array<number>} volumes - Historique des volumes
+   * @param {Object} marketData - Données supplémentaires sur le marché
+   * @param {Object<string, Array<number>>} [timeframes] - Historique des prix par intervalle (confirmation multi-échelle)
+   * @returns {Promise<Object>} Signal de trading
+   */
+  async analyze(token, prices, volumes, marketData, timeframes) {
+    if (!this.validateInputData(token, prices, volumes)) {
+      return this.createSignal(
+        'NONE',
+        0,
+        ['INVALID_INPUT_DATA'],
+        { error: 'Insufficient or invalid data for analysis' }
+      );
+    }
+
+    if (!this.validateMarketConditions(marketData)) {
+      return this.createSignal(
+        'NONE',
+        0,
+        ['MARKET_CONDITIONS_NOT_MET'],
+        { marketData }
+      );
+    }
+
+    try {
+      const deviation = this.calculateDeviation(prices);
+      const trendFilter = this.analyzeTrendFilter(prices);
+
+      const signal = this.generateSignal(deviation, trendFilter);
+
+      // Confirmation par les échelles de temps supérieures
+      const confirmedSignal = this.applyTimeframeConfirmation(signal, timeframes);
+
+      // Filtre de persistance pour réduire le bruit
+      const filteredSignal = this.applySignalPersistenceFilter(token, confirmedSignal);
+
+      this.trackSignal(token, filteredSignal);
+
+      return filteredSignal;
+    } catch (error) {
+      console.error(`Erreur lors de l'analyse du token ${token}:`, error);
+      return this.createSignal(
+        'NONE',
+        0,
+        ['ANALYSIS_ERROR'],
+        { error: error.message }
+      );
+    }
+  }
+
+  /**
+   * Vérifie les conditions de marché (liquidité, volume, mouvements extrêmes)
+   * @override
+   * @param {Object} marketData - Données de marché
+   * @returns {boolean} Conditions acceptables
+   */
+  validateMarketConditions(marketData) {
+    if (!super.validateMarketConditions(marketData)) {
+      return false;
+    }
+
+    // Un mouvement de plus de 30% en 24h n'est pas un écart "normal" à la moyenne
+    if (Math.abs(marketData.priceChange24h) > 30) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Mesure l'écart du prix à sa moyenne mobile
+   * @param {Array<number>} prices - Historique des prix
+   * @returns {Object} Moyenne, écart type, z-score, %B et RSI
+   */
+  calculateDeviation(prices) {
+    const { period } = this.meanReversionConfig;
+    const currentPrice = prices[prices.length - 1];
+    const window = prices.slice(-period);
+
+    const sma = technicalAnalysis.calculateSMA(prices, period);
+    const mean = sma[sma.length - 1];
+    const standardDeviation = technicalAnalysis.standardDeviation(window);
+    const zScore = standardDeviation > 0 ? (currentPrice - mean) / standardDeviation : 0;
+
+    const bb = technicalAnalysis.calculateBollingerBands(
+      prices,
+      period,
+      this.indicatorConfig.bollingerBands.stdDev
+    );
+    const bandWidth = bb.upper - bb.lower;
+    const percentB = bandWidth > 0 ? (currentPrice - bb.lower) / bandWidth : 0.5;
+
+    const rsi = technicalAnalysis.calculateRSI(prices, this.indicatorConfig.rsi.period).last;
+
+    return {
+      currentPrice,
+      mean,
+      standardDeviation,
+      zScore,
+      bb,
+      percentB,
+      rsi
+    };
+  }
+
+  /**
+   * Filtre de tendance basé sur le ratio d'efficacité de Kaufman
+   * (variation nette / somme des variations absolues) : proche de 1 pour un
+   * mouvement directionnel, proche de 0 pour un marché qui oscille
+   * @param {Array<number>} prices - Historique des prix
+   * @returns {Object} Efficacité, direction et autorisation de trader
+   */
+  analyzeTrendFilter(prices) {
+    const lookback = Math.min(this.meanReversionConfig.trendLookback, prices.length - 1);
+    const window = prices.slice(-(lookback + 1));
+
+    let path = 0;
+    for (let i = 1; i < window.length; i++) {
+      path += Math.abs(window[i] - window[i - 1]);
+    }
+
+    const netChange = window[window.length - 1] - window[0];
+    const efficiency = path > 0 ? Math.abs(netChange) / path : 0;
+    const trend = this.analyzeTrend(prices);
+
+    return {
+      efficiency,
+      direction: netChange > 0 ? 'UP' : (netChange < 0 ? 'DOWN' : 'NEUTRAL'),
+      allowed: efficiency <= this.meanReversionConfig.maxTrendEfficiency,
+      description: trend.description
+    };
+  }
+
+  /**
+   * Génère le signal à partir de l'écart à la moyenne
+   * @private
+   * @param {Object} deviation - Résultat de calculateDeviation()
+   * @param {Object} trendFilter - Résultat de analyzeTrendFilter()
+   * @returns {Object} Signal de trading
+   */
+  generateSignal(deviation, trendFilter) {
+    const { entryZScore, exitZScore, stopZScore } = this.meanReversionConfig;
+    const { zScore, percentB, rsi, mean, standardDeviation, currentPrice } = deviation;
+    const indicators = { ...deviation, trendFilter };
+
+    if (!trendFilter.allowed) {
+      return this.createSignal('NONE', 0, [
+        `STRONG_TREND_FILTER: efficiency ${trendFilter.efficiency.toFixed(2)} (${trendFilter.direction})`
+      ], indicators);
+    }
+
+    // Prix revenu vers la moyenne : plus d'avantage à entrer
+    if (Math.abs(zScore) <= Math.max(exitZScore, 0.5)) {
+      return this.createSignal('NONE', 0, [`REVERTED_TO_MEAN: z ${zScore.toFixed(2)}`], indicators);
+    }
+
+    // Écart trop important : la moyenne n'est plus une référence crédible
+    if (Math.abs(zScore) >= stopZScore) {
+      return this.createSignal('NONE', 0, [`DEVIATION_BEYOND_STOP: z ${zScore.toFixed(2)}`], indicators);
+    }
+
+    const direction = zScore < 0 ? 'BUY' : 'SELL';
+    const components = [];
+
+    // Z-score : condition principale, pondérée par l'ampleur de l'écart
+    if (Math.abs(zScore) >= entryZScore) {
+      const excess = Math.min(1, (Math.abs(zScore) - entryZScore) / (stopZScore - entryZScore));
+      components.push({
+        weight: 0.4 + 0.1 * excess,
+        reason: `${direction === 'BUY' ? 'PRICE_BELOW_MEAN' : 'PRICE_ABOVE_MEAN'}: z ${zScore.toFixed(2)}`
+      });
+    }
+
+    // %B de Bollinger : prix hors des bandes ou à leur contact
+    if (direction === 'BUY' ? percentB <= 0 : percentB >= 1) {
+      components.push({ weight: 0.3, reason: `PRICE_OUTSIDE_BAND: %B ${percentB.toFixed(2)}` });
+    } else if (direction === 'BUY' ? percentB < 0.1 : percentB > 0.9) {
+      components.push({ weight: 0.15, reason: `PRICE_NEAR_BAND: %B ${percentB.toFixed(2)}` });
+    }
+
+    // RSI extrême dans le sens de l'écart
+    if (rsi !== null) {
+      if (direction === 'BUY' && rsi <= this.indicatorConfig.rsi.oversold) {
+        components.push({ weight: 0.3, reason: `OVERSOLD_RSI: ${rsi.toFixed(2)}` });
+      } else if (direction === 'SELL' && rsi >= this.indicatorConfig.rsi.overbought) {
+        components.push({ weight: 0.3, reason: `OVERBOUGHT_RSI: ${rsi.toFixed(2)}` });
+      }
+    }
+
+    const confidence = Math.min(1, components.reduce((sum, component) => sum + component.weight, 0));
+    const reasons = components.map(component => component.reason);
+    const minConfidenceThreshold = this.config.trading?.minConfidenceThreshold || 0.6;
+
+    if (Math.abs(zScore) < entryZScore || confidence < minConfidenceThreshold) {
+      reasons.unshift(direction === 'BUY' ? 'WEAK_BUY_SIGNAL' : 'WEAK_SELL_SIGNAL');
+      return this.createSignal('NONE', confidence, reasons, indicators);
+    }
+
+    // Sortie au retour à la moyenne, invalidation au-delà de stopZScore
+    const side = direction === 'BUY' ? -1 : 1;
+    const targetPrice = mean + side * exitZScore * standardDeviation;
+    const stopPrice = mean + side * stopZScore * standardDeviation;
+
+    const signal = this.createSignal(direction, confidence, reasons, {
+      ...indicators,
+      targetPrice,
+      stopPrice
+    });
+
+    signal.takeProfit = (Math.abs(targetPrice - currentPrice) / currentPrice) * 100;
+    signal.stopLoss = (Math.abs(currentPrice - stopPrice) / currentPrice) * 100;
+
+    return signal;
+  }
+
+  /**
+   * Signal de sortie d'une position ouverte : retour à la moyenne courante
+   * La moyenne se déplace pendant la vie de la position, l'objectif fixé à
+   * l'entrée ne suffit donc pas. Une position longue est close dès que le z-score
+   * sur la fenêtre actuelle remonte à -exitZScore (ou le dépasse)
+   * @param {string} token - Identifiant du token
+   * @param {Array<number>} prices - Historique des prix
+   * @param {Array<number>} volumes - Historique des volumes
+   * @param {Object} position - Position ouverte
+   * @returns {Object|null} Signal SELL expliquant la sortie ou null
+   */
+  getExitSignal(token, prices, volumes, position) {
+    if (!prices || prices.length < this.meanReversionConfig.period) return null;
+
+    const deviation = this.calculateDeviation(prices);
+    if (deviation.zScore < -this.meanReversionConfig.exitZScore) return null;
+
+    return this.createSignal('SELL', 1, [`REVERTED_TO_MEAN: z ${deviation.zScore.toFixed(2)}`], deviation);
+  }
+}
+
+export default MeanReversionStrategy;
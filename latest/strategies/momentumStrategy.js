@@ -0,0 +1,191 @@
+// strategies/momentumStrategy.js
+import { BaseStrategy } from './BaseStrategy.js';
+import { technicalAnalysis } from '../utils/indicators.js';
+
+/**
+ * Momentum Strategy
+ * Basic momentum strategy: Bollinger Bands, RSI and MACD momentum, confirmed
+ * by rising volume. Each indicator votes for a direction and the signal is
+ * emitted when the winning side is confident enough
+ */
+export class MomentumStrategy extends BaseStrategy {
+  /**
+   * Creates a new instance of MomentumStrategy
+   * @param {Object} config - Configuration for the strategy
+   */
+  constructor(config) {
+    super(config);
+
+    // Confidence required to emit a BUY or SELL signal
+    this.signalThreshold = 0.7;
+  }
+
+  /**
+   * Main analyze method - generates trading signals
+   * @override
+   * @param {string} token - Token identifier
+   * @param {Array<number>} prices - Historical price data
+   * @param {Array<number>} volumes - Historical volume data
+   * @param {Object} marketData - Additional market data
+   * @param {Object<string, Array<number>>} [timeframes] - Price history per interval (multi-timeframe confirmation)
+   * @returns {Promise<Object>} Trading signal
+   */
+  async analyze(token, prices, volumes, marketData, timeframes) {
+    // Validate input data
+    if (!this.validateInputData(token, prices, volumes)) {
+      return this.createSignal(
+        'NONE',
+        0,
+        ['INVALID_INPUT_DATA'],
+        { error: 'Insufficient or invalid data for analysis' }
+      );
+    }
+
+    try {
+      const { rsi, macd, bb } = await technicalAnalysis.calculateIndicators(prices, {
+        rsiPeriod: this.indicatorConfig.rsi.period,
+        ...this.indicatorConfig.macd,
+        bbPeriod: this.indicatorConfig.bollingerBands.period,
+        bbStdDev: this.indicatorConfig.bollingerBands.stdDev
+      });
+
+      const signal = this.generateSignal(prices, volumes, { rsi, macd, bb });
+
+      // Confirm with higher timeframes when provided
+      const confirmedSignal = this.applyTimeframeConfirmation(signal, timeframes);
+
+      // Apply persistence filter to reduce signal noise
+      const filteredSignal = this.applySignalPersistenceFilter(token, confirmedSignal);
+
+      // Track signal for performance metrics
+      this.trackSignal(token, filteredSignal);
+
+      return filteredSignal;
+    } catch (error) {
+      console.error(`Error analyzing token ${token}:`, error);
+      return this.createSignal(
+        'NONE',
+        0,
+        ['ANALYSIS_ERROR'],
+        { error: error.message }
+      );
+    }
+  }
+
+  /**
+   * Generates a trading signal from Bollinger Bands, RSI, MACD and volume
+   * @private
+   * @param {Array<number>} prices - Historical price data
+   * @param {Array<number>} volumes - Historical volume data
+   * @param {Object} indicators - Technical indicators (rsi, macd, bb)
+   * @returns {Object} Trading signal
+   */
+  generateSignal(prices, volumes, indicators) {
+    const { rsi, macd, bb } = indicators;
+    const currentPrice = prices[prices.length - 1];
+    const buySignals = [];
+    const sellSignals = [];
+
+    // Price action against the Bollinger Bands
+    if (currentPrice < bb.lower) {
+      buySignals.push({ weight: 0.4, reason: 'PRICE_BELOW_BB' });
+    } else if (currentPrice > bb.upper) {
+      sellSignals.push({ weight: 0.4, reason: 'PRICE_ABOVE_BB' });
+    }
+
+    // RSI extremes
+    if (rsi < this.indicatorConfig.rsi.oversold) {
+      buySignals.push({ weight: 0.3, reason: `RSI_OVERSOLD: ${rsi.toFixed(2)}` });
+    } else if (rsi > this.indicatorConfig.rsi.overbought) {
+      sellSignals.push({ weight: 0.3, reason: `RSI_OVERBOUGHT: ${rsi.toFixed(2)}` });
+    }
+
+    // MACD histogram momentum
+    const macdSignal = this.analyzeMACD(macd);
+    if (macdSignal.type === 'BUY') buySignals.push({ weight: macdSignal.weight, reason: macdSignal.reason });
+    else if (macdSignal.type === 'SELL') sellSignals.push({ weight: macdSignal.weight, reason: macdSignal.reason });
+
+    let buyConfidence = buySignals.reduce((sum, signal) => sum + signal.weight, 0);
+    let sellConfidence = sellSignals.reduce((sum, signal) => sum + signal.weight, 0);
+
+    // Rising volume confirms the dominant side
+    if (this.isVolumeIncreasing(volumes)) {
+      if (buyConfidence > sellConfidence) {
+        buySignals.push({ weight: 0.2, reason: 'VOLUME_INCREASING' });
+        buyConfidence += 0.2;
+      } else if (sellConfidence > buyConfidence) {
+        sellSignals.push({ weight: 0.2, reason: 'VOLUME_INCREASING' });
+        sellConfidence += 0.2;
+      }
+    }
+
+    let signalType = 'NONE';
+    let confidence = Math.max(buyConfidence, sellConfidence);
+    let reasons;
+
+    if (buyConfidence > sellConfidence && buyConfidence > this.signalThreshold) {
+      signalType = 'BUY';
+      reasons = buySignals.map(s => s.reason);
+    } else if (sellConfidence > buyConfidence && sellConfidence > this.signalThreshold) {
+      signalType = 'SELL';
+      reasons = sellSignals.map(s => s.reason);
+    } else if (buyConfidence > sellConfidence) {
+      reasons = ['WEAK_BUY_SIGNAL', ...buySignals.map(s => s.reason)];
+    } else if (sellConfidence > buyConfidence) {
+      reasons = ['WEAK_SELL_SIGNAL', ...sellSignals.map(s => s.reason)];
+    } else {
+      reasons = ['NO_CLEAR_SIGNAL'];
+      confidence = 0;
+    }
+
+    return this.createSignal(signalType, Math.min(1, confidence), reasons, {
+      trend: this.analyzeTrend(prices),
+      volumeProfile: this.analyzeVolumeProfile(volumes, prices),
+      rsi,
+      macd,
+      bb
+    });
+  }
+
+  /**
+   * Analyzes MACD histogram momentum
+   * @private
+   * @param {Object} macd - MACD indicator data
+   * @returns {Object} MACD signal
+   */
+  analyzeMACD(macd) {
+    const { lastHistogram, previousHistogram } = macd;
+
+    if (lastHistogram === null || previousHistogram === null) {
+      return { type: 'NONE', weight: 0, reason: 'MACD_NEUTRAL' };
+    }
+
+    if (lastHistogram > 0 && lastHistogram > previousHistogram) {
+      return { type: 'BUY', weight: 0.35, reason: 'MACD_BULLISH_MOMENTUM' };
+    }
+
+    if (lastHistogram < 0 && lastHistogram < previousHistogram) {
+      return { type: 'SELL', weight: 0.35, reason: 'MACD_BEARISH_MOMENTUM' };
+    }
+
+    return { type: 'NONE', weight: 0, reason: 'MACD_NEUTRAL' };
+  }
+
+  /**
+   * Checks whether volume is rising: average of the last 3 periods
+   * at least 20% above the 3 periods before
+   * @private
+   * @param {Array<number>} volumes - Historical volume data
+   * @returns {boolean} Whether volume is increasing
+   */
+  isVolumeIncreasing(volumes) {
+    if (volumes.length < 6) return false;
+
+    const recent = volumes.slice(-3).reduce((sum, volume) => sum + volume, 0) / 3;
+    const previous = volumes.slice(-6, -3).reduce((sum, volume) => sum + volume, 0) / 3;
+
+    return recent > previous * 1.2;
+  }
+}
+
+export default MomentumStrategy;
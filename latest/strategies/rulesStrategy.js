@@ -0,0 +1,401 @@
+// strategies/rulesStrategy.js
+import { BaseStrategy } from './BaseStrategy.js';
+import { technicalAnalysis } from '../utils/indicators.js';
+
+const lastValue = (series) => (series.length > 0 ? series[series.length - 1] : null);
+
+/**
+ * Indicateurs utilisables dans les règles
+ * Les valeurs sans période sont lues dans technicalAnalysis.analyzeAll ; les
+ * indicateurs à période sont calculés sur l'historique transmis
+ */
+const RULE_INDICATORS = {
+  close: { label: 'close', value: ({ analysis }) => analysis.priceAction.currentPrice },
+  previousClose: { label: 'previous close', value: ({ analysis }) => analysis.priceAction.previousPrice },
+  change: { label: 'change %', value: ({ analysis }) => analysis.priceAction.percentChange },
+  rsi: { label: 'RSI', value: ({ analysis }) => analysis.rsi },
+  macdHistogram: { label: 'MACD histogram', value: ({ analysis }) => analysis.macd?.lastHistogram ?? null },
+  bbUpper: { label: 'upper Bollinger band', value: ({ analysis }) => analysis.bb?.upper ?? null },
+  bbMiddle: { label: 'middle Bollinger band', value: ({ analysis }) => analysis.bb?.middle ?? null },
+  bbLower: { label: 'lower Bollinger band', value: ({ analysis }) => analysis.bb?.lower ?? null },
+  ema50: { label: 'EMA(50)', value: ({ analysis }) => analysis.ema50 },
+  ema200: { label: 'EMA(200)', value: ({ analysis }) => analysis.ema200 },
+  volume: { label: 'volume', value: ({ analysis }) => analysis.volumeAnalysis?.currentVolume ?? null },
+  relativeVolume: { label: 'relative volume', value: ({ analysis }) => analysis.volumeAnalysis?.relativeVolume ?? null },
+  averageVolume: {
+    label: 'average volume',
+    // Sans période : moyenne sur 10 périodes d'analyzeAll
+    value: ({ analysis, volumes }, period) => (period
+      ? lastValue(technicalAnalysis.calculateSMA(volumes, period))
+      : analysis.volumeAnalysis?.averageVolume ?? null),
+    optionalPeriod: true
+  },
+  sma: { label: 'SMA', value: ({ prices }, period) => lastValue(technicalAnalysis.calculateSMA(prices, period)), period: true },
+  ema: {
+    label: 'EMA',
+    // calculateEMA retourne le premier prix lorsque l'historique est trop court
+    value: ({ prices }, period) => (prices.length >= period ? lastValue(technicalAnalysis.calculateEMA(prices, period)) : null),
+    period: true
+  }
+};
+
+const RULE_OPERATORS = {
+  '<': (left, right) => left < right,
+  '<=': (left, right) => left <= right,
+  '>': (left, right) => left > right,
+  '>=': (left, right) => left >= right
+};
+
+const DOCUMENT_KEYS = ['entry', 'exit', 'confidence', 'stopLoss', 'takeProfit'];
+const CONDITION_KEYS = ['left', 'operator', 'right'];
+const OPERAND_KEYS = ['indicator', 'period', 'multiplier'];
+const MAX_PERIOD = 500;
+
+/**
+ * Stratégie à règles déclaratives
+ * Les conditions d'entrée et de sortie sont décrites dans un document JSON
+ * (section strategy.rules) plutôt qu'en code :
+ *
+ * {
+ *   "entry": { "all": [
+ *     { "left": "rsi", "operator": "<", "right": 30 },
+ *     { "left": "close", "operator": ">", "right": { "indicator": "sma", "period": 50 } },
+ *     { "left": "volume", "operator": ">", "right": { "indicator": "averageVolume", "multiplier": 1.5 } }
+ *   ] },
+ *   "exit": { "any": [{ "left": "rsi", "operator": ">", "right": 70 }] },
+ *   "confidence": 0.7, "stopLoss": 5, "takeProfit": 10
+ * }
+ *
+ * Une condition compare deux opérandes (nombre, nom d'indicateur ou
+ * { indicator, period?, multiplier? }) ; les groupes "all" / "any" s'imbriquent.
+ * Le document est validé à la construction et chaque condition évaluée est
+ * expliquée dans les raisons du signal
+ */
+export class RulesStrategy extends BaseStrategy {
+  /**
+   * Crée une nouvelle instance de RulesStrategy
+   * @param {Object} config - Configuration de la stratégie (section strategy.rules)
+   * @throws {Error} Si le document de règles est invalide
+   */
+  constructor(config) {
+    super(config);
+
+    const rules = config.strategy?.rules;
+    const errors = RulesStrategy.validateRules(rules);
+
+    if (errors.length > 0) {
+      throw new Error(`Règles de stratégie invalides: ${errors.join('; ')}`);
+    }
+
+    this.rules = {
+      entry: rules.entry,
+      exit: rules.exit || null,
+      // Confiance attribuée aux signaux émis par les règles
+      confidence: rules.confidence ?? 0.7,
+      // Stop et objectif en pourcentage (sinon ceux de la configuration trading)
+      stopLoss: rules.stopLoss ?? null,
+      takeProfit: rules.takeProfit ?? null
+    };
+  }
+
+  /**
+   * Vérifie un document de règles
+   * @static
+   * @param {Object} rules - Document de règles
+   * @returns {Array<string>} Erreurs de validation, préfixées par leur chemin (vide si valide)
+   */
+  static validateRules(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      return ['strategy.rules doit être un objet { entry, exit?, confidence?, stopLoss?, takeProfit? }'];
+    }
+
+    const errors = [];
+
+    for (const key of Object.keys(rules)) {
+      if (!DOCUMENT_KEYS.includes(key)) errors.push(`${key}: clé inconnue`);
+    }
+
+    if (rules.entry === undefined) {
+      errors.push('entry: condition d\'entrée requise');
+    } else {
+      this.validateCondition(rules.entry, 'entry', errors);
+    }
+
+    if (rules.exit !== undefined) {
+      this.validateCondition(rules.exit, 'exit', errors);
+    }
+
+    if (rules.confidence !== undefined &&
+        !(typeof rules.confidence === 'number' && rules.confidence > 0 && rules.confidence <= 1)) {
+      errors.push('confidence: nombre entre 0 (exclu) et 1 attendu');
+    }
+
+    for (const key of ['stopLoss', 'takeProfit']) {
+      if (rules[key] !== undefined && !(typeof rules[key] === 'number' && rules[key] > 0)) {
+        errors.push(`${key}: pourcentage positif attendu`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Vérifie une condition ou un groupe de conditions
+   * @static
+   * @private
+   * @param {Object} condition - Condition { left, operator, right } ou groupe { all } / { any }
+   * @param {string} path - Chemin de la condition dans le document
+   * @param {Array<string>} errors - Erreurs accumulées
+   */
+  static validateCondition(condition, path, errors) {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+      errors.push(`${path}: condition ou groupe { all } / { any } attendu`);
+      return;
+    }
+
+    const keys = Object.keys(condition);
+
+    if (keys.includes('all') || keys.includes('any')) {
+      const group = keys.includes('all') ? 'all' : 'any';
+
+      if (keys.length !== 1) {
+        errors.push(`${path}: un groupe ne contient que "all" ou "any"`);
+        return;
+      }
+
+      if (!Array.isArray(condition[group]) || condition[group].length === 0) {
+        errors.push(`${path}.${group}: liste de conditions non vide attendue`);
+        return;
+      }
+
+      condition[group].forEach((child, index) => this.validateCondition(child, `${path}.${group}[${index}]`, errors));
+      return;
+    }
+
+    for (const key of keys) {
+      if (!CONDITION_KEYS.includes(key)) errors.push(`${path}.${key}: clé inconnue`);
+    }
+
+    if (!RULE_OPERATORS[condition.operator]) {
+      errors.push(`${path}.operator: opérateur attendu parmi ${Object.keys(RULE_OPERATORS).join(' ')}`);
+    }
+
+    this.validateOperand(condition.left, `${path}.left`, errors);
+    this.validateOperand(condition.right, `${path}.right`, errors);
+  }
+
+  /**
+   * Vérifie un opérande
+   * @static
+   * @private
+   * @param {number|string|Object} operand - Nombre, nom d'indicateur ou { indicator, period?, multiplier? }
+   * @param {string} path - Chemin de l'opérande dans le document
+   * @param {Array<string>} errors - Erreurs accumulées
+   */
+  static validateOperand(operand, path, errors) {
+    if (typeof operand === 'number') {
+      if (!Number.isFinite(operand)) errors.push(`${path}: nombre fini attendu`);
+      return;
+    }
+
+    const spec = typeof operand === 'string' ? { indicator: operand } : operand;
+
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      errors.push(`${path}: nombre, nom d'indicateur ou { indicator, period?, multiplier? } attendu`);
+      return;
+    }
+
+    for (const key of Object.keys(spec)) {
+      if (!OPERAND_KEYS.includes(key)) errors.push(`${path}.${key}: clé inconnue`);
+    }
+
+    const definition = RULE_INDICATORS[spec.indicator];
+    if (!definition) {
+      errors.push(`${path}: indicateur inconnu "${spec.indicator}" (disponibles: ${Object.keys(RULE_INDICATORS).join(', ')})`);
+      return;
+    }
+
+    if (spec.period === undefined) {
+      if (definition.period) errors.push(`${path}.period: période requise pour ${spec.indicator}`);
+    } else if (!definition.period && !definition.optionalPeriod) {
+      errors.push(`${path}.period: ${spec.indicator} n'accepte pas de période`);
+    } else if (!Number.isInteger(spec.period) || spec.period < 1 || spec.period > MAX_PERIOD) {
+      errors.push(`${path}.period: entier entre 1 et ${MAX_PERIOD} attendu`);
+    }
+
+    if (spec.multiplier !== undefined && !(typeof spec.multiplier === 'number' && spec.multiplier > 0)) {
+      errors.push(`${path}.multiplier: nombre positif attendu`);
+    }
+  }
+
+  /**
+   * Analyse un token et génère un signal à partir des règles d'entrée
+   * @override
+   * @param {string} token - Identifiant du token
+   * @param {Array<number>} prices - Historique des prix
+   * @param {Array<number>} volumes - Historique des volumes
+   * @param {Object} marketData - Données supplémentaires sur le marché
+   * @param {Object<string, Array<number>>} [timeframes] - Historique des prix par intervalle (confirmation multi-échelle)
+   * @returns {Promise<Object>} Signal de trading
+   */
+  async analyze(token, prices, volumes, marketData, timeframes) {
+    if (!this.validateInputData(token, prices, volumes)) {
+      return this.createSignal(
+        'NONE',
+        0,
+        ['INVALID_INPUT_DATA'],
+        { error: 'Insufficient or invalid data for analysis' }
+      );
+    }
+
+    try {
+      const context = this.createContext(prices, volumes);
+      if (!context) {
+        return this.createSignal('NONE', 0, ['INSUFFICIENT_DATA_FOR_RULES'], {});
+      }
+
+      const entry = this.evaluateCondition(this.rules.entry, context);
+      const indicators = { values: context.values };
+
+      let signal;
+      if (entry.matched) {
+        signal = this.createSignal('BUY', this.rules.confidence, entry.reasons, indicators);
+        if (this.rules.stopLoss) signal.stopLoss = this.rules.stopLoss;
+        if (this.rules.takeProfit) signal.takeProfit = this.rules.takeProfit;
+      } else {
+        signal = this.createSignal('NONE', 0, ['ENTRY_RULES_NOT_MET', ...entry.reasons], indicators);
+      }
+
+      // Confirmation par les échelles de temps supérieures
+      const confirmedSignal = this.applyTimeframeConfirmation(signal, timeframes);
+
+      // Filtre de persistance pour réduire le bruit
+      const filteredSignal = this.applySignalPersistenceFilter(token, confirmedSignal);
+
+      this.trackSignal(token, filteredSignal);
+
+      return filteredSignal;
+    } catch (error) {
+      console.error(`Erreur lors de l'analyse du token ${token}:`, error);
+      return this.createSignal(
+        'NONE',
+        0,
+        ['ANALYSIS_ERROR'],
+        { error: error.message }
+      );
+    }
+  }
+
+  /**
+   * Signal de sortie d'une position ouverte selon les règles de sortie
+   * @param {string} token - Identifiant du token
+   * @param {Array<number>} prices - Historique des prix
+   * @param {Array<number>} volumes - Historique des volumes
+   * @param {Object} position - Position ouverte
+   * @returns {Object|null} Signal SELL expliquant la sortie ou null
+   */
+  getExitSignal(token, prices, volumes, position) {
+    if (!this.rules.exit) return null;
+
+    const context = this.createContext(prices, volumes);
+    if (!context) return null;
+
+    const exit = this.evaluateCondition(this.rules.exit, context);
+    if (!exit.matched) return null;
+
+    return this.createSignal('SELL', this.rules.confidence, ['EXIT_RULES_MET', ...exit.reasons], { values: context.values });
+  }
+
+  /**
+   * Prépare le contexte d'évaluation des règles
+   * @private
+   * @param {Array<number>} prices - Historique des prix
+   * @param {Array<number>} volumes - Historique des volumes
+   * @returns {Object|null} { prices, volumes, analysis, values } ou null si l'historique est insuffisant
+   */
+  createContext(prices, volumes) {
+    if (!prices || prices.length === 0) return null;
+
+    const analysis = technicalAnalysis.analyzeAll(prices, volumes, {
+      rsiPeriod: this.indicatorConfig.rsi.period,
+      ...this.indicatorConfig.macd,
+      bbPeriod: this.indicatorConfig.bollingerBands.period,
+      bbStdDev: this.indicatorConfig.bollingerBands.stdDev
+    });
+
+    if (analysis.error) return null;
+
+    // Valeurs des opérandes évaluées, exposées dans les indicateurs du signal
+    return { prices, volumes: volumes || [], analysis, values: {} };
+  }
+
+  /**
+   * Évalue une condition ou un groupe et explique le résultat
+   * Un groupe "all" explique toutes ses conditions lorsqu'il est vérifié et sa
+   * première condition en échec sinon ; un groupe "any" explique les conditions vérifiées
+   * @private
+   * @param {Object} condition - Condition ou groupe
+   * @param {Object} context - Contexte créé par createContext()
+   * @returns {Object} { matched, reasons }
+   */
+  evaluateCondition(condition, context) {
+    if (condition.all) {
+      const results = condition.all.map(child => this.evaluateCondition(child, context));
+      const failed = results.find(result => !result.matched);
+
+      return failed
+        ? { matched: false, reasons: failed.reasons }
+        : { matched: true, reasons: results.flatMap(result => result.reasons) };
+    }
+
+    if (condition.any) {
+      const results = condition.any.map(child => this.evaluateCondition(child, context));
+      const matched = results.filter(result => result.matched);
+
+      return matched.length > 0
+        ? { matched: true, reasons: matched.flatMap(result => result.reasons) }
+        : { matched: false, reasons: results.flatMap(result => result.reasons) };
+    }
+
+    const left = this.resolveOperand(condition.left, context);
+    const right = this.resolveOperand(condition.right, context);
+    const description = `${left.description} ${condition.operator} ${right.description}`;
+
+    if (left.value === null || right.value === null) {
+      return { matched: false, reasons: [`RULE_UNAVAILABLE: ${description}`] };
+    }
+
+    const matched = RULE_OPERATORS[condition.operator](left.value, right.value);
+    return { matched, reasons: [`${matched ? 'RULE_MET' : 'RULE_NOT_MET'}: ${description}`] };
+  }
+
+  /**
+   * Calcule la valeur d'un opérande et sa description lisible
+   * @private
+   * @param {number|string|Object} operand - Opérande validé
+   * @param {Object} context - Contexte créé par createContext()
+   * @returns {Object} { value, description } (value null si l'indicateur n'est pas disponible)
+   */
+  resolveOperand(operand, context) {
+    if (typeof operand === 'number') {
+      return { value: operand, description: String(operand) };
+    }
+
+    const spec = typeof operand === 'string' ? { indicator: operand } : operand;
+    const definition = RULE_INDICATORS[spec.indicator];
+    const name = spec.period ? `${definition.label}(${spec.period})` : definition.label;
+
+    const rawValue = definition.value(context, spec.period);
+    const value = Number.isFinite(rawValue) ? rawValue : null;
+    context.values[name] = value;
+
+    const formatted = value === null ? 'n/a' : Number(value.toPrecision(6)).toString();
+    const description = spec.multiplier
+      ? `${spec.multiplier} × ${name} (${formatted})`
+      : `${name} (${formatted})`;
+
+    return { value: value === null ? null : value * (spec.multiplier ?? 1), description };
+  }
+}
+
+export default RulesStrategy;
@@ -0,0 +1,231 @@
+// strategies/trendFollowingStrategy.js
+import { BaseStrategy } from './BaseStrategy.js';
+import { technicalAnalysis } from '../utils/indicators.js';
+
+/**
+ * Stratégie de suivi de tendance
+ * N'entre que lorsque les moyennes mobiles sont alignées (prix > EMA rapide > EMA lente),
+ * que l'ADX confirme une tendance forte et que le Parabolic SAR est dans le même sens.
+ * Le stop initial est placé au SAR, puis suit le SAR bougie après bougie
+ * (getTrailingStop) : la position est clôturée au retournement du SAR
+ *
+ * Les stratégies ne reçoivent que les prix de clôture : ADX et SAR sont calculés
+ * sur les clôtures (hauts = bas = clôture)
+ */
+export class TrendFollowingStrategy extends BaseStrategy {
+  /**
+   * Crée une nouvelle instance de TrendFollowingStrategy
+   * @param {Object} config - Configuration de la stratégie (section strategy.trendFollowing)
+   */
+  constructor(config) {
+    super(config);
+
+    const trendFollowing = config.strategy?.trendFollowing || {};
+
+    this.trendConfig = {
+      fastPeriod: trendFollowing.fastPeriod || 20,
+      slowPeriod: trendFollowing.slowPeriod || 50,
+      adxPeriod: trendFollowing.adxPeriod || 14,
+      // ADX minimum pour considérer la tendance comme forte
+      adxThreshold: trendFollowing.adxThreshold || 25,
+      sarStep: trendFollowing.sarStep || 0.02,
+      sarMaxStep: trendFollowing.sarMaxStep || 0.2,
+      // Objectif initial en multiple du risque (le SAR suiveur gère la sortie)
+      rewardRiskRatio: trendFollowing.rewardRiskRatio || 4
+    };
+  }
+
+  /**
+   * Analyse un token et génère un signal de suivi de tendance
+   * @override
+   * @param {string} token - Identifiant du token
+   * @param {Array<number>} prices - Historique des prix
+   * @param {Array<number>} volumes - Historique des volumes
+   * @param {Object} marketData - Données supplémentaires sur le marché
+   * @param {Object<string, Array<number>>} [timeframes] - Historique des prix par intervalle (confirmation multi-échelle)
+   * @returns {Promise<Object>} Signal de trading
+   */
+  async analyze(token, prices, volumes, marketData, timeframes) {
+    if (!this.validateInputData(token, prices, volumes)) {
+      return this.createSignal(
+        'NONE',
+        0,
+        ['INVALID_INPUT_DATA'],
+        { error: 'Insufficient or invalid data for analysis' }
+      );
+    }
+
+    if (!this.validateMarketConditions(marketData)) {
+      return this.createSignal(
+        'NONE',
+        0,
+        ['MARKET_CONDITIONS_NOT_MET'],
+        { marketData }
+      );
+    }
+
+    const { slowPeriod, adxPeriod } = this.trendConfig;
+    if (prices.length < Math.max(slowPeriod + 1, 2 * adxPeriod + 2)) {
+      return this.createSignal('NONE', 0, ['INSUFFICIENT_DATA_FOR_TREND'], {});
+    }
+
+    try {
+      const indicators = this.calculateTrendIndicators(prices);
+      const signal = this.generateSignal(prices, indicators);
+
+      // Confirmation par les échelles de temps supérieures
+      const confirmedSignal = this.applyTimeframeConfirmation(signal, timeframes);
+
+      // Filtre de persistance pour réduire le bruit
+      const filteredSignal = this.applySignalPersistenceFilter(token, confirmedSignal);
+
+      this.trackSignal(token, filteredSignal);
+
+      return filteredSignal;
+    } catch (error) {
+      console.error(`Erreur lors de l'analyse du token ${token}:`, error);
+      return this.createSignal(
+        'NONE',
+        0,
+        ['ANALYSIS_ERROR'],
+        { error: error.message }
+      );
+    }
+  }
+
+  /**
+   * Calcule les moyennes mobiles, l'ADX et le Parabolic SAR
+   * @param {Array<number>} prices - Historique des prix
+   * @returns {Object} Indicateurs de tendance
+   */
+  calculateTrendIndicators(prices) {
+    const { fastPeriod, slowPeriod, adxPeriod, sarStep, sarMaxStep } = this.trendConfig;
+
+    const emaFast = technicalAnalysis.calculateEMA(prices, fastPeriod);
+    const emaSlow = technicalAnalysis.calculateEMA(prices, slowPeriod);
+    const { adx, plusDI, minusDI } = technicalAnalysis.calculateADX(prices, prices, prices, adxPeriod);
+    const sar = technicalAnalysis.calculateParabolicSAR(prices, prices, sarStep, sarMaxStep);
+
+    const lastSarTrend = sar.trends[sar.trends.length - 1];
+    let sarTrendAge = 0;
+    for (let i = sar.trends.length - 1; i >= 0 && sar.trends[i] === lastSarTrend; i--) {
+      sarTrendAge++;
+    }
+
+    return {
+      currentPrice: prices[prices.length - 1],
+      emaFast: emaFast[emaFast.length - 1],
+      previousEmaFast: emaFast[emaFast.length - 2],
+      emaSlow: emaSlow[emaSlow.length - 1],
+      adx: adx[adx.length - 1],
+      plusDI: plusDI[plusDI.length - 1],
+      minusDI: minusDI[minusDI.length - 1],
+      sar: sar.values[sar.values.length - 1],
+      sarTrend: lastSarTrend,
+      sarTrendAge
+    };
+  }
+
+  /**
+   * Génère le signal à partir de l'alignement des moyennes, de l'ADX et du SAR
+   * @private
+   * @param {Array<number>} prices - Historique des prix
+   * @param {Object} indicators - Résultat de calculateTrendIndicators()
+   * @returns {Object} Signal de trading
+   */
+  generateSignal(prices, indicators) {
+    const { adxThreshold, rewardRiskRatio } = this.trendConfig;
+    const { currentPrice, emaFast, previousEmaFast, emaSlow, adx, plusDI, minusDI, sar, sarTrend, sarTrendAge } = indicators;
+
+    // Alignement des moyennes mobiles
+    let direction = 'NONE';
+    if (currentPrice > emaFast && emaFast > emaSlow && emaFast > previousEmaFast) {
+      direction = 'UP';
+    } else if (currentPrice < emaFast && emaFast < emaSlow && emaFast < previousEmaFast) {
+      direction = 'DOWN';
+    }
+
+    if (direction === 'NONE') {
+      return this.createSignal('NONE', 0, ['MOVING_AVERAGES_NOT_ALIGNED'], indicators);
+    }
+
+    // Force de la tendance
+    if (adx < adxThreshold) {
+      return this.createSignal('NONE', 0, [`WEAK_TREND_ADX: ${adx.toFixed(2)}`], indicators);
+    }
+
+    const isUp = direction === 'UP';
+    if ((isUp && plusDI <= minusDI) || (!isUp && minusDI <= plusDI)) {
+      return this.createSignal('NONE', 0, ['DIRECTIONAL_INDEX_DISAGREES'], indicators);
+    }
+
+    // Le SAR doit être du côté de la tendance (sous le prix pour un achat)
+    if (sarTrend !== direction) {
+      return this.createSignal('NONE', 0, [`SAR_AGAINST_TREND: ${sarTrend}`], indicators);
+    }
+
+    const reasons = [
+      `${isUp ? 'BULLISH' : 'BEARISH'}_MA_ALIGNMENT`,
+      `STRONG_TREND_ADX: ${adx.toFixed(2)}`,
+      `SAR_${isUp ? 'BELOW' : 'ABOVE'}_PRICE: ${sar.toFixed(6)}`
+    ];
+
+    // Force de l'ADX au-delà du seuil et écart entre les DI
+    let confidence = 0.5;
+    confidence += 0.2 * Math.min(1, (adx - adxThreshold) / adxThreshold);
+    confidence += 0.1 * Math.min(1, Math.abs(plusDI - minusDI) / 50);
+
+    // Retournement récent du SAR : entrée au début du mouvement
+    if (sarTrendAge <= 3) {
+      confidence += 0.15;
+      reasons.push(`SAR_FLIP_${isUp ? 'BULLISH' : 'BEARISH'}`);
+    }
+
+    // Tendance longue confirmée (EMA50 / EMA200 lorsque disponibles)
+    const trend = this.analyzeTrend(prices);
+    if (trend.direction === direction) {
+      confidence += 0.1;
+      reasons.push(`CONFIRMED_BY_LONG_TERM_TREND: ${trend.description}`);
+    }
+
+    confidence = Math.min(1, confidence);
+
+    const minConfidenceThreshold = this.config.trading?.minConfidenceThreshold || 0.6;
+    if (confidence < minConfidenceThreshold) {
+      reasons.unshift(isUp ? 'WEAK_BUY_SIGNAL' : 'WEAK_SELL_SIGNAL');
+      return this.createSignal('NONE', confidence, reasons, indicators);
+    }
+
+    const signal = this.createSignal(isUp ? 'BUY' : 'SELL', confidence, reasons, {
+      ...indicators,
+      stopPrice: sar,
+      trailingStop: 'PARABOLIC_SAR'
+    });
+
+    // Stop initial au SAR ; objectif large, la sortie étant gérée par le SAR suiveur
+    signal.stopLoss = (Math.abs(currentPrice - sar) / currentPrice) * 100;
+    signal.takeProfit = signal.stopLoss * rewardRiskRatio;
+
+    return signal;
+  }
+
+  /**
+   * Stop suiveur d'une position ouverte : valeur courante du Parabolic SAR
+   * Après un retournement baissier, le SAR passe au-dessus du prix et provoque la
+   * clôture de la position au prochain contrôle
+   * @param {string} token - Identifiant du token
+   * @param {Array<number>} prices - Historique des prix
+   * @param {Object} position - Position ouverte
+   * @returns {number|null} Niveau de stop proposé ou null
+   */
+  getTrailingStop(token, prices, position) {
+    if (!prices || prices.length < 2) return null;
+
+    const { sarStep, sarMaxStep } = this.trendConfig;
+    const sar = technicalAnalysis.calculateParabolicSAR(prices, prices, sarStep, sarMaxStep);
+
+    return sar.values.length > 0 ? sar.values[sar.values.length - 1] : null;
+  }
+}
+
+export default TrendFollowingStrategy;
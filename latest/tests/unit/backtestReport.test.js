@@ -0,0 +1,56 @@
+// tests/unit/backtestReport.test.js
+import { BacktestReport } from '../../utils/BacktestReport.js';
+
+describe('BacktestReport', () => {
+  const MINUTE = 60 * 1000;
+  const start = Date.UTC(2024, 0, 1);
+
+  // About three months of 1m equity points
+  const equityCurve = Array.from({ length: 130000 }, (_, i) => ({
+    timestamp: start + i * MINUTE,
+    equity: 10000 + 500 * Math.sin(i / 5000) + (i === 70000 ? -3000 : 0)
+  }));
+
+  const result = {
+    success: true,
+    strategy: 'MOMENTUM',
+    interval: '1m',
+    startDate: new Date(start).toISOString(),
+    endDate: new Date(equityCurve[equityCurve.length - 1].timestamp).toISOString(),
+    initialCapital: 10000,
+    equityCurve,
+    trades: [],
+    metrics: { sortinoRatio: 0, expectancy: 0 }
+  };
+
+  const polylines = html => [...html.matchAll(/<polyline points="([^"]+)"/g)].map(match => match[1].split(' '));
+
+  test('should render long equity curves with about one point per pixel', () => {
+    const report = new BacktestReport({ chartWidth: 960 });
+    const html = report.generateHtml(result);
+
+    const lines = polylines(html);
+    expect(lines).toHaveLength(2);
+    for (const line of lines) {
+      expect(line.length).toBeLessThanOrEqual(960);
+    }
+  });
+
+  test('should keep the extremes when downsampling', () => {
+    const report = new BacktestReport();
+    const points = equityCurve.map(point => ({ x: point.timestamp, y: point.equity }));
+
+    const sampled = report._downsample(points, 800);
+
+    expect(sampled[0]).toBe(points[0]);
+    expect(sampled[sampled.length - 1]).toBe(points[points.length - 1]);
+    expect(sampled).toContain(points[70000]);
+    expect(sampled.every((point, i) => i === 0 || point.x > sampled[i - 1].x)).toBe(true);
+  });
+
+  test('should leave short series untouched', () => {
+    const points = [{ x: 1, y: 1 }, { x: 2, y: 3 }, { x: 3, y: 2 }];
+
+    expect(new BacktestReport()._downsample(points, 800)).toBe(points);
+  });
+});
@@ -0,0 +1,54 @@
+// tests/unit/candleImporter.test.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CandleImporter } from '../../services/CandleImporter.js';
+
+describe('CandleImporter', () => {
+  let directory;
+  const importer = new CandleImporter();
+
+  const writeFile = async (name, content) => {
+    const file = path.join(directory, name);
+    await fs.promises.writeFile(file, content);
+    return file;
+  };
+
+  beforeEach(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'candle-import-'));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  test('should read numeric timestamps in seconds or milliseconds', async () => {
+    const file = await writeFile('numeric.csv', 'time,close\n1704067200,1\n1704070800000,2\n');
+
+    const { candles } = await importer.importFile(file);
+
+    expect(candles.map(candle => candle.timestamp)).toEqual([
+      Date.UTC(2024, 0, 1, 0),
+      Date.UTC(2024, 0, 1, 1)
+    ]);
+  });
+
+  test('should parse digit-only dates with the given date format instead of as timestamps', async () => {
+    const file = await writeFile('compact.csv', 'Date,Close\n20240101,1\n20240102,2\n');
+
+    const { candles } = await importer.importFile(file, { dateFormat: 'YYYYMMDD' });
+
+    expect(candles.map(candle => new Date(candle.timestamp).toISOString())).toEqual([
+      '2024-01-01T00:00:00.000Z',
+      '2024-01-02T00:00:00.000Z'
+    ]);
+  });
+
+  test('should apply the configured timezone to a date format', async () => {
+    const file = await writeFile('paris.csv', 'Date,Close\n20240101,1\n');
+
+    const { candles } = await importer.importFile(file, { dateFormat: 'YYYYMMDD', timezone: '+02:00' });
+
+    expect(new Date(candles[0].timestamp).toISOString()).toBe('2023-12-31T22:00:00.000Z');
+  });
+});
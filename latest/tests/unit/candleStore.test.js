@@ -0,0 +1,55 @@
+// tests/unit/candleStore.test.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { CandleStore } from '../../services/CandleStore.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('CandleStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'candle-store-'));
+    store = new CandleStore({ dataStore: { directory } });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  test('should report the whole period as missing when nothing is stored', async () => {
+    expect(await store.getMissingRanges('TOKEN', '1h', 0, 10 * HOUR)).toEqual([[0, 10 * HOUR]]);
+  });
+
+  test('should read a series from disk only once for concurrent calls', async () => {
+    await store.saveCandles('TOKEN', '1h', [{ timestamp: 0, price: 1 }], 0, HOUR);
+
+    const reader = new CandleStore({ dataStore: { directory } });
+    const readFile = jest.spyOn(fs.promises, 'readFile');
+
+    const [candles, missing] = await Promise.all([
+      reader.getCandles('TOKEN', '1h', 0, 2 * HOUR),
+      reader.getMissingRanges('TOKEN', '1h', 0, 2 * HOUR)
+    ]);
+
+    // One candles file and one ranges file
+    expect(readFile).toHaveBeenCalledTimes(2);
+    expect(candles).toHaveLength(1);
+    expect(missing).toEqual([[HOUR + 1, 2 * HOUR]]);
+  });
+
+  test('should keep writes made during a concurrent load in the cached ranges', async () => {
+    const [, written] = await Promise.all([
+      store.getMissingRanges('TOKEN', '1h', 0, 2 * HOUR),
+      store.saveCandles('TOKEN', '1h', [{ timestamp: 0, price: 1 }, { timestamp: HOUR, price: 2 }], 0, 2 * HOUR)
+    ]);
+
+    expect(written).toBe(2);
+    expect(await store.getMissingRanges('TOKEN', '1h', 0, 2 * HOUR)).toEqual([]);
+    expect(await store.saveCandles('TOKEN', '1h', [{ timestamp: 0, price: 1 }], 0, HOUR)).toBe(0);
+  });
+});
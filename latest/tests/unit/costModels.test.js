@@ -0,0 +1,107 @@
+// tests/unit/costModels.test.js
+import { createCostModel } from '../../trading/costModels.js';
+import { TransactionManager } from '../../trading/TransactionManager.js';
+import { SimulationEngine } from '../../bot/SimulationEngine.js';
+import { VirtualClock, createDeterministicRun } from '../../utils/determinism.js';
+
+// 1000 tokens at 2 (order value 2000)
+const order = side => ({ side, price: 2, amount: 1000 });
+
+const expectExecution = (execution, executedPrice, fee) => {
+  expect(execution.executedPrice).toBeCloseTo(executedPrice, 9);
+  expect(execution.fee).toBeCloseTo(fee, 9);
+};
+
+describe('FIXED_BPS cost model', () => {
+  const model = createCostModel({ costs: { model: 'FIXED_BPS', feeBps: 10, slippageBps: 20 } });
+
+  test('should buy 0.2% higher and charge 0.1% of the executed value', () => {
+    // 2 × 1.002 = 2.004 ; 2004 × 0.001 = 2.004
+    expectExecution(model.apply(order('BUY')), 2.004, 2.004);
+  });
+
+  test('should sell 0.2% lower and charge 0.1% of the executed value', () => {
+    // 2 × 0.998 = 1.996 ; 1996 × 0.001 = 1.996
+    expectExecution(model.apply(order('SELL')), 1.996, 1.996);
+  });
+});
+
+describe('DEX_FEE_TIER cost model', () => {
+  const model = createCostModel({ costs: { model: 'DEX_FEE_TIER' } });
+
+  test('should charge the default DEX tier without slippage', () => {
+    // Raydium: 25 bps of 2000
+    expectExecution(model.apply(order('BUY')), 2, 5);
+    expectExecution(model.apply(order('SELL')), 2, 5);
+  });
+
+  test('should charge the tier of the order DEX and fall back to the default tier', () => {
+    // Orca and unknown DEX: 30 bps of 2000
+    expectExecution(model.apply({ ...order('BUY'), dex: 'orca' }), 2, 6);
+    expectExecution(model.apply({ ...order('SELL'), dex: 'unknown' }), 2, 6);
+  });
+});
+
+describe('AMM_IMPACT cost model', () => {
+  const model = createCostModel({ costs: { model: 'AMM_IMPACT' } });
+  // 100000 USD and 50000 tokens on each side of the pool
+  const liquidity = 200000;
+
+  test('should price a buy along the constant-product curve', () => {
+    // 2 × (1 + 2000 / 100000) = 2.04 ; 2040 × 0.0025 = 5.1
+    const execution = model.apply({ ...order('BUY'), liquidity });
+
+    expectExecution(execution, 2.04, 5.1);
+    expect(execution.priceImpact).toBeCloseTo(2, 9);
+  });
+
+  test('should price a sell along the constant-product curve', () => {
+    // 2 × 50000 / (50000 + 1000) = 100 / 51 ; (100000 / 51) × 0.0025 = 250 / 51
+    const execution = model.apply({ ...order('SELL'), liquidity });
+
+    expectExecution(execution, 100 / 51, 250 / 51);
+    expect(execution.priceImpact).toBeCloseTo(100 / 51, 9);
+  });
+
+  test('should apply no impact without a known liquidity', () => {
+    expectExecution(model.apply(order('BUY')), 2, 5);
+  });
+});
+
+describe('paper and backtest fills', () => {
+  const config = { costs: { model: 'AMM_IMPACT', slippageBps: 15 }, trading: { transactionDelay: 0 } };
+  const liquidity = 200000;
+
+  const paperFill = async (side) => {
+    const manager = new TransactionManager(config, { getTokenPrice: async () => 2 }, { clock: new VirtualClock(0) });
+
+    try {
+      return side === 'BUY'
+        ? await manager.executeBuy('TOKEN', 1000, 2, { liquidity })
+        : await manager.executeSell('TOKEN', 1000, 2, { liquidity });
+    } finally {
+      manager.stop();
+    }
+  };
+
+  const backtestFill = (side) => {
+    const engine = new SimulationEngine(config, null, null, null, null);
+    const context = engine._createRunContext(config, createDeterministicRun({ seed: 1, startTime: 0 }));
+    context.liquidity.set('TOKEN', liquidity);
+
+    try {
+      return engine._executeOrder(context, side, 'TOKEN', 1000, 2);
+    } finally {
+      engine._disposeRunContext(context);
+    }
+  };
+
+  test.each(['BUY', 'SELL'])('should give the same %s price and fee', async (side) => {
+    const paper = await paperFill(side);
+    const backtest = backtestFill(side);
+
+    for (const field of ['executedPrice', 'fee', 'slippage', 'priceImpact']) {
+      expect(paper[field]).toBe(backtest[field]);
+    }
+  });
+});
@@ -0,0 +1,44 @@
+// tests/unit/ensembleStrategy.test.js
+import { EnsembleStrategy } from '../../strategies/ensembleStrategy.js';
+
+describe('EnsembleStrategy.getExitSignal', () => {
+  const exitSignal = (confidence, reasons) => ({ type: 'SELL', confidence, reasons });
+
+  const createEnsemble = exits => new EnsembleStrategy(
+    { strategy: { ensemble: { strategies: Object.keys(exits) } } },
+    type => (exits[type] === undefined ? {} : { getExitSignal: () => exits[type] })
+  );
+
+  test('should stay in the position while no member asks to exit', () => {
+    const ensemble = createEnsemble({ RULES: null, MOMENTUM: undefined });
+
+    expect(ensemble.getExitSignal('TOKEN', [], [], {})).toBeNull();
+  });
+
+  test('should exit as soon as one member asks to, with its reasons', () => {
+    const ensemble = createEnsemble({
+      RULES: exitSignal(0.7, ['EXIT_RULES_MET', 'RULE_MET: RSI (75) > 70']),
+      MEAN_REVERSION: null,
+      MOMENTUM: undefined
+    });
+
+    const signal = ensemble.getExitSignal('TOKEN', [], [], {});
+
+    expect(signal.type).toBe('SELL');
+    expect(signal.confidence).toBe(0.7);
+    expect(signal.reasons).toEqual(['RULES: EXIT_RULES_MET', 'RULES: RULE_MET: RSI (75) > 70']);
+  });
+
+  test('should combine the reasons of every exiting member', () => {
+    const ensemble = createEnsemble({
+      RULES: exitSignal(0.7, ['EXIT_RULES_MET']),
+      MEAN_REVERSION: exitSignal(1, ['REVERTED_TO_MEAN: z 0.10'])
+    });
+
+    const signal = ensemble.getExitSignal('TOKEN', [], [], {});
+
+    expect(signal.confidence).toBe(1);
+    expect(signal.reasons).toEqual(['RULES: EXIT_RULES_MET', 'MEAN_REVERSION: REVERTED_TO_MEAN: z 0.10']);
+    expect(signal.indicators.exits.map(exit => exit.id)).toEqual(['RULES', 'MEAN_REVERSION']);
+  });
+});
@@ -0,0 +1,85 @@
+// tests/unit/indicators.test.js
+import { technicalAnalysis } from '../../utils/indicators.js';
+
+const expectCloseTo = (actual, expected) => {
+  expect(actual).toHaveLength(expected.length);
+  expected.forEach((value, i) => expect(actual[i]).toBeCloseTo(value, 3));
+};
+
+describe('technicalAnalysis.calculateADX', () => {
+  // Wilder's method worked by hand with period 2:
+  //   TR  = [3, 4, 4, 3], +DM = [2, 0, 3, 1], -DM = [0, 2, 0, 0]
+  //   smoothed TR / +DM / -DM = 7 / 2 / 2, 7.5 / 4 / 1, 6.75 / 3 / 0.5
+  //   DX = [0, 60, 71.43], ADX = [(0 + 60) / 2, (30 + 71.43) / 2]
+  const high = [10, 12, 11, 14, 15];
+  const low = [8, 9, 7, 11, 12];
+  const close = [9, 11, 10, 13, 14];
+
+  test('should match hand-computed directional indicators', () => {
+    const { plusDI, minusDI } = technicalAnalysis.calculateADX(high, low, close, 2);
+
+    expectCloseTo(plusDI, [200 / 7, 160 / 3, 400 / 9]);
+    expectCloseTo(minusDI, [200 / 7, 40 / 3, 200 / 27]);
+  });
+
+  test('should match the hand-computed ADX', () => {
+    const { adx } = technicalAnalysis.calculateADX(high, low, close, 2);
+
+    expectCloseTo(adx, [30, (30 + 500 / 7) / 2]);
+  });
+
+  test('should reach 100 on a steady uptrend', () => {
+    // Each candle moves up by 1 with a true range of 2: +DI = 50, -DI = 0, DX = 100
+    const closes = Array.from({ length: 40 }, (_, i) => 100 + i);
+    const { adx, plusDI, minusDI } = technicalAnalysis.calculateADX(
+      closes.map(price => price + 1),
+      closes.map(price => price - 1),
+      closes,
+      14
+    );
+
+    expect(adx).toHaveLength(40 - 2 * 14 + 1);
+    expect(adx[adx.length - 1]).toBeCloseTo(100, 6);
+    expect(plusDI[plusDI.length - 1]).toBeCloseTo(50, 6);
+    expect(minusDI.every(value => value === 0)).toBe(true);
+  });
+
+  test('should return empty series without 2 * period + 1 points', () => {
+    expect(technicalAnalysis.calculateADX([1, 2, 3, 4], [1, 2, 3, 4], [1, 2, 3, 4], 2))
+      .toEqual({ adx: [], plusDI: [], minusDI: [] });
+  });
+});
+
+describe('technicalAnalysis.calculateParabolicSAR', () => {
+  // Worked by hand with step 0.02 and max 0.2:
+  //   the SAR starts at the first low and stays clamped to the prior lows (9)
+  //   until it rises to 9 + 0.06 * (12 - 9) = 9.18, then 9.18 + 0.08 * (13 - 9.18)
+  //   the last low (8) breaks the next SAR (9.7668), which flips to the extreme point 13
+  const high = [10, 11, 12, 13, 12, 10];
+  const low = [9, 10, 11, 12, 10, 8];
+
+  test('should match hand-computed values and the reversal', () => {
+    const { values, trends } = technicalAnalysis.calculateParabolicSAR(high, low, 0.02, 0.2);
+
+    expectCloseTo(values, [9, 9, 9, 9.18, 9.4856, 13]);
+    expect(trends).toEqual(['UP', 'UP', 'UP', 'UP', 'UP', 'DOWN']);
+  });
+
+  test('should cap the acceleration factor at maxStep', () => {
+    // Step 0.1 capped at 0.15: SAR = 9 (clamped to the first low) for three candles,
+    // then 9 + 0.15 * (30 - 9) = 12.15 and 12.15 + 0.15 * (40 - 12.15) = 16.3275
+    // (an uncapped factor of 0.3 would give 15.3 on the fourth candle)
+    const { values } = technicalAnalysis.calculateParabolicSAR(
+      [10, 20, 30, 40, 50],
+      [9, 19, 29, 39, 49],
+      0.1,
+      0.15
+    );
+
+    expectCloseTo(values, [9, 9, 9, 12.15, 16.3275]);
+  });
+
+  test('should return empty series with fewer than two candles', () => {
+    expect(technicalAnalysis.calculateParabolicSAR([1], [1])).toEqual({ values: [], trends: [] });
+  });
+});
@@ -0,0 +1,29 @@
+// tests/unit/meanReversionStrategy.test.js
+import { MeanReversionStrategy } from '../../strategies/meanReversionStrategy.js';
+
+describe('MeanReversionStrategy', () => {
+  const strategy = new MeanReversionStrategy({ strategy: { meanReversion: { period: 10, exitZScore: 0.5 } } });
+  const position = { token: 'TOKEN', entryPrice: 90 };
+
+  // Prices alternating around 100, followed by the given last price
+  const series = last => [...Array.from({ length: 19 }, (_, i) => (i % 2 ? 101 : 99)), last];
+
+  test('should keep the position open while the price is still far below the mean', () => {
+    expect(strategy.getExitSignal('TOKEN', series(90), [], position)).toBeNull();
+  });
+
+  test('should exit once the price is back to the current mean', () => {
+    const signal = strategy.getExitSignal('TOKEN', series(100), [], position);
+
+    expect(signal.type).toBe('SELL');
+    expect(signal.reasons[0]).toMatch(/^REVERTED_TO_MEAN: z /);
+  });
+
+  test('should exit when the price overshoots above the mean', () => {
+    expect(strategy.getExitSignal('TOKEN', series(104), [], position)?.type).toBe('SELL');
+  });
+
+  test('should not signal without a full window', () => {
+    expect(strategy.getExitSignal('TOKEN', [99, 100], [], position)).toBeNull();
+  });
+});
@@ -0,0 +1,78 @@
+// tests/unit/monteCarlo.test.js
+import { monteCarloAnalysis } from '../../utils/monteCarlo.js';
+import { createSeededRandom } from '../../utils/determinism.js';
+
+describe('monteCarloAnalysis.run', () => {
+  // Net profit +40 on 10000
+  const trades = [100, -50, 80, -120, 60, -30].map(profit => ({ profit, entryPrice: 1, amount: 100 }));
+
+  const run = method => monteCarloAnalysis.run(trades, {
+    iterations: 200,
+    method,
+    percentiles: [5, 50, 95],
+    random: createSeededRandom('test:42')
+  });
+
+  test('should give a fixed percentile table for the reshuffle method', () => {
+    const result = run('reshuffle');
+
+    // A permutation never changes the final equity, only the path
+    expect(result.probabilityOfLoss).toBe(0);
+    expect(result.percentileTable.map(row => row.finalEquity)).toEqual([10040, 10040, 10040]);
+    expect(result.percentileTable.map(row => row.longestLosingStreak)).toEqual([1, 2, 3]);
+    result.percentileTable.forEach((row, i) => {
+      expect(row.maxDrawdown).toBeCloseTo([1.18110, 1.48441, 1.98867][i], 4);
+    });
+  });
+
+  test('should give a fixed percentile table for the resample method', () => {
+    const result = run('resample');
+
+    expect(result.probabilityOfLoss).toBe(40);
+    expect(result.percentileTable.map(row => row.finalEquity)).toEqual([9680, 10040, 10350]);
+    result.percentileTable.forEach((row, i) => {
+      expect(row.maxDrawdown).toBeCloseTo([0.29694, 1.28459, 3.6][i], 4);
+      expect(row.longestLosingStreak).toBeCloseTo([1, 2, 4.05][i], 6);
+    });
+  });
+
+  test('should reproduce the same table with the same seed', () => {
+    expect(run('resample')).toEqual(run('resample'));
+  });
+});
+
+describe('monteCarloAnalysis.validateOptions', () => {
+  test('should accept true and the user options', () => {
+    expect(monteCarloAnalysis.validateOptions(true)).toEqual({ isValid: true, errors: [], options: {} });
+    expect(monteCarloAnalysis.validateOptions({ iterations: 500, method: 'resample', priceNoise: 0.5, percentiles: [10, 90] }))
+      .toEqual({
+        isValid: true,
+        errors: [],
+        options: { iterations: 500, method: 'resample', priceNoise: 0.5, percentiles: [10, 90] }
+      });
+  });
+
+  test('should reject a replaced random generator or initial capital', () => {
+    const validation = monteCarloAnalysis.validateOptions({ random: 1, initialCapital: 1 });
+
+    expect(validation.isValid).toBe(false);
+    expect(validation.errors).toEqual(['Unknown Monte Carlo option: random', 'Unknown Monte Carlo option: initialCapital']);
+    expect(validation.options).toEqual({});
+  });
+
+  test('should reject invalid values', () => {
+    expect(monteCarloAnalysis.validateOptions({
+      iterations: 0,
+      method: 'bootstrap',
+      priceNoise: -1,
+      percentiles: 50
+    }).errors).toEqual([
+      'iterations must be an integer between 1 and 10000',
+      'method must be one of reshuffle, resample',
+      'priceNoise must be a percentage between 0 and 100',
+      'percentiles must be a non-empty array of numbers between 0 and 100'
+    ]);
+    expect(monteCarloAnalysis.validateOptions({ percentiles: [50, '90'] }).isValid).toBe(false);
+    expect(monteCarloAnalysis.validateOptions('yes').isValid).toBe(false);
+  });
+});
@@ -0,0 +1,66 @@
+// tests/unit/parameterOptimizer.test.js
+import { ParameterOptimizer } from '../../bot/ParameterOptimizer.js';
+import { createSeededRandom } from '../../utils/determinism.js';
+
+describe('ParameterOptimizer.evolve', () => {
+  const values = Array.from({ length: 10 }, (_, i) => i);
+
+  const createOptimizer = options => new ParameterOptimizer(
+    { 'trading.stopLoss': values },
+    { method: 'genetic', random: createSeededRandom('optimizer:1'), ...options }
+  );
+
+  const rankedPopulation = (optimizer, population = optimizer.generateCandidates()) => optimizer.rank(
+    population.map(parameters => ({
+      parameters,
+      metrics: { netProfit: parameters['trading.stopLoss'], totalTrades: 5 }
+    }))
+  );
+
+  const keys = population => new Set(population.map(candidate => JSON.stringify(candidate)));
+
+  test('should top up with random candidates when selection only yields duplicates', () => {
+    // Two parents without crossover or mutation: selection only yields copies of them
+    const optimizer = createOptimizer({ populationSize: 6, elitism: 1, crossoverRate: 0, mutationRate: 0 });
+
+    const next = optimizer.evolve(rankedPopulation(optimizer, [{ 'trading.stopLoss': 9 }, { 'trading.stopLoss': 8 }]));
+
+    expect(next).toHaveLength(6);
+    expect(keys(next).size).toBe(6);
+  });
+
+  test('should return populationSize distinct individuals', () => {
+    const optimizer = createOptimizer({ populationSize: 8 });
+
+    const next = optimizer.evolve(rankedPopulation(optimizer));
+
+    expect(next).toHaveLength(8);
+    expect(keys(next).size).toBe(8);
+    expect(next).toContainEqual({ 'trading.stopLoss': 9 });
+  });
+});
+
+describe('ParameterOptimizer.shouldStop', () => {
+  const optimizer = new ParameterOptimizer({ 'trading.stopLoss': [3, 5] }, { method: 'genetic', generations: 10, patience: 2 });
+  const history = scores => scores.map(bestScore => ({ bestScore }));
+
+  test('should continue while the best score improves', () => {
+    expect(optimizer.shouldStop(history([1, 2, 3]))).toBe(false);
+  });
+
+  test('should stop after patience generations without improvement', () => {
+    expect(optimizer.shouldStop(history([1, 2, 2]))).toBe(false);
+    expect(optimizer.shouldStop(history([1, 3, 3, 2]))).toBe(true);
+  });
+
+  test('should wait for a scored reference generation', () => {
+    expect(optimizer.shouldStop(history([null, null, null]))).toBe(false);
+  });
+
+  test('should stop at the last generation and ignore patience when disabled', () => {
+    expect(optimizer.shouldStop(history(Array(10).fill(1)))).toBe(true);
+
+    const withoutPatience = new ParameterOptimizer({ 'trading.stopLoss': [3, 5] }, { method: 'genetic', patience: 0 });
+    expect(withoutPatience.shouldStop(history([5, 1, 1, 1, 1]))).toBe(false);
+  });
+});
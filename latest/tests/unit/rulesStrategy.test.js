@@ -0,0 +1,143 @@
+// tests/unit/rulesStrategy.test.js
+import { RulesStrategy } from '../../strategies/rulesStrategy.js';
+
+const createStrategy = rules => new RulesStrategy({ strategy: { rules } });
+
+const rising = Array.from({ length: 40 }, (_, i) => 100 + i);
+const falling = Array.from({ length: 40 }, (_, i) => 140 - i);
+const volumes = rising.map(() => 1000);
+
+describe('RulesStrategy.validateRules', () => {
+  test('should accept a valid document', () => {
+    expect(RulesStrategy.validateRules({
+      entry: { all: [
+        { left: 'rsi', operator: '<', right: 30 },
+        { left: 'close', operator: '>', right: { indicator: 'sma', period: 50 } }
+      ] },
+      exit: { any: [{ left: 'rsi', operator: '>', right: 70 }] },
+      confidence: 0.8,
+      stopLoss: 5
+    })).toEqual([]);
+  });
+
+  test('should reject a missing rules object', () => {
+    expect(RulesStrategy.validateRules(undefined)).toEqual([
+      'strategy.rules doit être un objet { entry, exit?, confidence?, stopLoss?, takeProfit? }'
+    ]);
+    expect(RulesStrategy.validateRules([])).toHaveLength(1);
+  });
+
+  test('should report every error with its path', () => {
+    const errors = RulesStrategy.validateRules({
+      entry: { all: [
+        { left: 'foo', operator: '<', right: 1 },
+        { left: { indicator: 'sma' }, operator: '=', right: 1 }
+      ] },
+      extra: true,
+      confidence: 2
+    });
+
+    expect(errors).toEqual([
+      'extra: clé inconnue',
+      expect.stringMatching(/^entry\.all\[0\]\.left: indicateur inconnu "foo" \(disponibles: close, /),
+      'entry.all[1].operator: opérateur attendu parmi < <= > >=',
+      'entry.all[1].left.period: période requise pour sma',
+      'confidence: nombre entre 0 (exclu) et 1 attendu'
+    ]);
+  });
+
+  test('should validate groups, periods and multipliers', () => {
+    expect(RulesStrategy.validateRules({
+      exit: { all: [] },
+      takeProfit: -1
+    })).toEqual([
+      'entry: condition d\'entrée requise',
+      'exit.all: liste de conditions non vide attendue',
+      'takeProfit: pourcentage positif attendu'
+    ]);
+
+    expect(RulesStrategy.validateRules({
+      entry: { all: [{ left: 'rsi', operator: '<', right: 30 }], any: [] }
+    })).toEqual(['entry: un groupe ne contient que "all" ou "any"']);
+
+    expect(RulesStrategy.validateRules({
+      entry: { any: [
+        { left: { indicator: 'rsi', period: 14 }, operator: '<', right: 30 },
+        { left: { indicator: 'sma', period: 1000 }, operator: '<', right: { indicator: 'close', multiplier: 0 } }
+      ] }
+    })).toEqual([
+      'entry.any[0].left.period: rsi n\'accepte pas de période',
+      'entry.any[1].left.period: entier entre 1 et 500 attendu',
+      'entry.any[1].right.multiplier: nombre positif attendu'
+    ]);
+  });
+
+  test('should throw from the constructor with all errors', () => {
+    expect(() => createStrategy({ entry: { left: 'rsi', operator: '!=', right: 30 } }))
+      .toThrow('Règles de stratégie invalides: entry.operator: opérateur attendu parmi < <= > >=');
+  });
+});
+
+describe('RulesStrategy.evaluateCondition', () => {
+  const strategy = createStrategy({ entry: { left: 'rsi', operator: '<', right: 40 } });
+  const context = () => strategy.createContext(rising, volumes);
+
+  test('should explain a met and an unmet condition with operand values', () => {
+    expect(strategy.evaluateCondition({ left: 'rsi', operator: '>', right: 70 }, context()))
+      .toEqual({ matched: true, reasons: ['RULE_MET: RSI (100) > 70'] });
+    expect(strategy.evaluateCondition({ left: 'rsi', operator: '<', right: 40 }, context()))
+      .toEqual({ matched: false, reasons: ['RULE_NOT_MET: RSI (100) < 40'] });
+  });
+
+  test('should describe periods and multipliers', () => {
+    expect(strategy.evaluateCondition(
+      { left: 'volume', operator: '>=', right: { indicator: 'averageVolume', multiplier: 1.5 } },
+      context()
+    ).reasons).toEqual(['RULE_NOT_MET: volume (1000) >= 1.5 × average volume (1000)']);
+  });
+
+  test('should not match when an indicator lacks history', () => {
+    expect(strategy.evaluateCondition(
+      { left: 'close', operator: '>', right: { indicator: 'sma', period: 200 } },
+      context()
+    )).toEqual({ matched: false, reasons: ['RULE_UNAVAILABLE: close (139) > SMA(200) (n/a)'] });
+  });
+
+  test('should explain the first failure of an "all" group and the matches of an "any" group', () => {
+    const conditions = [
+      { left: 'close', operator: '>', right: { indicator: 'sma', period: 10 } },
+      { left: 'rsi', operator: '<', right: 40 }
+    ];
+
+    expect(strategy.evaluateCondition({ all: conditions }, context()))
+      .toEqual({ matched: false, reasons: ['RULE_NOT_MET: RSI (100) < 40'] });
+    expect(strategy.evaluateCondition({ any: conditions }, context()))
+      .toEqual({ matched: true, reasons: ['RULE_MET: close (139) > SMA(10) (134.5)'] });
+  });
+});
+
+describe('RulesStrategy signals', () => {
+  const strategy = createStrategy({
+    entry: { left: 'rsi', operator: '<', right: 40 },
+    exit: { left: 'rsi', operator: '>', right: 70 },
+    stopLoss: 4
+  });
+
+  test('should explain why the entry rules are not met', async () => {
+    const signal = await strategy.analyze('TOKEN', rising, volumes, {});
+
+    expect(signal.type).toBe('NONE');
+    expect(signal.reasons).toEqual(['ENTRY_RULES_NOT_MET', 'RULE_NOT_MET: RSI (100) < 40']);
+  });
+
+  test('should exit when the exit rules are met', () => {
+    const signal = strategy.getExitSignal('TOKEN', rising, volumes, {});
+
+    expect(signal.type).toBe('SELL');
+    expect(signal.reasons).toEqual(['EXIT_RULES_MET', 'RULE_MET: RSI (100) > 70']);
+  });
+
+  test('should keep the position while the exit rules are not met', () => {
+    expect(strategy.getExitSignal('TOKEN', falling, volumes, {})).toBeNull();
+  });
+});
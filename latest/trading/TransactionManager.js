@@ -1,21 +1,45 @@
 // trading/TransactionManager.js
 import EventEmitter from 'events';
-import { retry, delay } from '../utils/helpers.js';
+import { retry } from '../utils/helpers.js';
+import { createCostModel } from './costModels.js';
+import { systemClock } from '../utils/determinism.js';
+
+const MODES = ['paper', 'live'];
 
 /**
  * Gestionnaire de transactions optimisé
  * Responsable de l'exécution, du suivi et de la confirmation des transactions
+ * En mode 'paper', les exécutions sont simulées à partir des prix réels ; en mode
+ * 'live', elles sont confiées à un exécuteur (signature et envoi on-chain)
  */
 export class TransactionManager extends EventEmitter {
   /**
    * Crée une instance de TransactionManager
    * @param {Object} config - Configuration globale
    * @param {Object} marketData - Service de données de marché
+   * @param {Object} [options={}] - Dépendances injectables (exécutions reproductibles)
+   * @param {Function} [options.random=Math.random] - Générateur aléatoire [0, 1)
+   * @param {Object} [options.clock] - Horloge { now(), sleep(ms) } (horloge système par défaut)
+   * @param {string} [options.mode='paper'] - Mode d'exécution ('paper' ou 'live')
+   * @param {Object} [options.executor] - Exécuteur réel { execute(transaction) } (obligatoire en mode 'live')
    */
-  constructor(config, marketData) {
+  constructor(config, marketData, options = {}) {
     super();
     this.config = config;
     this.marketData = marketData;
+    this.random = options.random || Math.random;
+    this.clock = options.clock || systemClock;
+    this.mode = options.mode || 'paper';
+    this.executor = options.executor || null;
+    
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`Unknown trading mode: ${this.mode}`);
+    }
+    
+    // Jamais de remplissage simulé en mode live
+    if (this.mode === 'live' && !this.executor) {
+      throw new Error('Live trading requires a transaction executor');
+    }
     
     // File d'attente des transactions
     this.transactionQueue = [];
@@ -52,6 +76,9 @@ export class TransactionManager extends EventEmitter {
     this.transactionTimeout = config.trading?.transactionTimeout || 30000; // 30 secondes
     this.maxRetries = config.trading?.maxRetries || 3;
     
+    // Modèle de frais / slippage / impact (identique aux backtests)
+    this.costModel = createCostModel(config);
+    
     // Démarrer le processeur de file d'attente
     this._startQueueProcessor();
   }
@@ -79,7 +106,7 @@ export class TransactionManager extends EventEmitter {
       maxPrice,
       options,
       status: 'QUEUED',
-      createdAt: Date.now(),
+      createdAt: this.clock.now(),
       attempts: 0,
       priority: options.priority || 'normal'
     };
@@ -111,7 +138,7 @@ export class TransactionManager extends EventEmitter {
       minPrice,
       options,
       status: 'QUEUED',
-      createdAt: Date.now(),
+      createdAt: this.clock.now(),
       attempts: 0,
       priority: options.priority || 'normal'
     };
@@ -161,13 +188,32 @@ export class TransactionManager extends EventEmitter {
    */
   _startQueueProcessor() {
     // Vérifier périodiquement s'il y a des transactions en attente
-    setInterval(() => {
+    this.queueProcessor = setInterval(() => {
       if (this.transactionQueue.length > 0 && this.processingTransactions < this.concurrencyLimit) {
         this._processNextTransaction();
       }
     }, 100);
   }
 
+  /**
+   * Redémarre le processeur de file d'attente après un stop()
+   */
+  start() {
+    if (!this.queueProcessor) {
+      this._startQueueProcessor();
+    }
+  }
+
+  /**
+   * Arrête le processeur de file d'attente (les transactions en attente ne sont plus traitées)
+   */
+  stop() {
+    if (this.queueProcessor) {
+      clearInterval(this.queueProcessor);
+      this.queueProcessor = null;
+    }
+  }
+
   /**
    * Traite la prochaine transaction dans la file d'attente
    * @private
@@ -183,7 +229,7 @@ export class TransactionManager extends EventEmitter {
     // Récupérer la prochaine transaction
     const transaction = this.transactionQueue.shift();
     transaction.status = 'PROCESSING';
-    transaction.startTime = Date.now();
+    transaction.startTime = this.clock.now();
     
     // Ajouter aux transactions en cours
     this.pendingTransactions.set(transaction.id, transaction);
@@ -241,7 +287,7 @@ export class TransactionManager extends EventEmitter {
       this.pendingTransactions.delete(transaction.id);
       
       // Attendre avant de traiter la prochaine transaction
-      await delay(this.transactionDelay);
+      await this.clock.sleep(this.transactionDelay);
       
       // Vérifier s'il y a d'autres transactions à traiter
       if (this.transactionQueue.length > 0 && this.processingTransactions < this.concurrencyLimit) {
@@ -258,7 +304,7 @@ export class TransactionManager extends EventEmitter {
    */
   async _executeTransaction(transaction) {
     // Initialiser le temps d'exécution
-    const startTime = Date.now();
+    const startTime = this.clock.now();
     
     // Configurer les options de retry
     const retryOptions = {
@@ -278,14 +324,16 @@ export class TransactionManager extends EventEmitter {
           // Vérifier si la transaction est toujours valide
           await this._validateTransaction(transaction);
           
-          // Simuler l'exécution de la transaction (à remplacer par l'implémentation réelle)
-          return this._simulateTransactionExecution(transaction);
+          // Exécution simulée (paper) ou réelle (live)
+          return this.mode === 'live'
+            ? this._executeLiveTransaction(transaction)
+            : this._simulateTransactionExecution(transaction);
         },
         retryOptions
       );
       
       // Calculer le temps d'exécution
-      const executionTime = Date.now() - startTime;
+      const executionTime = this.clock.now() - startTime;
       
       // Mettre à jour les statistiques de temps d'exécution
       this.stats.totalExecutionTime += executionTime;
@@ -338,20 +386,41 @@ export class TransactionManager extends EventEmitter {
     }
     
     // Vérifier le timeout
-    if (Date.now() - transaction.startTime > this.transactionTimeout) {
+    if (this.clock.now() - transaction.startTime > this.transactionTimeout) {
       throw new Error(`Transaction timeout after ${this.transactionTimeout / 1000}s`);
     }
   }
 
   /**
-   * Simule l'exécution d'une transaction (à remplacer par l'implémentation réelle)
+   * Exécute une transaction réelle via l'exécuteur configuré
+   * @private
+   * @param {Object} transaction - Transaction à exécuter
+   * @returns {Promise<Object>} Détails de la transaction exécutée
+   */
+  async _executeLiveTransaction(transaction) {
+    const result = await this.executor.execute(transaction);
+    
+    return {
+      id: transaction.id,
+      type: transaction.type,
+      tokenMint: transaction.tokenMint,
+      amount: transaction.amount,
+      requestedPrice: transaction.price,
+      status: 'COMPLETED',
+      timestamp: this.clock.now(),
+      ...result
+    };
+  }
+
+  /**
+   * Simule l'exécution d'une transaction au prix du marché (mode paper)
    * @private
    * @param {Object} transaction - Transaction à exécuter
    * @returns {Promise<Object>} Détails de la transaction exécutée
    */
   async _simulateTransactionExecution(transaction) {
     // Simuler un délai d'exécution
-    await delay(500 + Math.random() * 1000);
+    await this.clock.sleep(500 + this.random() * 1000);
     
     // Obtenir le prix actuel du token
     const currentPrice = await this.marketData.getTokenPrice(transaction.tokenMint);
@@ -360,9 +429,14 @@ export class TransactionManager extends EventEmitter {
       throw new Error(`Cannot get current price for ${transaction.tokenMint}`);
     }
     
-    // Appliquer un léger slippage aléatoire
-    const slippage = (Math.random() * 0.01) - 0.005; // +/- 0.5%
-    const executedPrice = currentPrice * (1 + slippage);
+    // Appliquer le modèle de coûts configuré (frais, slippage, impact de prix)
+    const { executedPrice, slippage, fee, priceImpact } = this.costModel.apply({
+      side: transaction.type,
+      price: currentPrice,
+      amount: transaction.amount,
+      liquidity: transaction.options.liquidity,
+      dex: transaction.options.dex
+    });
     
     // En conditions réelles, ici on exécuterait la transaction sur la blockchain
     
@@ -374,11 +448,12 @@ export class TransactionManager extends EventEmitter {
       amount: transaction.amount,
       requestedPrice: transaction.price,
       executedPrice,
-      slippage: slippage * 100, // en pourcentage
-      fee: executedPrice * transaction.amount * 0.001, // Simuler des frais de 0.1%
+      slippage, // en pourcentage
+      priceImpact, // en pourcentage
+      fee,
       status: 'COMPLETED',
-      timestamp: Date.now(),
-      txHash: `sim_${Date.now()}_${Math.floor(Math.random() * 1000000)}` // Simuler un hash de transaction
+      timestamp: this.clock.now(),
+      txHash: `sim_${this.clock.now()}_${Math.floor(this.random() * 1000000)}` // Simuler un hash de transaction
     };
   }
   
@@ -437,7 +512,7 @@ export class TransactionManager extends EventEmitter {
    * @returns {string} Identifiant de transaction
    */
   _generateTransactionId() {
-    return `tx_${Date.now()}_${Math.floor(Math.random() * 1000000)}`;
+    return `tx_${this.clock.now()}_${Math.floor(this.random() * 1000000)}`;
   }
 
   /**
@@ -0,0 +1,188 @@
+// trading/costModels.js
+
+const BPS = 10000;
+
+/**
+ * Frais par DEX (points de base), utilisés par défaut par le modèle DEX_FEE_TIER
+ */
+const DEFAULT_DEX_FEE_TIERS = {
+  raydium: 25,
+  orca: 30,
+  meteora: 25,
+  jupiter: 0,
+  default: 30
+};
+
+/**
+ * Modèle de coûts d'exécution de base
+ * Calcule le prix exécuté et les frais d'un ordre à partir du prix de marché.
+ * Les mêmes modèles sont utilisés en backtest et en exécution simulée (paper)
+ */
+export class CostModel {
+  /**
+   * Crée un modèle de coûts
+   * @param {Object} [options={}] - Paramètres du modèle
+   * @param {number} [options.slippageBps=0] - Slippage défavorable fixe (points de base)
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.slippageBps = options.slippageBps || 0;
+  }
+
+  /**
+   * Applique le modèle à un ordre
+   * @param {Object} order - Ordre à exécuter
+   * @param {string} order.side - 'BUY' ou 'SELL'
+   * @param {number} order.price - Prix de marché
+   * @param {number} order.amount - Quantité de tokens
+   * @param {number} [order.liquidity] - Liquidité du pool (USD)
+   * @param {string} [order.dex] - DEX d'exécution
+   * @returns {Object} { executedPrice, fee, feeRate, slippage, priceImpact } (slippage et impact en %)
+   */
+  apply(order) {
+    const { side, price, amount } = order;
+
+    if (!(price > 0) || !(amount > 0)) {
+      throw new Error('Invalid order for cost model');
+    }
+
+    const direction = side === 'SELL' ? -1 : 1;
+    const priceImpact = this.getPriceImpact(order);
+    const slippage = this.slippageBps / BPS + priceImpact;
+
+    // Achat plus cher, vente moins chère
+    const executedPrice = price * (1 + direction * slippage);
+    const feeRate = this.getFeeRate(order);
+
+    return {
+      executedPrice,
+      fee: executedPrice * amount * feeRate,
+      feeRate,
+      slippage: direction * slippage * 100,
+      priceImpact: priceImpact * 100
+    };
+  }
+
+  /**
+   * Taux de frais appliqué à un ordre
+   * @param {Object} order - Ordre à exécuter
+   * @returns {number} Taux de frais (fraction)
+   */
+  getFeeRate(order) {
+    return 0;
+  }
+
+  /**
+   * Impact de l'ordre sur le prix
+   * @param {Object} order - Ordre à exécuter
+   * @returns {number} Impact (fraction du prix)
+   */
+  getPriceImpact(order) {
+    return 0;
+  }
+}
+
+/**
+ * Frais et slippage fixes en points de base
+ */
+export class FixedBpsCostModel extends CostModel {
+  /**
+   * @param {Object} [options={}] - Paramètres du modèle
+   * @param {number} [options.feeBps=10] - Frais (points de base, 10 = 0.1%)
+   * @param {number} [options.slippageBps=0] - Slippage défavorable fixe (points de base)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.feeBps = options.feeBps ?? 10;
+  }
+
+  getFeeRate() {
+    return this.feeBps / BPS;
+  }
+}
+
+/**
+ * Frais selon le palier du DEX d'exécution
+ */
+export class DexFeeTierCostModel extends CostModel {
+  /**
+   * @param {Object} [options={}] - Paramètres du modèle
+   * @param {Object} [options.dexFeeTiers] - Frais par DEX (points de base), clé 'default' en repli
+   * @param {string} [options.dex='raydium'] - DEX utilisé quand l'ordre n'en précise pas
+   * @param {number} [options.slippageBps=0] - Slippage défavorable fixe (points de base)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.dexFeeTiers = { ...DEFAULT_DEX_FEE_TIERS, ...options.dexFeeTiers };
+    this.dex = options.dex || 'raydium';
+  }
+
+  getFeeRate(order) {
+    const dex = (order.dex || this.dex).toLowerCase();
+    return (this.dexFeeTiers[dex] ?? this.dexFeeTiers.default) / BPS;
+  }
+}
+
+/**
+ * Impact de prix d'un pool à produit constant (x * y = k) calculé depuis sa liquidité,
+ * avec les frais du palier du DEX
+ */
+export class AmmImpactCostModel extends DexFeeTierCostModel {
+  /**
+   * Pour un pool de liquidité L (USD, moitié de chaque côté) :
+   * - achat de valeur V : prix moyen = prix × (1 + V / (L/2))
+   * - vente de q tokens (réserve y = (L/2) / prix) : prix moyen = prix × y / (y + q)
+   * Sans liquidité connue, aucun impact n'est appliqué
+   * @param {Object} order - Ordre à exécuter
+   * @returns {number} Impact (fraction du prix)
+   */
+  getPriceImpact(order) {
+    const { side, price, amount } = order;
+    const quoteReserve = (order.liquidity || 0) / 2;
+
+    if (!(quoteReserve > 0)) return 0;
+
+    if (side === 'SELL') {
+      const tokenReserve = quoteReserve / price;
+      return amount / (tokenReserve + amount);
+    }
+
+    return (price * amount) / quoteReserve;
+  }
+}
+
+/**
+ * Modèles de coûts disponibles par nom
+ */
+const COST_MODELS = {
+  NONE: CostModel,
+  FIXED_BPS: FixedBpsCostModel,
+  DEX_FEE_TIER: DexFeeTierCostModel,
+  AMM_IMPACT: AmmImpactCostModel
+};
+
+/**
+ * Crée le modèle de coûts décrit dans la configuration (section `costs`)
+ * @param {Object} config - Configuration globale
+ * @returns {CostModel} Modèle de coûts
+ */
+export function createCostModel(config = {}) {
+  const { model = 'FIXED_BPS', ...options } = config.costs || {};
+  const ModelClass = COST_MODELS[model.toUpperCase()];
+
+  if (!ModelClass) {
+    throw new Error(`Unknown cost model: ${model}`);
+  }
+
+  return new ModelClass(options);
+}
+
+/**
+ * Liste les modèles de coûts disponibles
+ * @returns {Array<string>} Noms des modèles
+ */
+export function getAvailableCostModels() {
+  return Object.keys(COST_MODELS);
+}
+
+export default createCostModel;
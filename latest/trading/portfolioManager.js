@@ -41,6 +41,24 @@ export class PortfolioManager {
     };
   }
 
+  exportState() {
+    return {
+      initialCapital: this.initialCapital,
+      currentCapital: this.currentCapital,
+      peakCapital: this.peakCapital,
+      trades: this.trades,
+      dailyStats: { ...this.dailyStats }
+    };
+  }
+
+  restoreState(state) {
+    this.initialCapital = state.initialCapital;
+    this.currentCapital = state.currentCapital;
+    this.peakCapital = state.peakCapital;
+    this.trades = [...(state.trades || [])];
+    this.dailyStats = { ...this.dailyStats, ...state.dailyStats };
+  }
+
   resetDailyStats() {
     this.dailyStats = {
       date: new Date().toISOString().split('T')[0],
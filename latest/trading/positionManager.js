@@ -1,6 +1,7 @@
 // trading/PositionManager.js
 import EventEmitter from 'events';
 import { v4 as uuidv4 } from 'uuid';
+import { randomUuid, systemClock } from '../utils/determinism.js';
 
 /**
  * Gestionnaire de positions optimisé
@@ -11,11 +12,16 @@ export class PositionManager extends EventEmitter {
    * Crée une instance de PositionManager
    * @param {Object} config - Configuration globale
    * @param {Object} [transactionManager] - Gestionnaire de transactions (optionnel)
+   * @param {Object} [options={}] - Dépendances injectables (exécutions reproductibles)
+   * @param {Function} [options.random] - Générateur aléatoire [0, 1) pour les identifiants (UUID v4 sinon)
+   * @param {Object} [options.clock] - Horloge { now() } (horloge système par défaut)
    */
-  constructor(config, transactionManager = null) {
+  constructor(config, transactionManager = null, options = {}) {
     super();
     this.config = config;
     this.transactionManager = transactionManager;
+    this.clock = options.clock || systemClock;
+    this.generateId = options.random ? () => randomUuid(options.random) : uuidv4;
     
     // Index de positions par token
     this.positionsByToken = new Map();
@@ -43,9 +49,11 @@ export class PositionManager extends EventEmitter {
    * @param {number} entryPrice - Prix d'entrée
    * @param {number} amount - Quantité
    * @param {Object} [signal={}] - Signal de trading ayant généré la position
+   * @param {Object} [options={}] - Options d'exécution
+   * @param {number} [options.liquidity] - Liquidité du pool (impact de prix du modèle de coûts)
    * @returns {Promise<Object>} Position créée
    */
-  async openPosition(token, entryPrice, amount, signal = {}) {
+  async openPosition(token, entryPrice, amount, signal = {}, options = {}) {
     if (!token || entryPrice <= 0 || amount <= 0) {
       throw new Error('Invalid position parameters');
     }
@@ -70,7 +78,7 @@ export class PositionManager extends EventEmitter {
     
     // Créer la position
     const position = {
-      id: uuidv4(),
+      id: this.generateId(),
       token,
       entryPrice,
       amount,
@@ -79,11 +87,13 @@ export class PositionManager extends EventEmitter {
       stopLossPercentage,
       takeProfitPercentage,
       currentPrice: entryPrice,
-      openTime: Date.now(),
-      updatedAt: Date.now(),
+      openTime: this.clock.now(),
+      updatedAt: this.clock.now(),
       status: 'OPEN',
       unrealizedProfit: 0,
       unrealizedProfitPercentage: 0,
+      // Liquidité du pool à l'ouverture, réutilisée pour la fermeture
+      liquidity: options.liquidity,
       signal: {
         type: signal.type || 'UNKNOWN',
         confidence: signal.confidence || 0,
@@ -101,7 +111,8 @@ export class PositionManager extends EventEmitter {
           entryPrice,
           {
             slippageTolerance: this.config.trading?.slippageTolerance || 0.01,
-            priority: 'high'
+            priority: 'high',
+            liquidity: position.liquidity
           }
         );
         
@@ -137,9 +148,11 @@ export class PositionManager extends EventEmitter {
    * @param {string} token - Adresse du token
    * @param {number} exitPrice - Prix de sortie
    * @param {string} [reason='MANUAL'] - Raison de la fermeture
+   * @param {Object} [options={}] - Options d'exécution
+   * @param {number} [options.liquidity] - Liquidité du pool (par défaut celle de l'ouverture)
    * @returns {Promise<Object>} Position fermée
    */
-  async closePosition(token, exitPrice, reason = 'MANUAL') {
+  async closePosition(token, exitPrice, reason = 'MANUAL', options = {}) {
     if (!token || !this.positionsByToken.has(token)) {
       throw new Error(`No open position found for token ${token}`);
     }
@@ -167,7 +180,8 @@ export class PositionManager extends EventEmitter {
           exitPrice,
           {
             slippageTolerance: this.config.trading?.slippageTolerance || 0.01,
-            priority: 'high'
+            priority: 'high',
+            liquidity: options.liquidity ?? position.liquidity
           }
         );
         
@@ -188,16 +202,19 @@ export class PositionManager extends EventEmitter {
       }
     }
     
-    // Calculer le profit/perte
-    const profit = (executedPrice - position.entryPrice) * position.amount;
-    const profitPercentage = ((executedPrice - position.entryPrice) / position.entryPrice) * 100;
+    // Calculer le profit/perte net des frais d'exécution (ouverture et fermeture)
+    const fees = position.trades.reduce((total, trade) => total + (trade.fee || 0), 0);
+    const profit = (executedPrice - position.entryPrice) * position.amount - fees;
+    const profitPercentage = (profit / (position.entryPrice * position.amount)) * 100;
     
     // Mettre à jour la position
     position.exitPrice = executedPrice;
-    position.closeTime = Date.now();
+    position.closeTime = this.clock.now();
+    position.timestamp = position.closeTime; // Horodatage du trade pour le portefeuille et le journal
     position.status = 'CLOSED';
     position.profit = profit;
     position.profitPercentage = profitPercentage;
+    position.fees = fees;
     position.holdingTime = position.closeTime - position.openTime;
     position.closeReason = reason;
     
@@ -258,15 +275,17 @@ export class PositionManager extends EventEmitter {
         
         // Mettre à jour le prix actuel et le profit non réalisé
         position.currentPrice = currentPrice;
-        position.updatedAt = Date.now();
+        position.updatedAt = this.clock.now();
         position.unrealizedProfit = (currentPrice - position.entryPrice) * position.amount;
         position.unrealizedProfitPercentage = ((currentPrice - position.entryPrice) / position.entryPrice) * 100;
         
         // Vérifier si la position a atteint son stop loss ou take profit
         let closeReason = null;
         
-        if (currentPrice <= position.stopLoss) {
-          closeReason = 'STOP_LOSS';
+        if (position.exitRequested) {
+          closeReason = 'STRATEGY_EXIT';
+        } else if (currentPrice <= position.stopLoss) {
+          closeReason = position.trailingStop ? 'TRAILING_STOP' : 'STOP_LOSS';
         } else if (currentPrice >= position.takeProfit) {
           closeReason = 'TAKE_PROFIT';
         }
@@ -348,7 +367,7 @@ export class PositionManager extends EventEmitter {
       position.notes = updates.notes;
     }
     
-    position.updatedAt = Date.now();
+    position.updatedAt = this.clock.now();
     
     // Émettre un événement
     this.emit('position_updated', position);
@@ -356,6 +375,43 @@ export class PositionManager extends EventEmitter {
     return position;
   }
 
+  /**
+   * Remonte le stop loss d'une position (stop suiveur)
+   * Le stop n'est jamais abaissé : un niveau inférieur au stop actuel est ignoré
+   * @param {string} token - Adresse du token
+   * @param {number} stopPrice - Nouveau niveau de stop proposé
+   * @returns {boolean} True si le stop a été remonté
+   */
+  trailStopLoss(token, stopPrice) {
+    const position = this.positionsByToken.get(token);
+    if (!position || !(stopPrice > position.stopLoss)) {
+      return false;
+    }
+
+    this.updatePosition(token, { stopLoss: stopPrice });
+    position.trailingStop = true;
+
+    return true;
+  }
+
+  /**
+   * Demande la clôture d'une position au prochain contrôle (sortie décidée par la stratégie)
+   * @param {string} token - Adresse du token
+   * @param {Array<string>} [reasons=[]] - Raisons de la sortie
+   * @returns {boolean} True si la demande a été enregistrée
+   */
+  requestExit(token, reasons = []) {
+    const position = this.positionsByToken.get(token);
+    if (!position || position.exitRequested) {
+      return false;
+    }
+
+    position.exitRequested = true;
+    position.exitReasons = reasons;
+
+    return true;
+  }
+
   /**
    * Récupère toutes les positions ouvertes
    * @returns {Array<Object>} Positions ouvertes
@@ -430,6 +486,31 @@ export class PositionManager extends EventEmitter {
     };
   }
 
+  /**
+   * Exporte l'état du gestionnaire (positions ouvertes, historique, statistiques)
+   * pour la persistance du registre de trading
+   * @returns {Object} État sérialisable
+   */
+  exportState() {
+    return {
+      openPositions: this.getOpenPositions(),
+      closedPositions: this.closedPositions,
+      stats: { ...this.stats }
+    };
+  }
+
+  /**
+   * Restaure un état exporté par exportState()
+   * @param {Object} state - État persisté
+   */
+  restoreState(state) {
+    this.positionsByToken = new Map(
+      (state.openPositions || []).map(position => [position.token, position])
+    );
+    this.closedPositions = [...(state.closedPositions || [])];
+    this.stats = { ...this.stats, ...state.stats };
+  }
+
   /**
    * Met à jour la configuration du gestionnaire de positions
    * @param {Object} newConfig - Nouvelle configuration
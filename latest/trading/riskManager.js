@@ -1,5 +1,6 @@
 // trading/RiskManager.js
 import EventEmitter from 'events';
+import { systemClock } from '../utils/determinism.js';
 
 /**
  * Gestionnaire de risque optimisé
@@ -9,10 +10,13 @@ export class RiskManager extends EventEmitter {
   /**
    * Crée une instance de RiskManager
    * @param {Object} config - Configuration globale
+   * @param {Object} [options={}] - Dépendances injectables
+   * @param {Object} [options.clock] - Horloge { now() } (horloge système par défaut)
    */
-  constructor(config) {
+  constructor(config, options = {}) {
     super();
     this.config = config;
+    this.clock = options.clock || systemClock;
     
     // Paramètres de risque principaux
     this.maxDrawdown = config.risk?.maxDrawdown || -15; // Maximum drawdown percentage allowed
@@ -35,7 +39,7 @@ export class RiskManager extends EventEmitter {
     
     // Statistiques journalières
     this.dailyStats = {
-      date: new Date().toISOString().split('T')[0],
+      date: new Date(this.clock.now()).toISOString().split('T')[0],
       trades: 0,
       profit: 0,
       losses: 0,
@@ -338,7 +342,7 @@ export class RiskManager extends EventEmitter {
       token: trade.token,
       profit: trade.profit,
       profitPercentage: trade.profitPercentage,
-      timestamp: trade.timestamp || Date.now()
+      timestamp: trade.timestamp || this.clock.now()
     });
     
     if (this.tradeHistory.length > 100) {
@@ -354,7 +358,7 @@ export class RiskManager extends EventEmitter {
    * @private
    */
   checkAndResetDaily() {
-    const today = new Date().toISOString().split('T')[0];
+    const today = new Date(this.clock.now()).toISOString().split('T')[0];
     
     if (this.dailyStats.date !== today) {
       this.resetDailyStats();
@@ -366,7 +370,7 @@ export class RiskManager extends EventEmitter {
    */
   resetDailyStats() {
     this.dailyStats = {
-      date: new Date().toISOString().split('T')[0],
+      date: new Date(this.clock.now()).toISOString().split('T')[0],
       trades: 0,
       profit: 0,
       losses: 0,
@@ -383,11 +387,21 @@ export class RiskManager extends EventEmitter {
    */
   _setupDailyReset() {
     // Vérifier toutes les heures si nous avons changé de jour
-    setInterval(() => {
+    this.dailyResetInterval = setInterval(() => {
       this.checkAndResetDaily();
     }, 60 * 60 * 1000); // 1 heure
   }
 
+  /**
+   * Libère les ressources du gestionnaire de risque (timer de reset journalier)
+   */
+  cleanup() {
+    if (this.dailyResetInterval) {
+      clearInterval(this.dailyResetInterval);
+      this.dailyResetInterval = null;
+    }
+  }
+
   /**
    * Rejette un trade et met à jour les statistiques
    * @private
@@ -399,7 +413,7 @@ export class RiskManager extends EventEmitter {
     // Émettre un événement détaillant la raison du rejet
     this.emit('trade_rejected', {
       reason,
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       stats: { ...this.stats }
     });
   }
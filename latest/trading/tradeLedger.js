@@ -0,0 +1,98 @@
+// trading/tradeLedger.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Helper pour obtenir le chemin du fichier
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Registre de trading persistant
+ * Conserve sur disque le portefeuille, les positions et l'historique des trades
+ * d'un mode donné ('paper' ou 'live'). Chaque mode a son propre fichier et un
+ * registre refuse de charger un fichier écrit par un autre mode : les
+ * enregistrements paper et live ne se mélangent jamais
+ */
+export class TradeLedger {
+  /**
+   * @param {Object} config - Configuration globale (section ledger)
+   * @param {string} mode - Mode de trading ('paper' ou 'live')
+   */
+  constructor(config, mode) {
+    const ledgerConfig = config.ledger || {};
+
+    this.mode = mode;
+    this.enabled = ledgerConfig.enabled !== false;
+    this.directory = path.resolve(__dirname, '..', ledgerConfig.directory || 'data/ledgers');
+    this.filePath = path.join(this.directory, `${mode}.json`);
+
+    // Écritures sérialisées et regroupées
+    this.writing = Promise.resolve();
+    this.scheduled = null;
+  }
+
+  /**
+   * Charge l'état persisté du registre
+   * @returns {Promise<Object|null>} État ou null si aucun registre n'existe
+   * @throws {Error} Si le fichier appartient à un autre mode
+   */
+  async load() {
+    if (!this.enabled) return null;
+
+    let content;
+    try {
+      content = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const state = JSON.parse(content);
+    if (state.mode !== this.mode) {
+      throw new Error(`Ledger ${this.filePath} belongs to ${state.mode} mode, not ${this.mode}`);
+    }
+
+    return state;
+  }
+
+  /**
+   * Planifie la sauvegarde du registre
+   * Les demandes rapprochées sont regroupées en une seule écriture, effectuée
+   * avec l'état courant au moment de l'écriture
+   * @param {Function} getState - () => état à persister
+   * @returns {Promise<void>} Résolue une fois l'écriture terminée
+   */
+  save(getState) {
+    if (!this.enabled) return Promise.resolve();
+    if (this.scheduled) return this.scheduled;
+
+    this.scheduled = this.writing
+      .then(() => new Promise(resolve => setImmediate(resolve)))
+      .then(() => {
+        this.scheduled = null;
+        return this._write(getState());
+      });
+
+    this.writing = this.scheduled.catch(() => {});
+    return this.scheduled;
+  }
+
+  /**
+   * Écrit l'état de façon atomique (fichier temporaire puis renommage)
+   * @private
+   * @param {Object} state - État à persister
+   */
+  async _write(state) {
+    const temporaryPath = `${this.filePath}.tmp`;
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(
+      temporaryPath,
+      JSON.stringify({ ...state, mode: this.mode, updatedAt: new Date().toISOString() })
+    );
+    await fs.promises.rename(temporaryPath, this.filePath);
+  }
+}
+
+export default TradeLedger;
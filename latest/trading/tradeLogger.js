@@ -1,7 +1,12 @@
 // trading/tradeLogger.js
+import { systemClock } from '../utils/determinism.js';
+
 export class TradeLogger {
-  constructor(config) {
+  constructor(config, options = {}) {
     this.config = config;
+    // Injectable RNG and clock so that simulated runs are reproducible
+    this.random = options.random || Math.random;
+    this.clock = options.clock || systemClock;
     this.tradeLogs = [];
     this.dailyLogs = new Map(); // Map with date string keys
     this.totalStats = {
@@ -51,9 +56,29 @@ export class TradeLogger {
     return tradeLog;
   }
 
+  restoreTrades(tradeLogs) {
+    // Rebuild the logs and statistics from a persisted ledger, without saving them again
+    this.tradeLogs = [];
+    this.dailyLogs = new Map();
+    this.totalStats = {
+      totalTrades: 0,
+      winningTrades: 0,
+      losingTrades: 0,
+      totalProfit: 0,
+      biggestWin: 0,
+      biggestLoss: 0
+    };
+
+    for (const tradeLog of tradeLogs) {
+      this.tradeLogs.push(tradeLog);
+      this.updateTotalStats(tradeLog);
+      this.updateDailyStats(tradeLog);
+    }
+  }
+
   generateTradeId() {
     // Generate a unique ID for each trade
-    return `trade-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+    return `trade-${this.clock.now()}-${Math.floor(this.random() * 1000)}`;
   }
 
   updateTotalStats(trade) {
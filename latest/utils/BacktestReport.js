@@ -0,0 +1,430 @@
+// utils/BacktestReport.js
+import { performanceMetrics } from './performanceMetrics.js';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Échappe une valeur pour l'insérer dans le HTML
+ * @param {*} value - Valeur brute
+ * @returns {string} Texte échappé
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Formate un nombre (tiret si la valeur n'est pas finie)
+ * @param {number} value - Valeur
+ * @param {number} [digits=2] - Décimales
+ * @returns {string} Nombre formaté
+ */
+function formatNumber(value, digits = 2) {
+  if (value === Infinity) return '∞';
+  return Number.isFinite(value) ? value.toFixed(digits) : '-';
+}
+
+/**
+ * Classe CSS selon le signe d'une valeur
+ * @param {number} value - Valeur
+ * @returns {string} 'positive' ou 'negative'
+ */
+function signClass(value) {
+  return value >= 0 ? 'positive' : 'negative';
+}
+
+/**
+ * Générateur de rapports de backtest autonomes (HTML sans dépendance externe,
+ * graphiques en SVG inline) à partir du résultat d'une simulation
+ */
+export class BacktestReport {
+  /**
+   * @param {Object} [options={}] - Options du rapport
+   * @param {string} [options.title='Backtest Report'] - Titre
+   * @param {number} [options.chartWidth=960] - Largeur des graphiques (px)
+   * @param {number} [options.chartHeight=260] - Hauteur du graphique d'équité (px)
+   * @param {number} [options.maxTrades=500] - Nombre maximum de trades listés
+   */
+  constructor(options = {}) {
+    this.title = options.title || 'Backtest Report';
+    this.chartWidth = options.chartWidth || 960;
+    this.chartHeight = options.chartHeight || 260;
+    this.maxTrades = options.maxTrades ?? 500;
+  }
+
+  /**
+   * Génère le rapport HTML d'une simulation
+   * @param {Object} result - Résultat de SimulationEngine.runSimulation
+   * @returns {string} Document HTML complet
+   */
+  generateHtml(result) {
+    if (!result || !result.success) {
+      throw new Error(`Cannot build a report from a failed simulation${result?.error ? `: ${result.error}` : ''}`);
+    }
+
+    const equityCurve = result.equityCurve || [];
+    const trades = result.trades || [];
+    const metrics = this._completeMetrics(result);
+    const monthlyReturns = performanceMetrics.calculateMonthlyReturns(equityCurve, result.initialCapital);
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(this.title)}</title>
+<style>
+body { font-family: Arial, sans-serif; margin: 0; padding: 20px; color: #222; background: #fff; }
+.container { max-width: ${this.chartWidth + 40}px; margin: 0 auto; }
+.subtitle { color: #666; margin-top: -10px; }
+.summary { display: flex; flex-wrap: wrap; margin: 0 -8px; }
+.summary-item { flex: 1; min-width: 140px; margin: 8px; padding: 12px; background: #f5f5f5; border-radius: 5px; }
+.summary-item .label { font-size: 12px; color: #666; }
+.summary-item .value { font-size: 20px; font-weight: bold; margin-top: 4px; }
+table { width: 100%; border-collapse: collapse; margin-bottom: 20px; font-size: 13px; }
+th, td { padding: 6px 8px; text-align: right; border-bottom: 1px solid #ddd; }
+th:first-child, td:first-child { text-align: left; }
+th { background-color: #f2f2f2; }
+.positive { color: #1a7f37; }
+.negative { color: #c62828; }
+.chart { display: block; margin-bottom: 10px; }
+h2 { margin-top: 30px; }
+</style>
+</head>
+<body>
+<div class="container">
+<h1>${escapeHtml(this.title)}</h1>
+<p class="subtitle">${escapeHtml(result.strategy || '')} · ${escapeHtml(result.interval || '')} · ${escapeHtml(this._formatDate(result.startDate))} → ${escapeHtml(this._formatDate(result.endDate))}</p>
+
+${this._renderSummary(metrics, result.benchmark)}
+
+<h2>Equity Curve</h2>
+${this._renderEquityChart(equityCurve, result.initialCapital)}
+
+<h2>Drawdown</h2>
+${this._renderUnderwaterChart(equityCurve)}
+
+<h2>Monthly Returns</h2>
+${this._renderMonthlyTable(monthlyReturns)}
+
+<h2>Trades (${trades.length})</h2>
+${this._renderTradeTable(trades)}
+</div>
+</body>
+</html>`;
+  }
+
+  /**
+   * Rend le rapport en image PNG via node-html-to-image (Chromium headless)
+   * @param {Object} result - Résultat de SimulationEngine.runSimulation
+   * @param {Object} [options={}] - Options de rendu
+   * @param {string} [options.output] - Fichier de sortie (sinon seul le buffer est retourné)
+   * @returns {Promise<Buffer>} Image PNG
+   */
+  async renderPng(result, options = {}) {
+    // Import différé : Puppeteer n'est chargé que lorsqu'une image est demandée
+    const { default: nodeHtmlToImage } = await import('node-html-to-image');
+
+    return nodeHtmlToImage({
+      html: this.generateHtml(result),
+      type: 'png',
+      output: options.output,
+      puppeteerArgs: { args: ['--no-sandbox', '--disable-setuid-sandbox'] }
+    });
+  }
+
+  /**
+   * Complète les métriques d'un résultat produit avant l'ajout des ratios de risque
+   * @private
+   * @param {Object} result - Résultat de simulation
+   * @returns {Object} Métriques
+   */
+  _completeMetrics(result) {
+    const metrics = result.metrics || {};
+    if (metrics.sortinoRatio !== undefined && metrics.expectancy !== undefined) {
+      return metrics;
+    }
+
+    return {
+      ...performanceMetrics.summarize(result.trades || [], result.equityCurve || [], result.initialCapital),
+      ...metrics
+    };
+  }
+
+  /**
+   * Bloc de synthèse des métriques
+   * @private
+   * @param {Object} metrics - Métriques de performance
+   * @param {Object} [benchmark] - Comparaison au benchmark de la simulation
+   * @returns {string} HTML
+   */
+  _renderSummary(metrics, benchmark) {
+    const items = [
+      ['Net Profit', `${formatNumber(metrics.netProfit)} USD`, signClass(metrics.netProfit)],
+      ['Total Return', `${formatNumber(metrics.totalReturn)}%`, signClass(metrics.totalReturn)],
+      ['Annualized Return', `${formatNumber(metrics.annualizedReturn)}%`, signClass(metrics.annualizedReturn)],
+      ['Max Drawdown', `${formatNumber(metrics.maxDrawdown)}%`, 'negative'],
+      ['Sharpe Ratio', formatNumber(metrics.sharpeRatio)],
+      ['Sortino Ratio', formatNumber(metrics.sortinoRatio)],
+      ['Calmar Ratio', formatNumber(metrics.calmarRatio)],
+      ['Profit Factor', formatNumber(metrics.profitFactor)],
+      ['Expectancy', `${formatNumber(metrics.expectancy)} USD (${formatNumber(metrics.expectancyPercentage)}%)`, signClass(metrics.expectancy)],
+      ['Trades', `${metrics.totalTrades} (${formatNumber(metrics.winRate, 1)}% win)`]
+    ];
+
+    if (benchmark && !benchmark.error) {
+      items.push(
+        [`Benchmark (${benchmark.type === 'BUY_AND_HOLD' ? 'Buy & Hold' : 'Equal Weight'})`, `${formatNumber(benchmark.benchmarkReturn)}%`, signClass(benchmark.benchmarkReturn)],
+        ['Excess Return', `${formatNumber(benchmark.excessReturn)}%`, signClass(benchmark.excessReturn)],
+        ['Alpha / Beta', `${formatNumber(benchmark.alpha)}% / ${formatNumber(benchmark.beta)}`],
+        ['Correlation', formatNumber(benchmark.correlation)]
+      );
+    }
+
+    return `<div class="summary">
+${items.map(([label, value, className]) => `<div class="summary-item"><div class="label">${label}</div><div class="value ${className || ''}">${value}</div></div>`).join('\n')}
+</div>`;
+  }
+
+  /**
+   * Graphique SVG de la courbe d'équité
+   * @private
+   * @param {Array<Object>} equityCurve - Points { timestamp, equity }
+   * @param {number} initialCapital - Capital initial (ligne de référence)
+   * @returns {string} SVG
+   */
+  _renderEquityChart(equityCurve, initialCapital) {
+    return this._renderLineChart(
+      equityCurve.map(point => ({ x: point.timestamp, y: point.equity })),
+      { height: this.chartHeight, stroke: '#1565c0', fill: 'rgba(21,101,192,0.08)', baseline: initialCapital }
+    );
+  }
+
+  /**
+   * Graphique SVG « underwater » (drawdown courant par rapport au plus haut)
+   * @private
+   * @param {Array<Object>} equityCurve - Points { timestamp, equity }
+   * @returns {string} SVG
+   */
+  _renderUnderwaterChart(equityCurve) {
+    let peak = -Infinity;
+    const points = equityCurve.map(point => {
+      peak = Math.max(peak, point.equity);
+      return { x: point.timestamp, y: peak > 0 ? ((point.equity - peak) / peak) * 100 : 0 };
+    });
+
+    return this._renderLineChart(points, {
+      height: Math.round(this.chartHeight * 0.6),
+      stroke: '#c62828',
+      fill: 'rgba(198,40,40,0.15)',
+      baseline: 0,
+      maxY: 0,
+      suffix: '%'
+    });
+  }
+
+  /**
+   * Graphique linéaire SVG générique avec zone remplie jusqu'à la ligne de base
+   * @private
+   * @param {Array<Object>} points - Points { x, y } triés par x
+   * @param {Object} options - height, stroke, fill, baseline, maxY, suffix
+   * @returns {string} SVG
+   */
+  _renderLineChart(points, options) {
+    const width = this.chartWidth;
+    const { height, baseline, suffix = '' } = options;
+    const padding = { top: 10, right: 10, bottom: 24, left: 70 };
+
+    if (points.length < 2) {
+      return `<svg class="chart" width="${width}" height="${height}"><text x="${width / 2}" y="${height / 2}" text-anchor="middle" fill="#999">Not enough data</text></svg>`;
+    }
+
+    const minX = points[0].x;
+    const maxX = points[points.length - 1].x;
+
+    // Boucle plutôt que Math.min(...) : une courbe en 1m dépasse la taille de pile sur quelques mois
+    let minY = baseline;
+    let maxY = baseline;
+    for (const point of points) {
+      if (point.y < minY) minY = point.y;
+      if (point.y > maxY) maxY = point.y;
+    }
+    maxY = options.maxY ?? maxY;
+    if (maxY === minY) {
+      maxY += 1;
+      minY -= 1;
+    }
+
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const scaleX = x => padding.left + ((x - minX) / Math.max(1, maxX - minX)) * plotWidth;
+    const scaleY = y => padding.top + ((maxY - y) / (maxY - minY)) * plotHeight;
+
+    const line = this._downsample(points, plotWidth).map(p => `${scaleX(p.x).toFixed(1)},${scaleY(p.y).toFixed(1)}`).join(' ');
+    const baseY = scaleY(baseline).toFixed(1);
+    const area = `${scaleX(minX).toFixed(1)},${baseY} ${line} ${scaleX(maxX).toFixed(1)},${baseY}`;
+
+    const ticks = [maxY, (maxY + minY) / 2, minY].map(value => {
+      const y = scaleY(value).toFixed(1);
+      return `<line x1="${padding.left}" y1="${y}" x2="${width - padding.right}" y2="${y}" stroke="#eee"/>` +
+        `<text x="${padding.left - 6}" y="${y}" text-anchor="end" dominant-baseline="middle" font-size="11" fill="#666">${formatNumber(value)}${suffix}</text>`;
+    }).join('');
+
+    const labelY = height - 6;
+    const dates = `<text x="${padding.left}" y="${labelY}" font-size="11" fill="#666">${this._formatDate(minX)}</text>` +
+      `<text x="${width - padding.right}" y="${labelY}" text-anchor="end" font-size="11" fill="#666">${this._formatDate(maxX)}</text>`;
+
+    return `<svg class="chart" xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+${ticks}
+<polygon points="${area}" fill="${options.fill}" stroke="none"/>
+<polyline points="${line}" fill="none" stroke="${options.stroke}" stroke-width="1.5"/>
+<line x1="${padding.left}" y1="${baseY}" x2="${width - padding.right}" y2="${baseY}" stroke="#999" stroke-dasharray="4 3"/>
+${dates}
+</svg>`;
+  }
+
+  /**
+   * Réduit une série à environ maxPoints points
+   * La période est découpée en maxPoints / 2 intervalles dont on garde le minimum et le
+   * maximum : pics et creux restent visibles, quelle que soit la longueur de la série
+   * @private
+   * @param {Array<Object>} points - Points { x, y } triés par x
+   * @param {number} maxPoints - Nombre de points visé (largeur du graphique en pixels)
+   * @returns {Array<Object>} Points conservés, dans l'ordre
+   */
+  _downsample(points, maxPoints) {
+    const bucketCount = Math.max(1, Math.floor(maxPoints / 2));
+    if (points.length <= maxPoints) {
+      return points;
+    }
+
+    const minX = points[0].x;
+    const span = Math.max(1, points[points.length - 1].x - minX);
+    const result = [];
+    let bucket = -1;
+    let low = null;
+    let high = null;
+
+    const flush = () => {
+      if (low === null) return;
+      if (low === high) {
+        result.push(low);
+      } else {
+        result.push(...(low.x <= high.x ? [low, high] : [high, low]));
+      }
+    };
+
+    for (const point of points) {
+      const index = Math.min(bucketCount - 1, Math.floor(((point.x - minX) / span) * bucketCount));
+
+      if (index !== bucket) {
+        flush();
+        bucket = index;
+        low = point;
+        high = point;
+      } else {
+        if (point.y < low.y) low = point;
+        if (point.y > high.y) high = point;
+      }
+    }
+    flush();
+
+    // Extrémités conservées pour que la courbe couvre toute la période
+    if (result[0] !== points[0]) result.unshift(points[0]);
+    if (result[result.length - 1] !== points[points.length - 1]) result.push(points[points.length - 1]);
+
+    return result;
+  }
+
+  /**
+   * Tableau des rendements mensuels (une ligne par année)
+   * @private
+   * @param {Array<Object>} monthlyReturns - { year, month, return }
+   * @returns {string} HTML
+   */
+  _renderMonthlyTable(monthlyReturns) {
+    if (monthlyReturns.length === 0) {
+      return '<p>No data</p>';
+    }
+
+    const years = new Map();
+    for (const { year, month, return: value } of monthlyReturns) {
+      if (!years.has(year)) years.set(year, new Array(12).fill(null));
+      years.get(year)[month - 1] = value;
+    }
+
+    const rows = Array.from(years, ([year, months]) => {
+      const yearReturn = (months.reduce((growth, value) => growth * (1 + (value ?? 0) / 100), 1) - 1) * 100;
+      const cells = months.map(value => (value === null
+        ? '<td></td>'
+        : `<td class="${signClass(value)}">${formatNumber(value)}%</td>`));
+
+      return `<tr><td>${year}</td>${cells.join('')}<td class="${signClass(yearReturn)}"><strong>${formatNumber(yearReturn)}%</strong></td></tr>`;
+    });
+
+    return `<table>
+<thead><tr><th>Year</th>${MONTHS.map(month => `<th>${month}</th>`).join('')}<th>Year</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>`;
+  }
+
+  /**
+   * Liste des trades
+   * @private
+   * @param {Array<Object>} trades - Trades simulés
+   * @returns {string} HTML
+   */
+  _renderTradeTable(trades) {
+    if (trades.length === 0) {
+      return '<p>No trades</p>';
+    }
+
+    const listed = this.maxTrades > 0 ? trades.slice(0, this.maxTrades) : trades;
+    const rows = listed.map(trade => `<tr>
+<td>${escapeHtml(this._formatDate(trade.timestamp, true))}</td>
+<td>${escapeHtml(this._formatDate(trade.exitTimestamp, true))}</td>
+<td>${escapeHtml(trade.token)}</td>
+<td>${formatNumber(trade.entryPrice, 6)}</td>
+<td>${formatNumber(trade.exitPrice, 6)}</td>
+<td>${formatNumber(trade.amount)}</td>
+<td>${formatNumber(trade.fees || 0)}</td>
+<td class="${signClass(trade.profit)}">${formatNumber(trade.profit)} (${formatNumber(trade.profitPercentage)}%)</td>
+<td>${escapeHtml(trade.exitReason || '')}</td>
+</tr>`);
+
+    const truncated = listed.length < trades.length
+      ? `<p>${trades.length - listed.length} more trades not shown</p>`
+      : '';
+
+    return `<table>
+<thead><tr><th>Entry</th><th>Exit</th><th>Token</th><th>Entry Price</th><th>Exit Price</th><th>Amount</th><th>Fees</th><th>Profit</th><th>Exit Reason</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+${truncated}`;
+  }
+
+  /**
+   * Formate une date en UTC
+   * @private
+   * @param {Date|string|number} value - Date
+   * @param {boolean} [withTime=false] - Inclure l'heure
+   * @returns {string} Date formatée
+   */
+  _formatDate(value, withTime = false) {
+    if (value === undefined || value === null) return '';
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return '';
+
+    const iso = date.toISOString();
+    return withTime ? `${iso.slice(0, 10)} ${iso.slice(11, 16)}` : iso.slice(0, 10);
+  }
+}
+
+export default BacktestReport;
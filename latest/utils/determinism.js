@@ -0,0 +1,129 @@
+// utils/determinism.js
+import { delay } from './helpers.js';
+
+/**
+ * Hache une valeur quelconque en graine 32 bits (FNV-1a)
+ * @param {*} value - Valeur à hacher (nombre, chaîne...)
+ * @returns {number} Graine entière non signée
+ */
+export function hashSeed(value) {
+  const text = String(value);
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * Crée un générateur pseudo-aléatoire déterministe (mulberry32)
+ * Même graine => même séquence, sur toutes les plateformes
+ * @param {number|string} seed - Graine (les chaînes sont hachées)
+ * @returns {Function} Générateur retournant un nombre dans [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = typeof seed === 'number' && Number.isInteger(seed) ? seed >>> 0 : hashSeed(seed);
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Génère un identifiant au format UUID v4 à partir d'un générateur
+ * @param {Function} [random=Math.random] - Générateur [0, 1)
+ * @returns {string} UUID
+ */
+export function randomUuid(random = Math.random) {
+  const bytes = Array.from({ length: 16 }, () => Math.floor(random() * 256));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+  const hex = bytes.map(byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Horloge système (temps réel)
+ */
+export const systemClock = {
+  now: () => Date.now(),
+  sleep: (ms) => delay(ms)
+};
+
+/**
+ * Horloge virtuelle pilotée par la simulation
+ * Le temps n'avance que lorsqu'on le décide : les attentes sont instantanées
+ */
+export class VirtualClock {
+  /**
+   * @param {number} [startTime=0] - Timestamp initial (ms)
+   */
+  constructor(startTime = 0) {
+    this.time = startTime;
+  }
+
+  /**
+   * Timestamp courant
+   * @returns {number} Timestamp (ms)
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Positionne l'horloge (le temps ne recule jamais)
+   * @param {number} timestamp - Nouveau timestamp (ms)
+   */
+  set(timestamp) {
+    this.time = Math.max(this.time, timestamp);
+  }
+
+  /**
+   * Avance l'horloge
+   * @param {number} ms - Durée (ms)
+   */
+  advance(ms) {
+    this.time += Math.max(0, ms);
+  }
+
+  /**
+   * Attente simulée : avance l'horloge sans bloquer
+   * @param {number} ms - Durée (ms)
+   * @returns {Promise<void>}
+   */
+  async sleep(ms) {
+    this.advance(ms);
+  }
+}
+
+/**
+ * Prépare l'aléa et l'horloge d'une exécution reproductible
+ * Un même couple (runId, seed) produit exactement la même séquence aléatoire ;
+ * sans graine, une graine est tirée et retournée pour pouvoir rejouer l'exécution
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.runId] - Identifiant de l'exécution
+ * @param {number|string} [options.seed] - Graine
+ * @param {number} [options.startTime] - Départ de l'horloge virtuelle (horloge système si absent)
+ * @returns {Object} { runId, seed, random, clock }
+ */
+export function createDeterministicRun(options = {}) {
+  const seed = options.seed ?? Math.floor(Math.random() * 4294967296);
+  const runId = options.runId || `run_${hashSeed(seed).toString(16)}`;
+
+  return {
+    runId,
+    seed,
+    random: createSeededRandom(`${runId}:${seed}`),
+    clock: options.startTime !== undefined ? new VirtualClock(options.startTime) : systemClock
+  };
+}
+
+export default createDeterministicRun;
@@ -147,3 +147,121 @@ export const retry = async (fn, maxRetries = 3, baseDelay = 1000) => {
   
   return execute();
 };
+
+
+/**
+ * Deeply merges source objects into a new object (arrays are replaced, not merged)
+ * @param {Object} target - Base object
+ * @param {...Object} sources - Objects to merge into the base
+ * @returns {Object} Merged object
+ */
+export const deepMerge = (target, ...sources) => {
+  const result = { ...target };
+  
+  for (const source of sources) {
+    if (!source || typeof source !== 'object') continue;
+    
+    for (const [key, value] of Object.entries(source)) {
+      const isPlainObject = value && typeof value === 'object' && !Array.isArray(value);
+      const targetIsPlainObject = result[key] && typeof result[key] === 'object' && !Array.isArray(result[key]);
+      
+      result[key] = isPlainObject && targetIsPlainObject
+        ? deepMerge(result[key], value)
+        : value;
+    }
+  }
+  
+  return result;
+};
+
+/**
+ * Converts a candle interval ('15m', '1h', '4h', '1d'...) to milliseconds
+ * @param {string} interval - Candle interval
+ * @returns {number} Interval in milliseconds (defaults to 1 hour)
+ */
+export const intervalToMs = (interval = '1h') => {
+  const match = /^(\d+)\s*(m|h|d|w)$/i.exec(String(interval).trim());
+  if (!match) {
+    return 60 * 60 * 1000;
+  }
+  
+  const units = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+  };
+  
+  return parseInt(match[1], 10) * units[match[2].toLowerCase()];
+};
+
+/**
+ * Aggregates candles into a coarser interval (e.g. 1h candles into 4h candles)
+ * The last bucket may be incomplete: it reflects the candle still forming
+ * @param {Array<Object>} candles - Candles sorted by timestamp ({ timestamp, price, open?, high?, low?, volume? })
+ * @param {string} interval - Target interval ('4h', '1d'...)
+ * @returns {Array<Object>} Aggregated candles, timestamped at the start of their bucket
+ */
+export const resampleCandles = (candles, interval) => {
+  const intervalMs = intervalToMs(interval);
+  const result = [];
+
+  for (const candle of candles) {
+    const bucket = Math.floor(candle.timestamp / intervalMs) * intervalMs;
+    const last = result[result.length - 1];
+
+    if (last && last.timestamp === bucket) {
+      last.high = Math.max(last.high, candle.high ?? candle.price);
+      last.low = Math.min(last.low, candle.low ?? candle.price);
+      last.price = candle.price;
+      last.volume += candle.volume || 0;
+    } else {
+      result.push({
+        timestamp: bucket,
+        open: candle.open ?? candle.price,
+        high: candle.high ?? candle.price,
+        low: candle.low ?? candle.price,
+        price: candle.price,
+        volume: candle.volume || 0
+      });
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Reads a nested value using a dot-separated path ('indicators.rsi.period')
+ * @param {Object} obj - Source object
+ * @param {string} path - Dot-separated path
+ * @returns {*} Value at path or undefined
+ */
+export const getValueByPath = (obj, path) => {
+  return String(path).split('.').reduce((value, key) => value?.[key], obj);
+};
+
+/**
+ * Sets a nested value using a dot-separated path, creating intermediate objects
+ * @param {Object} obj - Target object (mutated)
+ * @param {string} path - Dot-separated path
+ * @param {*} value - Value to set
+ * @returns {Object} The target object
+ */
+export const setValueByPath = (obj, path, value) => {
+  const keys = String(path).split('.');
+  
+  if (keys.some(key => !key || ['__proto__', 'prototype', 'constructor'].includes(key))) {
+    throw new Error(`Invalid configuration path: ${path}`);
+  }
+  
+  let current = obj;
+  for (let i = 0; i < keys.length - 1; i++) {
+    if (!current[keys[i]] || typeof current[keys[i]] !== 'object') {
+      current[keys[i]] = {};
+    }
+    current = current[keys[i]];
+  }
+  
+  current[keys[keys.length - 1]] = value;
+  return obj;
+};
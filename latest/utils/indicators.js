@@ -381,7 +381,142 @@ export const technicalAnalysis = {
     
     return atr;
   },
-  
+
+  /**
+   * Calcule l'ADX (Average Directional Index) et les indicateurs directionnels +DI / -DI
+   * @param {Array<number>} high - Série des prix hauts
+   * @param {Array<number>} low - Série des prix bas
+   * @param {Array<number>} close - Série des prix de clôture
+   * @param {number} [period=14] - Période de lissage (Wilder)
+   * @returns {Object} Séries { adx, plusDI, minusDI } (les plus récentes en fin de tableau)
+   */
+  calculateADX(high, low, close, period = 14) {
+    if (!high || !low || !close || high.length !== low.length || high.length !== close.length || high.length < 2 * period + 1) {
+      return { adx: [], plusDI: [], minusDI: [] };
+    }
+
+    // True Range et mouvements directionnels
+    const tr = new Array(high.length - 1);
+    const plusDM = new Array(high.length - 1);
+    const minusDM = new Array(high.length - 1);
+
+    for (let i = 1; i < high.length; i++) {
+      const upMove = high[i] - high[i - 1];
+      const downMove = low[i - 1] - low[i];
+
+      tr[i - 1] = Math.max(high[i], close[i - 1]) - Math.min(low[i], close[i - 1]);
+      plusDM[i - 1] = upMove > downMove && upMove > 0 ? upMove : 0;
+      minusDM[i - 1] = downMove > upMove && downMove > 0 ? downMove : 0;
+    }
+
+    // Lissage de Wilder initialisé par la somme des premières valeurs
+    let smoothedTR = 0;
+    let smoothedPlusDM = 0;
+    let smoothedMinusDM = 0;
+    for (let i = 0; i < period; i++) {
+      smoothedTR += tr[i];
+      smoothedPlusDM += plusDM[i];
+      smoothedMinusDM += minusDM[i];
+    }
+
+    const plusDI = [];
+    const minusDI = [];
+    const dx = [];
+
+    for (let i = period - 1; i < tr.length; i++) {
+      if (i >= period) {
+        smoothedTR = smoothedTR - smoothedTR / period + tr[i];
+        smoothedPlusDM = smoothedPlusDM - smoothedPlusDM / period + plusDM[i];
+        smoothedMinusDM = smoothedMinusDM - smoothedMinusDM / period + minusDM[i];
+      }
+
+      const pdi = smoothedTR > 0 ? (smoothedPlusDM / smoothedTR) * 100 : 0;
+      const mdi = smoothedTR > 0 ? (smoothedMinusDM / smoothedTR) * 100 : 0;
+
+      plusDI.push(pdi);
+      minusDI.push(mdi);
+      dx.push(pdi + mdi > 0 ? (Math.abs(pdi - mdi) / (pdi + mdi)) * 100 : 0);
+    }
+
+    // ADX : moyenne lissée du DX
+    let sum = 0;
+    for (let i = 0; i < period; i++) {
+      sum += dx[i];
+    }
+
+    const adx = new Array(dx.length - period + 1);
+    adx[0] = sum / period;
+
+    for (let i = period; i < dx.length; i++) {
+      adx[i - period + 1] = ((adx[i - period] * (period - 1)) + dx[i]) / period;
+    }
+
+    return { adx, plusDI, minusDI };
+  },
+
+  /**
+   * Calcule le Parabolic SAR (Stop And Reverse)
+   * @param {Array<number>} high - Série des prix hauts
+   * @param {Array<number>} low - Série des prix bas
+   * @param {number} [step=0.02] - Pas d'accélération
+   * @param {number} [maxStep=0.2] - Facteur d'accélération maximum
+   * @returns {Object} Séries { values, trends } alignées sur les prix ('UP' : SAR sous le prix)
+   */
+  calculateParabolicSAR(high, low, step = 0.02, maxStep = 0.2) {
+    if (!high || !low || high.length !== low.length || high.length < 2) {
+      return { values: [], trends: [] };
+    }
+
+    // Tendance initiale déterminée par les deux premières bougies
+    let isUp = high[1] + low[1] >= high[0] + low[0];
+    let sar = isUp ? low[0] : high[0];
+    let extremePoint = isUp ? high[0] : low[0];
+    let accelerationFactor = step;
+
+    const values = new Array(high.length);
+    const trends = new Array(high.length);
+    values[0] = sar;
+    trends[0] = isUp ? 'UP' : 'DOWN';
+
+    for (let i = 1; i < high.length; i++) {
+      sar = sar + accelerationFactor * (extremePoint - sar);
+
+      if (isUp) {
+        // Le SAR ne peut pas dépasser les plus bas des deux bougies précédentes
+        sar = Math.min(sar, low[i - 1], low[Math.max(0, i - 2)]);
+
+        if (low[i] < sar) {
+          // Retournement baissier
+          isUp = false;
+          sar = extremePoint;
+          extremePoint = low[i];
+          accelerationFactor = step;
+        } else if (high[i] > extremePoint) {
+          extremePoint = high[i];
+          accelerationFactor = Math.min(accelerationFactor + step, maxStep);
+        }
+      } else {
+        sar = Math.max(sar, high[i - 1], high[Math.max(0, i - 2)]);
+
+        if (high[i] > sar) {
+          // Retournement haussier
+          isUp = true;
+          sar = extremePoint;
+          extremePoint = high[i];
+          accelerationFactor = step;
+        } else if (low[i] < extremePoint) {
+          extremePoint = low[i];
+          accelerationFactor = Math.min(accelerationFactor + step, maxStep);
+        }
+      }
+
+      values[i] = sar;
+      trends[i] = isUp ? 'UP' : 'DOWN';
+    }
+
+    return { values, trends };
+  },
+
   /**
    * Calcule le Stochastic Oscillator
    * @param {Array<number>} high - Série des prix hauts
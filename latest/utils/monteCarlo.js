@@ -0,0 +1,237 @@
+// utils/monteCarlo.js
+
+const DEFAULT_PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+const MAX_ITERATIONS = 10000;
+const METHODS = ['reshuffle', 'resample'];
+const USER_OPTION_KEYS = ['iterations', 'method', 'priceNoise', 'percentiles'];
+
+/**
+ * Analyse de robustesse Monte Carlo d'une liste de trades de backtest
+ * Rejoue des séquences de trades rééchantillonnées ou mélangées, avec un bruit
+ * sur les prix d'entrée, pour estimer la distribution des résultats possibles
+ */
+export const monteCarloAnalysis = {
+  /**
+   * Exécute l'analyse Monte Carlo
+   * @param {Array<Object>} trades - Trades fermés (entryPrice, amount, profit)
+   * @param {Object} [options={}] - Options d'analyse
+   * @param {number} [options.iterations=1000] - Nombre de séquences simulées (10000 au maximum)
+   * @param {string} [options.method='reshuffle'] - 'reshuffle' (permutation) ou 'resample' (tirage avec remise)
+   * @param {number} [options.priceNoise=0] - Bruit maximal sur le prix d'entrée (%, uniforme ±)
+   * @param {number} [options.initialCapital=10000] - Capital initial
+   * @param {Array<number>} [options.percentiles] - Percentiles à calculer
+   * @param {Function} [options.random=Math.random] - Générateur aléatoire [0, 1)
+   * @returns {Object} Distributions et tableau de percentiles
+   */
+  run(trades, options = {}) {
+    const iterations = Math.min(MAX_ITERATIONS, Math.max(1, Math.floor(options.iterations || 1000)));
+    const method = options.method || 'reshuffle';
+    const priceNoise = Math.max(0, Number(options.priceNoise) || 0) / 100;
+    const initialCapital = options.initialCapital || 10000;
+    const percentiles = options.percentiles || DEFAULT_PERCENTILES;
+    const random = options.random || Math.random;
+
+    if (!METHODS.includes(method)) {
+      throw new Error(`Unknown Monte Carlo method: ${method}`);
+    }
+
+    const profits = (trades || []).map(trade => ({
+      profit: trade.profit || 0,
+      entryPrice: trade.entryPrice || 0,
+      amount: trade.amount || 0
+    }));
+
+    const finalEquities = new Array(iterations);
+    const maxDrawdowns = new Array(iterations);
+    const losingStreaks = new Array(iterations);
+    const sequence = new Array(profits.length);
+
+    for (let i = 0; i < iterations; i++) {
+      this._buildSequence(profits, sequence, method, random);
+
+      const path = this._simulatePath(sequence, initialCapital, priceNoise, random);
+      finalEquities[i] = path.finalEquity;
+      maxDrawdowns[i] = path.maxDrawdown;
+      losingStreaks[i] = path.longestLosingStreak;
+    }
+
+    const original = this._simulatePath(profits, initialCapital, 0, random);
+
+    const distributions = {
+      finalEquity: this.describe(finalEquities, percentiles),
+      maxDrawdown: this.describe(maxDrawdowns, percentiles),
+      longestLosingStreak: this.describe(losingStreaks, percentiles)
+    };
+
+    return {
+      iterations,
+      method,
+      priceNoise: priceNoise * 100,
+      initialCapital,
+      totalTrades: profits.length,
+      original,
+      probabilityOfLoss: (finalEquities.filter(equity => equity < initialCapital).length / iterations) * 100,
+      distributions,
+      percentileTable: percentiles.map(p => ({
+        percentile: p,
+        finalEquity: distributions.finalEquity.percentiles[p],
+        maxDrawdown: distributions.maxDrawdown.percentiles[p],
+        longestLosingStreak: distributions.longestLosingStreak.percentiles[p]
+      }))
+    };
+  },
+
+  /**
+   * Vérifie les options demandées par un utilisateur (corps de requête)
+   * Seules iterations, method, priceNoise et percentiles sont acceptées : le
+   * générateur aléatoire et le capital initial restent fixés par la simulation
+   * @param {boolean|Object} options - Options demandées (true : valeurs par défaut)
+   * @returns {Object} { isValid, errors, options } (options réduites aux clés acceptées)
+   */
+  validateOptions(options) {
+    if (options === true) {
+      return { isValid: true, errors: [], options: {} };
+    }
+
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      return { isValid: false, errors: ['monteCarlo must be true or an object'], options: {} };
+    }
+
+    const errors = [];
+
+    for (const key of Object.keys(options)) {
+      if (!USER_OPTION_KEYS.includes(key)) errors.push(`Unknown Monte Carlo option: ${key}`);
+    }
+
+    const { iterations, method, priceNoise, percentiles } = options;
+
+    if (iterations !== undefined && !(Number.isInteger(iterations) && iterations >= 1 && iterations <= MAX_ITERATIONS)) {
+      errors.push(`iterations must be an integer between 1 and ${MAX_ITERATIONS}`);
+    }
+
+    if (method !== undefined && !METHODS.includes(method)) {
+      errors.push(`method must be one of ${METHODS.join(', ')}`);
+    }
+
+    if (priceNoise !== undefined && !(Number.isFinite(priceNoise) && priceNoise >= 0 && priceNoise <= 100)) {
+      errors.push('priceNoise must be a percentage between 0 and 100');
+    }
+
+    if (percentiles !== undefined && !(Array.isArray(percentiles) && percentiles.length > 0 &&
+        percentiles.every(p => Number.isFinite(p) && p >= 0 && p <= 100))) {
+      errors.push('percentiles must be a non-empty array of numbers between 0 and 100');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      options: Object.fromEntries(USER_OPTION_KEYS.filter(key => options[key] !== undefined).map(key => [key, options[key]]))
+    };
+  },
+
+  /**
+   * Résume une distribution de valeurs
+   * @param {Array<number>} values - Valeurs observées
+   * @param {Array<number>} [percentiles] - Percentiles à calculer
+   * @returns {Object} { mean, stdDev, min, max, percentiles }
+   */
+  describe(values, percentiles = DEFAULT_PERCENTILES) {
+    if (!values || values.length === 0) {
+      return { mean: 0, stdDev: 0, min: 0, max: 0, percentiles: {} };
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+    const variance = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / sorted.length;
+
+    return {
+      mean,
+      stdDev: Math.sqrt(variance),
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      percentiles: Object.fromEntries(percentiles.map(p => [p, this.percentile(sorted, p)]))
+    };
+  },
+
+  /**
+   * Calcule un percentile par interpolation linéaire
+   * @param {Array<number>} sorted - Valeurs triées par ordre croissant
+   * @param {number} p - Percentile (0-100)
+   * @returns {number} Valeur du percentile
+   */
+  percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+
+    const position = (Math.min(100, Math.max(0, p)) / 100) * (sorted.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  },
+
+  /**
+   * Remplit la séquence de trades d'une itération
+   * @private
+   * @param {Array<Object>} trades - Trades d'origine
+   * @param {Array<Object>} sequence - Séquence à remplir (réutilisée entre itérations)
+   * @param {string} method - 'reshuffle' ou 'resample'
+   * @param {Function} random - Générateur aléatoire
+   */
+  _buildSequence(trades, sequence, method, random) {
+    const n = trades.length;
+
+    if (method === 'resample') {
+      for (let i = 0; i < n; i++) {
+        sequence[i] = trades[Math.floor(random() * n)];
+      }
+      return;
+    }
+
+    // Permutation de Fisher-Yates
+    for (let i = 0; i < n; i++) sequence[i] = trades[i];
+    for (let i = n - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [sequence[i], sequence[j]] = [sequence[j], sequence[i]];
+    }
+  },
+
+  /**
+   * Rejoue une séquence de trades et mesure l'équité finale, le drawdown et la série de pertes
+   * @private
+   * @param {Array<Object>} sequence - Trades dans l'ordre de l'itération
+   * @param {number} initialCapital - Capital initial
+   * @param {number} priceNoise - Bruit maximal sur le prix d'entrée (fraction)
+   * @param {Function} random - Générateur aléatoire
+   * @returns {Object} { finalEquity, maxDrawdown, longestLosingStreak }
+   */
+  _simulatePath(sequence, initialCapital, priceNoise, random) {
+    let equity = initialCapital;
+    let peak = initialCapital;
+    let maxDrawdown = 0;
+    let streak = 0;
+    let longestLosingStreak = 0;
+
+    for (const trade of sequence) {
+      let profit = trade.profit;
+
+      // Un prix d'entrée plus haut réduit le profit de (écart × quantité)
+      if (priceNoise > 0) {
+        const noisyEntry = trade.entryPrice * (1 + (random() * 2 - 1) * priceNoise);
+        profit -= (noisyEntry - trade.entryPrice) * trade.amount;
+      }
+
+      equity += profit;
+      peak = Math.max(peak, equity);
+      if (peak > 0) {
+        maxDrawdown = Math.max(maxDrawdown, ((peak - equity) / peak) * 100);
+      }
+
+      streak = profit <= 0 ? streak + 1 : 0;
+      longestLosingStreak = Math.max(longestLosingStreak, streak);
+    }
+
+    return { finalEquity: equity, maxDrawdown, longestLosingStreak };
+  }
+};
+
+export default monteCarloAnalysis;
@@ -0,0 +1,409 @@
+// utils/performanceMetrics.js
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const EULER_MASCHERONI = 0.5772156649015329;
+
+/**
+ * Calculs de métriques de performance pour les backtests
+ * Opère sur une liste de trades fermés et une courbe d'équité
+ */
+export const performanceMetrics = {
+  /**
+   * Calcule le drawdown d'une courbe d'équité
+   * @param {Array<Object>} equityCurve - Points { timestamp, equity }
+   * @returns {Object} Drawdown maximum (%), montant et série de drawdowns
+   */
+  calculateDrawdown(equityCurve) {
+    if (!equityCurve || equityCurve.length === 0) {
+      return { maxDrawdown: 0, maxDrawdownAmount: 0, series: [] };
+    }
+
+    let peak = equityCurve[0].equity;
+    let maxDrawdown = 0;
+    let maxDrawdownAmount = 0;
+    const series = new Array(equityCurve.length);
+
+    for (let i = 0; i < equityCurve.length; i++) {
+      const { timestamp, equity } = equityCurve[i];
+      peak = Math.max(peak, equity);
+
+      const drawdownAmount = peak - equity;
+      const drawdown = peak > 0 ? (drawdownAmount / peak) * 100 : 0;
+
+      maxDrawdown = Math.max(maxDrawdown, drawdown);
+      maxDrawdownAmount = Math.max(maxDrawdownAmount, drawdownAmount);
+      series[i] = { timestamp, drawdown };
+    }
+
+    return { maxDrawdown, maxDrawdownAmount, series };
+  },
+
+  /**
+   * Calcule les rendements périodiques d'une courbe d'équité
+   * @param {Array<Object>} equityCurve - Points { timestamp, equity }
+   * @returns {Array<number>} Rendements simples entre points successifs
+   */
+  calculateReturns(equityCurve) {
+    if (!equityCurve || equityCurve.length < 2) {
+      return [];
+    }
+
+    const returns = new Array(equityCurve.length - 1);
+    for (let i = 1; i < equityCurve.length; i++) {
+      const previous = equityCurve[i - 1].equity;
+      returns[i - 1] = previous !== 0 ? (equityCurve[i].equity - previous) / previous : 0;
+    }
+
+    return returns;
+  },
+
+  /**
+   * Calcule le ratio de Sharpe annualisé (taux sans risque nul)
+   * @param {Array<number>} returns - Rendements périodiques
+   * @param {number} [periodsPerYear=8760] - Nombre de périodes par an (8760 en 1h)
+   * @returns {number} Ratio de Sharpe
+   */
+  calculateSharpeRatio(returns, periodsPerYear = 8760) {
+    if (!returns || returns.length < 2) {
+      return 0;
+    }
+
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+    const stdDev = Math.sqrt(variance);
+
+    if (stdDev === 0) return 0;
+    return (mean / stdDev) * Math.sqrt(periodsPerYear);
+  },
+
+  /**
+   * Calcule le ratio de Sortino annualisé (seuls les rendements négatifs sont pénalisés)
+   * @param {Array<number>} returns - Rendements périodiques
+   * @param {number} [periodsPerYear=8760] - Nombre de périodes par an
+   * @returns {number} Ratio de Sortino
+   */
+  calculateSortinoRatio(returns, periodsPerYear = 8760) {
+    if (!returns || returns.length < 2) {
+      return 0;
+    }
+
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const downsideDeviation = Math.sqrt(
+      returns.reduce((sum, r) => sum + Math.min(r, 0) ** 2, 0) / returns.length
+    );
+
+    if (downsideDeviation === 0) return 0;
+    return (mean / downsideDeviation) * Math.sqrt(periodsPerYear);
+  },
+
+  /**
+   * Calcule le rendement annualisé (composé) d'une courbe d'équité
+   * @param {Array<Object>} equityCurve - Points { timestamp, equity }
+   * @param {number} initialCapital - Capital initial
+   * @returns {number} Rendement annualisé (%)
+   */
+  calculateAnnualizedReturn(equityCurve, initialCapital) {
+    if (!equityCurve || equityCurve.length < 2 || !(initialCapital > 0)) {
+      return 0;
+    }
+
+    const duration = equityCurve[equityCurve.length - 1].timestamp - equityCurve[0].timestamp;
+    const growth = equityCurve[equityCurve.length - 1].equity / initialCapital;
+
+    if (duration <= 0 || growth <= 0) return growth <= 0 ? -100 : 0;
+    return (Math.pow(growth, YEAR_MS / duration) - 1) * 100;
+  },
+
+  /**
+   * Calcule le ratio de Calmar (rendement annualisé / drawdown maximum)
+   * @param {number} annualizedReturn - Rendement annualisé (%)
+   * @param {number} maxDrawdown - Drawdown maximum (%)
+   * @returns {number} Ratio de Calmar
+   */
+  calculateCalmarRatio(annualizedReturn, maxDrawdown) {
+    return maxDrawdown > 0 ? annualizedReturn / maxDrawdown : 0;
+  },
+
+  /**
+   * Calcule l'espérance de gain par trade
+   * @param {Array<Object>} trades - Trades fermés
+   * @returns {Object} { expectancy (USD), expectancyPercentage (%) }
+   */
+  calculateExpectancy(trades) {
+    if (!trades || trades.length === 0) {
+      return { expectancy: 0, expectancyPercentage: 0 };
+    }
+
+    return {
+      expectancy: trades.reduce((sum, t) => sum + t.profit, 0) / trades.length,
+      expectancyPercentage: trades.reduce((sum, t) => sum + (t.profitPercentage || 0), 0) / trades.length
+    };
+  },
+
+  /**
+   * Calcule les rendements mensuels (UTC) d'une courbe d'équité
+   * @param {Array<Object>} equityCurve - Points { timestamp, equity }
+   * @param {number} initialCapital - Capital initial
+   * @returns {Array<Object>} { year, month (1-12), return (%) } par ordre chronologique
+   */
+  calculateMonthlyReturns(equityCurve, initialCapital) {
+    const months = [];
+    let previousEquity = initialCapital;
+
+    for (const { timestamp, equity } of equityCurve || []) {
+      const date = new Date(timestamp);
+      const year = date.getUTCFullYear();
+      const month = date.getUTCMonth() + 1;
+      const last = months[months.length - 1];
+
+      if (last && last.year === year && last.month === month) {
+        last.endEquity = equity;
+      } else {
+        if (last) previousEquity = last.endEquity;
+        months.push({ year, month, startEquity: previousEquity, endEquity: equity });
+      }
+    }
+
+    return months.map(({ year, month, startEquity, endEquity }) => ({
+      year,
+      month,
+      return: startEquity > 0 ? ((endEquity - startEquity) / startEquity) * 100 : 0
+    }));
+  },
+
+  /**
+   * Compare une courbe d'équité à celle d'un benchmark aligné sur les mêmes timestamps
+   * @param {Array<Object>} equityCurve - Points { timestamp, equity } de la stratégie
+   * @param {Array<Object>} benchmarkCurve - Points { timestamp, equity } du benchmark
+   * @param {number} [periodsPerYear=8760] - Nombre de périodes par an
+   * @param {number} [initialCapital] - Capital initial commun (sinon premier point de chaque courbe)
+   * @returns {Object} { alpha (% annualisé), beta, correlation, benchmarkReturn (%), excessReturn (%) }
+   */
+  calculateBenchmarkStats(equityCurve, benchmarkCurve, periodsPerYear = 8760, initialCapital) {
+    const returns = this.calculateReturns(equityCurve);
+    const benchmarkReturns = this.calculateReturns(benchmarkCurve);
+    const count = Math.min(returns.length, benchmarkReturns.length);
+
+    const totalReturn = (curve) => {
+      const base = initialCapital ?? curve?.[0]?.equity;
+      return curve && curve.length > 0 && base > 0
+        ? ((curve[curve.length - 1].equity - base) / base) * 100
+        : 0;
+    };
+    const benchmarkReturn = totalReturn(benchmarkCurve);
+    const excessReturn = totalReturn(equityCurve) - benchmarkReturn;
+
+    if (count < 2) {
+      return { alpha: 0, beta: 0, correlation: 0, benchmarkReturn, excessReturn };
+    }
+
+    const meanStrategy = returns.slice(0, count).reduce((sum, r) => sum + r, 0) / count;
+    const meanBenchmark = benchmarkReturns.slice(0, count).reduce((sum, r) => sum + r, 0) / count;
+    let covariance = 0;
+    let strategyVariance = 0;
+    let benchmarkVariance = 0;
+
+    for (let i = 0; i < count; i++) {
+      const ds = returns[i] - meanStrategy;
+      const db = benchmarkReturns[i] - meanBenchmark;
+      covariance += ds * db;
+      strategyVariance += ds * ds;
+      benchmarkVariance += db * db;
+    }
+
+    const beta = benchmarkVariance > 0 ? covariance / benchmarkVariance : 0;
+    const correlation = strategyVariance > 0 && benchmarkVariance > 0
+      ? covariance / Math.sqrt(strategyVariance * benchmarkVariance)
+      : 0;
+
+    return {
+      // Alpha de Jensen (taux sans risque nul), annualisé
+      alpha: (meanStrategy - beta * meanBenchmark) * periodsPerYear * 100,
+      beta,
+      correlation,
+      benchmarkReturn,
+      excessReturn
+    };
+  },
+
+  /**
+   * Calcule le profit factor (gains bruts / pertes brutes)
+   * @param {Array<Object>} trades - Trades fermés
+   * @returns {number} Profit factor (Infinity si aucune perte)
+   */
+  calculateProfitFactor(trades) {
+    let grossProfit = 0;
+    let grossLoss = 0;
+
+    for (const trade of trades || []) {
+      if (trade.profit > 0) grossProfit += trade.profit;
+      else grossLoss += Math.abs(trade.profit);
+    }
+
+    if (grossLoss === 0) {
+      return grossProfit > 0 ? Infinity : 0;
+    }
+
+    return grossProfit / grossLoss;
+  },
+
+  /**
+   * Fonction de répartition de la loi normale centrée réduite
+   * (approximation d'Abramowitz et Stegun, erreur < 1e-7)
+   * @param {number} x - Valeur
+   * @returns {number} P(Z <= x)
+   */
+  normalCdf(x) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(x));
+    const density = Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+    const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 +
+      t * (-1.821255978 + t * 1.330274429))));
+    return x >= 0 ? 1 - tail : tail;
+  },
+
+  /**
+   * Quantile de la loi normale centrée réduite (algorithme d'Acklam)
+   * @param {number} p - Probabilité dans ]0, 1[
+   * @returns {number} x tel que P(Z <= x) = p
+   */
+  normalInverseCdf(p) {
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const low = 0.02425;
+
+    if (p < low) {
+      const q = Math.sqrt(-2 * Math.log(p));
+      return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+
+    if (p > 1 - low) {
+      return -this.normalInverseCdf(1 - p);
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  },
+
+  /**
+   * Statistiques d'une série de rendements utilisées par le Sharpe déflaté
+   * @param {Array<number>} returns - Rendements périodiques
+   * @returns {Object} { observations, sharpeRatio (non annualisé), skewness, kurtosis }
+   */
+  calculateReturnStatistics(returns) {
+    const observations = returns ? returns.length : 0;
+    if (observations < 2) {
+      return { observations, sharpeRatio: 0, skewness: 0, kurtosis: 3 };
+    }
+
+    const mean = returns.reduce((sum, r) => sum + r, 0) / observations;
+    const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / observations;
+    const stdDev = Math.sqrt(variance);
+
+    if (stdDev === 0) {
+      return { observations, sharpeRatio: 0, skewness: 0, kurtosis: 3 };
+    }
+
+    const skewness = returns.reduce((sum, r) => sum + ((r - mean) / stdDev) ** 3, 0) / observations;
+    const kurtosis = returns.reduce((sum, r) => sum + ((r - mean) / stdDev) ** 4, 0) / observations;
+
+    return { observations, sharpeRatio: mean / stdDev, skewness, kurtosis };
+  },
+
+  /**
+   * Calcule le ratio de Sharpe déflaté (Bailey et López de Prado, 2014) :
+   * probabilité que le vrai Sharpe de la meilleure configuration soit positif,
+   * compte tenu du nombre de configurations testées et de la non-normalité des rendements
+   * @param {Object} best - Statistiques de la configuration retenue (calculateReturnStatistics)
+   * @param {Array<number>} trialSharpeRatios - Sharpe non annualisés de toutes les configurations testées
+   * @returns {Object|null} { deflatedSharpeRatio, expectedMaxSharpeRatio, sharpeRatio, trials } ou null
+   */
+  calculateDeflatedSharpeRatio(best, trialSharpeRatios) {
+    const trials = trialSharpeRatios ? trialSharpeRatios.length : 0;
+    if (!best || best.observations < 3 || trials < 2) {
+      return null;
+    }
+
+    const mean = trialSharpeRatios.reduce((sum, sr) => sum + sr, 0) / trials;
+    const variance = trialSharpeRatios.reduce((sum, sr) => sum + (sr - mean) ** 2, 0) / (trials - 1);
+
+    // Sharpe maximal attendu par le seul hasard parmi N essais indépendants
+    const expectedMaxSharpeRatio = Math.sqrt(variance) * (
+      (1 - EULER_MASCHERONI) * this.normalInverseCdf(1 - 1 / trials) +
+      EULER_MASCHERONI * this.normalInverseCdf(1 - 1 / (trials * Math.E))
+    );
+
+    const sr = best.sharpeRatio;
+    const denominator = 1 - best.skewness * sr + ((best.kurtosis - 1) / 4) * sr * sr;
+    const deflatedSharpeRatio = denominator > 0
+      ? this.normalCdf((sr - expectedMaxSharpeRatio) * Math.sqrt(best.observations - 1) / Math.sqrt(denominator))
+      : 0;
+
+    return {
+      deflatedSharpeRatio,
+      expectedMaxSharpeRatio,
+      sharpeRatio: sr,
+      trials
+    };
+  },
+
+  /**
+   * Produit le résumé complet des métriques d'un backtest
+   * @param {Array<Object>} trades - Trades fermés
+   * @param {Array<Object>} equityCurve - Points { timestamp, equity }
+   * @param {number} initialCapital - Capital initial
+   * @param {Object} [options] - Options de calcul
+   * @param {number} [options.periodsPerYear] - Périodes par an pour l'annualisation
+   * @returns {Object} Métriques agrégées
+   */
+  summarize(trades, equityCurve, initialCapital, options = {}) {
+    const finalCapital = equityCurve.length > 0
+      ? equityCurve[equityCurve.length - 1].equity
+      : initialCapital;
+
+    const winningTrades = trades.filter(t => t.profit > 0);
+    const losingTrades = trades.filter(t => t.profit <= 0);
+    const { maxDrawdown, maxDrawdownAmount } = this.calculateDrawdown(equityCurve);
+    const returns = this.calculateReturns(equityCurve);
+    const annualizedReturn = this.calculateAnnualizedReturn(equityCurve, initialCapital);
+    const { expectancy, expectancyPercentage } = this.calculateExpectancy(trades);
+
+    return {
+      initialCapital,
+      finalCapital,
+      netProfit: finalCapital - initialCapital,
+      totalReturn: initialCapital > 0 ? ((finalCapital - initialCapital) / initialCapital) * 100 : 0,
+      totalTrades: trades.length,
+      winningTrades: winningTrades.length,
+      losingTrades: losingTrades.length,
+      winRate: trades.length > 0 ? (winningTrades.length / trades.length) * 100 : 0,
+      averageWin: winningTrades.length > 0
+        ? winningTrades.reduce((sum, t) => sum + t.profit, 0) / winningTrades.length
+        : 0,
+      averageLoss: losingTrades.length > 0
+        ? losingTrades.reduce((sum, t) => sum + t.profit, 0) / losingTrades.length
+        : 0,
+      profitFactor: this.calculateProfitFactor(trades),
+      expectancy,
+      expectancyPercentage,
+      maxDrawdown,
+      maxDrawdownAmount,
+      annualizedReturn,
+      sharpeRatio: this.calculateSharpeRatio(returns, options.periodsPerYear),
+      sortinoRatio: this.calculateSortinoRatio(returns, options.periodsPerYear),
+      calmarRatio: this.calculateCalmarRatio(annualizedReturn, maxDrawdown),
+      averageHoldingTimeMs: trades.length > 0
+        ? trades.reduce((sum, t) => sum + (t.holdingTime || 0), 0) / trades.length
+        : 0
+    };
+  }
+};
+
+export default performanceMetrics;
@@ -110,7 +110,9 @@ export const isValidString = (value) => {
       'ENHANCED_MOMENTUM',
       'MEAN_REVERSION',
       'BREAKOUT',
-      'TREND_FOLLOWING'
+      'TREND_FOLLOWING',
+      'ENSEMBLE',
+      'RULES'
     ];
     
     return isValidString(strategyType) && validStrategies.includes(strategyType.toUpperCase());
@@ -7,7 +7,7 @@ import { RiskManager } from './trading/riskManager.js';
 import { PositionManager } from './trading/positionManager.js';
 import { PortfolioManager } from './trading/portfolioManager.js';
 import { TradeLogger } from './trading/tradeLogger.js';
-import { retry, delay, generateUUID } from './utils/helpers.js';
+import { retry, delay, generateUUID, resolveIntrabarExit } from './utils/helpers.js';
 import EventEmitter from 'events';
 
 /**
@@ -765,24 +765,23 @@ export class TradingBot extends EventEmitter {
       
       // Find exit point in future data
       let exitData = null;
+      let exitPrice = null;
       let holdingTime = 0;
       let exitReason = 'TIMEOUT';
       
+      // Rule for candles touching both the stop and the target
+      const intrabarRule = this.config.simulation.intrabarResolution || 'pessimistic';
+      
       // Loop through future data (limited to 48 hours max)
       for (let i = 1; i < futureData.length && i < 48; i++) {
-        const currentPrice = futureData[i].price;
         holdingTime = futureData[i].timestamp - entryData.timestamp;
         
-        // Check if stop loss or take profit is reached
-        if (currentPrice <= stopLoss) {
+        // Check if stop loss or take profit is reached within the candle (high/low)
+        const intrabarExit = resolveIntrabarExit(futureData[i], stopLoss, takeProfit, intrabarRule);
+        if (intrabarExit) {
           exitData = futureData[i];
-          exitReason = 'STOP_LOSS';
-          break;
-        }
-        
-        if (currentPrice >= takeProfit) {
-          exitData = futureData[i];
-          exitReason = 'TAKE_PROFIT';
+          exitPrice = intrabarExit.price;
+          exitReason = intrabarExit.reason;
           break;
         }
         
@@ -805,14 +804,19 @@ export class TradingBot extends EventEmitter {
         return null;
       }
       
+      // Stop loss / take profit fill at the level, time-based exits at the close
+      if (exitPrice === null) {
+        exitPrice = exitData.price;
+      }
+      
       // Calculate profit
-      const profit = (exitData.price - entryData.price) * positionSize;
+      const profit = (exitPrice - entryData.price) * positionSize;
       
       // Update simulated portfolio
       portfolio.updatePortfolio({
         token: tokenMint,
         entryPrice: entryData.price,
-        exitPrice: exitData.price,
+        exitPrice,
         amount: positionSize,
         profit,
         timestamp: entryData.timestamp,
@@ -825,10 +829,10 @@ export class TradingBot extends EventEmitter {
         id: generateUUID(),
         token: tokenMint,
         entryPrice: entryData.price,
-        exitPrice: exitData.price,
+        exitPrice,
         amount: positionSize,
         profit,
-        profitPercentage: ((exitData.price - entryData.price) / entryData.price) * 100,
+        profitPercentage: ((exitPrice - entryData.price) / entryData.price) * 100,
         timestamp: entryData.timestamp,
         exitTimestamp: exitData.timestamp,
         holdingTime,
@@ -100,6 +100,7 @@ export const tradingConfig = {
     minProfitableRatio: 0.6, // Minimum ratio of profitable trades
     maxDrawdown: 15, // Maximum allowed drawdown percentage
     maxHoldingPeriodHours: 48, // Maximum holding period for trades in simulation
+    intrabarResolution: 'pessimistic', // Candle touching stop and target: 'pessimistic', 'optimistic' or 'estimated'
     includeFees: true, // Include trading fees in simulation
     feePercentage: 0.1, // Fee percentage for simulations
     
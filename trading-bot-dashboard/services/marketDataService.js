@@ -1,6 +1,6 @@
 // optimized marketDataService.js
 import axios from 'axios';
-import { delay, retry } from '../utils/helpers.js';
+import { delay, retry, normalizeCandle } from '../utils/helpers.js';
 
 /**
  * Market Data Service
@@ -174,7 +174,7 @@ export class MarketDataService {
    * @param {number} startTime - Start timestamp
    * @param {number} endTime - End timestamp
    * @param {string} timeframe - Timeframe ('1h', '4h', '1d')
-   * @returns {Promise<Array>} Historical price data
+   * @returns {Promise<Array>} Historical OHLCV candles ({ timestamp, price, open, high, low, volume })
    */
   async getHistoricalPrices(tokenMint, startTime, endTime, timeframe = '1h') {
     const cacheKey = `history_${tokenMint}_${timeframe}_${startTime}_${endTime}`;
@@ -185,7 +185,7 @@ export class MarketDataService {
       { tokenMint, timeframe, startTime, endTime },
       cacheKey,
       300000 // Cache for 5 minutes
-    );
+    ).then(data => (Array.isArray(data) ? data.map(normalizeCandle) : data));
   }
 
   /**
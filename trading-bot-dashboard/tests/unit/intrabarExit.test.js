@@ -0,0 +1,53 @@
+// tests/unit/intrabarExit.test.js
+import { resolveIntrabarExit, normalizeCandle } from '../../utils/helpers.js';
+
+describe('Intrabar exit resolution', () => {
+  const stopLoss = 95;
+  const takeProfit = 110;
+
+  test('should return null when neither level is touched', () => {
+    const candle = { price: 101, open: 100, high: 105, low: 97 };
+
+    expect(resolveIntrabarExit(candle, stopLoss, takeProfit)).toBeNull();
+  });
+
+  test('should detect a stop loss hit by the wick and fill at the stop price', () => {
+    const candle = { price: 100, open: 100, high: 101, low: 94 };
+
+    expect(resolveIntrabarExit(candle, stopLoss, takeProfit)).toEqual({ reason: 'STOP_LOSS', price: 95 });
+  });
+
+  test('should detect a take profit hit by the wick and fill at the target price', () => {
+    const candle = { price: 104, open: 100, high: 112, low: 99 };
+
+    expect(resolveIntrabarExit(candle, stopLoss, takeProfit)).toEqual({ reason: 'TAKE_PROFIT', price: 110 });
+  });
+
+  test('should fill at the open when the candle gaps through the stop', () => {
+    const candle = { price: 92, open: 93, high: 96, low: 90 };
+
+    expect(resolveIntrabarExit(candle, stopLoss, takeProfit)).toEqual({ reason: 'STOP_LOSS', price: 93 });
+  });
+
+  describe('when both levels are touched', () => {
+    const candle = { price: 100, open: 97, high: 111, low: 94 };
+
+    test('pessimistic rule should exit at the stop', () => {
+      expect(resolveIntrabarExit(candle, stopLoss, takeProfit, 'pessimistic').reason).toBe('STOP_LOSS');
+    });
+
+    test('optimistic rule should exit at the target', () => {
+      expect(resolveIntrabarExit(candle, stopLoss, takeProfit, 'optimistic').reason).toBe('TAKE_PROFIT');
+    });
+
+    test('estimated rule should exit at the extreme closest to the open', () => {
+      expect(resolveIntrabarExit(candle, stopLoss, takeProfit, 'estimated').reason).toBe('STOP_LOSS');
+      expect(resolveIntrabarExit({ ...candle, open: 108 }, stopLoss, takeProfit, 'estimated').reason).toBe('TAKE_PROFIT');
+    });
+  });
+
+  test('should fall back to the close price for close-only data', () => {
+    expect(normalizeCandle({ timestamp: 1, price: 100 })).toMatchObject({ open: 100, high: 100, low: 100, volume: 0 });
+    expect(resolveIntrabarExit({ price: 94 }, stopLoss, takeProfit)).toEqual({ reason: 'STOP_LOSS', price: 94 });
+  });
+});
@@ -1,5 +1,5 @@
 // trading/simulationEngine.js
-import { generateUUID } from '../utils/helpers.js';
+import { generateUUID, resolveIntrabarExit } from '../utils/helpers.js';
 
 /**
  * Simulation Engine for backtesting trading strategies
@@ -213,28 +213,26 @@ export class SimulationEngine {
       
       // Find exit point in future data
       let exitData = null;
+      let exitPrice = null;
       let holdingTime = 0;
       let exitReason = 'TIMEOUT';
       
       // Maximum holding period (defaults to 48 hours or less if not enough data)
       const maxHoldingPeriods = Math.min(48, futureData.length - 1);
       
+      // Rule for candles touching both the stop and the target
+      const intrabarRule = this.config.simulation?.intrabarResolution || 'pessimistic';
+      
       // Scan future data for exit conditions
       for (let i = 1; i <= maxHoldingPeriods; i++) {
-        const currentPrice = futureData[i].price;
         holdingTime = futureData[i].timestamp - entryData.timestamp;
         
-        // Check for stop loss hit
-        if (currentPrice <= stopLoss) {
+        // Check stop loss and take profit against the candle high/low
+        const intrabarExit = resolveIntrabarExit(futureData[i], stopLoss, takeProfit, intrabarRule);
+        if (intrabarExit) {
           exitData = futureData[i];
-          exitReason = 'STOP_LOSS';
-          break;
-        }
-        
-        // Check for take profit hit
-        if (currentPrice >= takeProfit) {
-          exitData = futureData[i];
-          exitReason = 'TAKE_PROFIT';
+          exitPrice = intrabarExit.price;
+          exitReason = intrabarExit.reason;
           break;
         }
         
@@ -257,11 +255,16 @@ export class SimulationEngine {
         return null;
       }
       
+      // Time-based exits fill at the close
+      if (exitPrice === null) {
+        exitPrice = exitData.price;
+      }
+      
       // Calculate profit/loss
       const entryValue = positionSize * entryData.price;
-      const exitValue = positionSize * exitData.price;
+      const exitValue = positionSize * exitPrice;
       const profit = exitValue - entryValue;
-      const profitPercentage = ((exitData.price - entryData.price) / entryData.price) * 100;
+      const profitPercentage = ((exitPrice - entryData.price) / entryData.price) * 100;
       
       // Update portfolio
       this.portfolio.currentCapital += profit;
@@ -281,7 +284,7 @@ export class SimulationEngine {
         id: generateUUID(),
         token: tokenMint,
         entryPrice: entryData.price,
-        exitPrice: exitData.price,
+        exitPrice,
         amount: positionSize,
         value: entryValue,
         profit,
@@ -144,4 +144,64 @@ export const daysBetween = (date1, date2) => {
   // Calculate the difference in days
   const diffTime = Math.abs(normalized2 - normalized1);
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-};
\ No newline at end of file
+};
+
+/**
+ * Normalize a historical data point into an OHLCV candle
+ * Missing open/high/low fall back to the close price so close-only data keeps working
+ * @param {Object} candle - Raw data point ({ timestamp, price|close, open, high, low, volume })
+ * @returns {Object} Candle with timestamp, price (close), open, high, low and volume
+ */
+export const normalizeCandle = (candle) => {
+  const price = Number(candle.price ?? candle.close);
+  const open = Number(candle.open ?? price);
+  
+  return {
+    ...candle,
+    price,
+    open,
+    high: Math.max(Number(candle.high ?? price), open, price),
+    low: Math.min(Number(candle.low ?? price), open, price),
+    volume: Number(candle.volume) || 0
+  };
+};
+
+/**
+ * Resolve a stop-loss / take-profit exit inside a single candle using its high and low
+ * @param {Object} candle - OHLC candle
+ * @param {number} stopLoss - Stop-loss price (long position)
+ * @param {number} takeProfit - Take-profit price (long position)
+ * @param {string} [rule='pessimistic'] - Rule when the candle touches both levels:
+ *   'pessimistic' (stop first), 'optimistic' (target first) or 'estimated'
+ *   (path open → nearest extreme → other extreme)
+ * @returns {Object|null} { reason: 'STOP_LOSS'|'TAKE_PROFIT', price } or null if no level was touched
+ */
+export const resolveIntrabarExit = (candle, stopLoss, takeProfit, rule = 'pessimistic') => {
+  const { open, high, low } = normalizeCandle(candle);
+  
+  // A gap through a level fills at the open, not at the level
+  if (open <= stopLoss) return { reason: 'STOP_LOSS', price: open };
+  if (open >= takeProfit) return { reason: 'TAKE_PROFIT', price: open };
+  
+  const stopHit = low <= stopLoss;
+  const targetHit = high >= takeProfit;
+  
+  if (!stopHit && !targetHit) return null;
+  
+  const stopExit = { reason: 'STOP_LOSS', price: stopLoss };
+  const targetExit = { reason: 'TAKE_PROFIT', price: takeProfit };
+  
+  if (stopHit && !targetHit) return stopExit;
+  if (targetHit && !stopHit) return targetExit;
+  
+  switch (rule) {
+    case 'optimistic':
+      return targetExit;
+    case 'estimated':
+      // The extreme closest to the open is assumed to be reached first
+      return (high - open) < (open - low) ? targetExit : stopExit;
+    case 'pessimistic':
+    default:
+      return stopExit;
+  }
+};